@@ -0,0 +1,216 @@
+#!/usr/bin/env node
+/**
+ * Native Print Host for AutoPrint Extension
+ * Receives print requests from the extension over native messaging
+ * (4-byte little-endian length prefix followed by UTF-8 JSON).
+ *
+ * By default this is a stub that only logs jobs to autoprint-host.log in the
+ * temp directory. Set AUTOPRINT_HOST_MODE=lp to print with CUPS (lp / lpstat).
+ *
+ * Install: see scripts/native-host/install.sh
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+
+const MODE = process.env.AUTOPRINT_HOST_MODE || 'stub';
+const LOG_FILE = path.join(os.tmpdir(), 'autoprint-host.log');
+
+/**
+ * Append a line to the host log
+ * @param {string} message - Log message
+ */
+function log(message) {
+  fs.appendFileSync(LOG_FILE, `${new Date().toISOString()} ${message}\n`);
+}
+
+/**
+ * Run a command and resolve with its standard output
+ * @param {string} command - Executable
+ * @param {Array<string>} args - Arguments
+ * @returns {Promise<string>} Standard output
+ */
+function run(command, args) {
+  return new Promise((resolve, reject) => {
+    execFile(command, args, { timeout: 30000 }, (error, stdout, stderr) => {
+      if (error) {
+        reject(new Error((stderr || error.message).trim()));
+      } else {
+        resolve(stdout);
+      }
+    });
+  });
+}
+
+/**
+ * Translate extension print options to lp options
+ * @param {Object} options - Print options
+ * @returns {Array<string>} lp arguments
+ */
+function toLpOptions(options = {}) {
+  const args = [];
+  if (options.copies > 1) {
+    args.push('-n', String(options.copies));
+  }
+  if (options.pageRanges) {
+    args.push('-P', options.pageRanges);
+  }
+  if (options.orientation === 'portrait' || options.orientation === 'landscape') {
+    args.push('-o', `orientation-requested=${options.orientation === 'landscape' ? 4 : 3}`);
+  }
+  if (options.paperSize) {
+    args.push('-o', `media=${options.paperSize}`);
+  }
+  if (options.duplex === 'one_sided') {
+    args.push('-o', 'sides=one-sided');
+  } else if (options.duplex === 'long_edge' || options.duplex === 'short_edge') {
+    args.push('-o', `sides=two-sided-${options.duplex === 'short_edge' ? 'short' : 'long'}-edge`);
+  }
+  return args;
+}
+
+/**
+ * Handle a print request
+ * @param {Object} message - { jobId, path, filename, printer, options }
+ * @returns {Promise<Object>} Response
+ */
+async function handlePrint(message) {
+  if (!message.path || !fs.existsSync(message.path)) {
+    throw new Error(`File not found: ${message.path}`);
+  }
+
+  if (MODE !== 'lp') {
+    log(`print job=${message.jobId} file=${message.path} printer=${message.printer || 'default'} options=${JSON.stringify(message.options || {})}`);
+    return { success: true, hostJobId: `stub-${Date.now()}`, printer: message.printer || 'Stub Printer', status: 'completed' };
+  }
+
+  const args = message.printer ? ['-d', message.printer] : [];
+  const output = await run('lp', [...args, ...toLpOptions(message.options), '--', message.path]);
+  // "request id is Office-42 (1 file(s))"
+  const match = output.match(/request id is (\S+)/);
+  log(`lp job=${message.jobId} -> ${output.trim()}`);
+  return { success: true, hostJobId: match ? match[1] : null, printer: message.printer || null, status: 'submitted' };
+}
+
+/**
+ * Handle a job status request. CUPS lists a job as not completed while it waits or
+ * prints; once it is done, its state reasons tell completed, cancelled and aborted apart.
+ * @param {Object} message - { hostJobId, printer }
+ * @returns {Promise<Object>} Response
+ */
+async function handleJobStatus(message) {
+  if (MODE !== 'lp') {
+    return { success: true, status: 'completed' };
+  }
+
+  const active = await run('lpstat', ['-W', 'not-completed', '-o']);
+  const isListed = output => output.split('\n').some(line => line.split(/\s+/)[0] === message.hostJobId);
+  if (isListed(active)) {
+    return { success: true, status: 'pending' };
+  }
+
+  // "Office-42  user  1024  Mon 01 Jan ..." followed by indented detail lines
+  const done = await run('lpstat', ['-l', '-W', 'completed', '-o']);
+  const lines = done.split('\n');
+  const start = lines.findIndex(line => line.split(/\s+/)[0] === message.hostJobId);
+  if (start === -1) {
+    throw new Error(`Unknown job: ${message.hostJobId}`);
+  }
+  const end = lines.findIndex((line, index) => index > start && /^\S/.test(line));
+  const details = lines.slice(start + 1, end === -1 ? undefined : end).join(' ');
+  if (/canceled/.test(details)) {
+    return { success: true, status: 'cancelled' };
+  }
+  if (/aborted|completed-with-errors/.test(details)) {
+    const status = details.match(/Status:\s*(.+?)\s*(Alerts:|$)/);
+    return { success: true, status: 'failed', error: status ? status[1] : null };
+  }
+  return { success: true, status: 'completed' };
+}
+
+/**
+ * Handle a printer list request
+ * @returns {Promise<Object>} Response
+ */
+async function handleListPrinters() {
+  if (MODE !== 'lp') {
+    return { success: true, printers: [{ name: 'Stub Printer', isDefault: true }] };
+  }
+
+  const [printers, defaults] = await Promise.all([
+    run('lpstat', ['-p']),
+    run('lpstat', ['-d']).catch(() => '')
+  ]);
+  const defaultName = (defaults.match(/destination:\s*(\S+)/) || [])[1];
+  return {
+    success: true,
+    printers: printers
+      .split('\n')
+      .map(line => (line.match(/^printer (\S+)/) || [])[1])
+      .filter(Boolean)
+      .map(name => ({ name, isDefault: name === defaultName }))
+  };
+}
+
+/**
+ * Write one native messaging response
+ * @param {Object} response - Response object
+ */
+function send(response) {
+  const body = Buffer.from(JSON.stringify(response), 'utf8');
+  const header = Buffer.alloc(4);
+  header.writeUInt32LE(body.length, 0);
+  process.stdout.write(Buffer.concat([header, body]));
+}
+
+/**
+ * Dispatch one request
+ * @param {Object} message - Request
+ */
+async function handleMessage(message) {
+  try {
+    switch (message.type) {
+      case 'print':
+        send(await handlePrint(message));
+        break;
+      case 'jobStatus':
+        send(await handleJobStatus(message));
+        break;
+      case 'listPrinters':
+        send(await handleListPrinters());
+        break;
+      default:
+        send({ success: false, error: `Unknown request type: ${message.type}` });
+    }
+  } catch (error) {
+    log(`error ${error.message}`);
+    send({ success: false, error: error.message });
+  }
+}
+
+let buffer = Buffer.alloc(0);
+
+process.stdin.on('data', (chunk) => {
+  buffer = Buffer.concat([buffer, chunk]);
+  while (buffer.length >= 4) {
+    const length = buffer.readUInt32LE(0);
+    if (buffer.length < 4 + length) {
+      break;
+    }
+    const body = buffer.subarray(4, 4 + length).toString('utf8');
+    buffer = buffer.subarray(4 + length);
+
+    // A broken message must not end the host, or every later print would fail with it
+    let message;
+    try {
+      message = JSON.parse(body);
+    } catch (error) {
+      log(`error malformed message: ${error.message}`);
+      send({ success: false, error: `Malformed message: ${error.message}` });
+      continue;
+    }
+    handleMessage(message);
+  }
+});
@@ -0,0 +1,24 @@
+#!/bin/sh
+# Register the AutoPrint native print host with Chrome for the current user.
+# Usage: scripts/native-host/install.sh <extension-id>
+set -e
+
+if [ -z "$1" ]; then
+  echo "Usage: $0 <extension-id>" >&2
+  exit 1
+fi
+
+DIR="$(cd "$(dirname "$0")" && pwd)"
+HOST_PATH="$DIR/autoprint-host.js"
+
+case "$(uname -s)" in
+  Darwin) TARGET="$HOME/Library/Application Support/Google/Chrome/NativeMessagingHosts" ;;
+  *) TARGET="$HOME/.config/google-chrome/NativeMessagingHosts" ;;
+esac
+
+mkdir -p "$TARGET"
+chmod +x "$HOST_PATH"
+sed -e "s|HOST_PATH|$HOST_PATH|" -e "s|EXTENSION_ID|$1|" \
+  "$DIR/com.autoprint.host.json" > "$TARGET/com.autoprint.host.json"
+
+echo "Installed $TARGET/com.autoprint.host.json"
@@ -0,0 +1,78 @@
+/**
+ * AutoPrint Extension - Archive Expansion
+ * Opens downloaded ZIP archives so the files inside can be matched and printed one by one
+ */
+
+import { openZip } from '../shared/zip.js';
+import { normalizeMimeType } from '../shared/file-types.js';
+import { getFileExtension } from '../shared/rules.js';
+
+// MIME types servers use for ZIP archives
+const ARCHIVE_TYPES = ['application/zip', 'application/x-zip-compressed', 'application/x-zip'];
+
+/**
+ * Error thrown when an archive exceeds the configured limits
+ */
+export class ArchiveLimitError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ArchiveLimitError';
+  }
+}
+
+/**
+ * Check whether a download is a ZIP archive
+ * @param {Object} file - File details: { filename, mime }
+ * @returns {boolean} True for ZIP archives
+ */
+export function isArchive({ filename, mime }) {
+  return getFileExtension(filename || '') === 'zip' || ARCHIVE_TYPES.includes(normalizeMimeType(mime));
+}
+
+/**
+ * Check whether an archive entry is a file worth looking at
+ * (not a folder, macOS resource fork or hidden file)
+ * @param {Object} entry - ZIP entry
+ * @returns {boolean} True for regular files
+ */
+function isRegularFile(entry) {
+  const parts = entry.name.split('/');
+  return !entry.directory &&
+    parts[0] !== '__MACOSX' &&
+    !parts.some(part => part.startsWith('.'));
+}
+
+/**
+ * Open an archive and list its files in archive order, within the limits
+ * @param {ArrayBuffer} content - Archive content
+ * @param {Object} limits - Limits
+ * @param {number} limits.maxEntries - Maximum number of files
+ * @param {number} limits.maxBytes - Maximum total uncompressed size
+ * @returns {Object} { files, read } - files as { name, filename, size, index }; read(name) returns the bytes
+ * @throws {ArchiveLimitError} If the archive has too many files or is too large
+ * @throws {ZipError} If the file is not a readable ZIP archive
+ */
+export function openArchive(content, { maxEntries, maxBytes }) {
+  const zip = openZip(content);
+  const files = zip.entries.filter(isRegularFile);
+
+  if (files.length > maxEntries) {
+    throw new ArchiveLimitError(`Archive has ${files.length} files, the limit is ${maxEntries}`);
+  }
+
+  const totalBytes = files.reduce((sum, entry) => sum + entry.size, 0);
+  if (totalBytes > maxBytes) {
+    const megabytes = (bytes) => (bytes / (1024 * 1024)).toFixed(1);
+    throw new ArchiveLimitError(`Archive unpacks to ${megabytes(totalBytes)} MB, the limit is ${megabytes(maxBytes)} MB`);
+  }
+
+  return {
+    files: files.map((entry, index) => ({
+      name: entry.name,
+      filename: entry.name.split('/').pop(),
+      size: entry.size,
+      index
+    })),
+    read: name => zip.read(name)
+  };
+}
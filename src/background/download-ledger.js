@@ -0,0 +1,113 @@
+/**
+ * AutoPrint Extension - Download Ledger
+ * Remembers which completed downloads were handled so each one is queued exactly once,
+ * even when the service worker is terminated while handling it
+ */
+
+import { loadDownloadLedger, saveDownloadLedger } from '../shared/storage.js';
+import { CONFIG } from '../shared/config.js';
+
+// Download states in the ledger
+export const LEDGER_STATE = {
+  CHECKING: 'checking',
+  HANDLED: 'handled'
+};
+
+// Serializes every read-modify-write of the stored ledger
+let ledgerLock = Promise.resolve();
+
+/**
+ * Run a ledger update exclusively
+ * @param {Function} update - Receives the ledger, may mutate it and return a value
+ * @returns {Promise<*>} Value returned by the update
+ */
+function withLedger(update) {
+  const run = ledgerLock.then(async () => {
+    const ledger = await loadDownloadLedger();
+    const result = update(ledger);
+    pruneLedger(ledger);
+    await saveDownloadLedger(ledger);
+    return result;
+  });
+  ledgerLock = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Drop entries older than the retention period
+ * @param {Object} ledger - Ledger (mutated)
+ */
+function pruneLedger(ledger) {
+  const cutoff = Date.now() - CONFIG.LEDGER.MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+  for (const [id, entry] of Object.entries(ledger.downloads)) {
+    if (entry.at < cutoff) {
+      delete ledger.downloads[id];
+    }
+  }
+}
+
+/**
+ * Claim a completed download for handling
+ * @param {number} downloadId - Chrome download ID
+ * @param {Object} options - Claim options
+ * @param {boolean} options.reclaim - Take over a download left in the checking state by a terminated worker
+ * @returns {Promise<boolean>} True if the caller should handle the download
+ */
+export function claimDownload(downloadId, { reclaim = false } = {}) {
+  return withLedger(ledger => {
+    const entry = ledger.downloads[downloadId];
+    if (entry && !(reclaim && entry.state === LEDGER_STATE.CHECKING)) {
+      return false;
+    }
+    ledger.downloads[downloadId] = { state: LEDGER_STATE.CHECKING, at: Date.now() };
+    return true;
+  });
+}
+
+/**
+ * Mark a claimed download as handled (queued or ignored)
+ * @param {number} downloadId - Chrome download ID
+ * @returns {Promise<void>}
+ */
+export function markDownloadHandled(downloadId) {
+  return withLedger(ledger => {
+    ledger.downloads[downloadId] = { state: LEDGER_STATE.HANDLED, at: Date.now() };
+  });
+}
+
+/**
+ * Find downloads that need handling after a worker restart: downloads whose handling
+ * was interrupted, and downloads that completed since the last checkpoint but were never seen.
+ * Advances the checkpoint to now.
+ * @returns {Promise<Object>} { interrupted, unseen } arrays of download IDs
+ */
+export async function findMissedDownloads() {
+  const { checkpoint, interrupted } = await withLedger(ledger => {
+    const previous = ledger.checkpoint;
+    ledger.checkpoint = Date.now();
+    return {
+      checkpoint: previous,
+      interrupted: Object.entries(ledger.downloads)
+        .filter(([, entry]) => entry.state === LEDGER_STATE.CHECKING)
+        .map(([id]) => Number(id))
+    };
+  });
+
+  // First run: nothing to catch up on, old downloads must not be printed
+  if (!checkpoint) {
+    return { interrupted, unseen: [] };
+  }
+
+  const since = Math.max(checkpoint, Date.now() - CONFIG.LEDGER.CATCH_UP_MINUTES * 60 * 1000);
+  const completed = await chrome.downloads.search({
+    state: 'complete',
+    endedAfter: new Date(since).toISOString()
+  });
+
+  const ledger = await loadDownloadLedger();
+  const unseen = completed
+    .map(item => item.id)
+    .filter(id => !ledger.downloads[id]);
+
+  return { interrupted, unseen };
+}
@@ -0,0 +1,144 @@
+/**
+ * AutoPrint Extension - Duplicate Guard
+ * Remembers recently printed files so a re-downloaded file is not printed twice
+ * within the configured time window
+ */
+
+import { loadRecentPrints, saveRecentPrints } from '../shared/storage.js';
+import { CONFIG } from '../shared/config.js';
+
+// Serializes every read-modify-write of the stored recent prints
+let recentLock = Promise.resolve();
+
+/**
+ * Run a recent prints update exclusively
+ * @param {Function} update - Receives the recent prints array, may mutate it and return a value
+ * @returns {Promise<*>} Value returned by the update
+ */
+function withRecentPrints(update) {
+  const run = recentLock.then(async () => {
+    const prints = await loadRecentPrints();
+    const cutoff = Date.now() - CONFIG.DUPLICATES.MAX_WINDOW_MINUTES * 60 * 1000;
+    const recent = prints.filter(entry => entry.at >= cutoff);
+    const result = update(recent);
+    await saveRecentPrints(recent);
+    return result;
+  });
+  recentLock = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Normalize a filename for comparison: lowercase and without the copy counter
+ * browsers add to repeated downloads ("invoice (1).pdf", "invoice(2).pdf")
+ * @param {string} filename - Filename
+ * @returns {string} Normalized filename
+ */
+export function normalizeFilename(filename) {
+  return (filename || '')
+    .trim()
+    .toLowerCase()
+    .replace(/\s*\(\d+\)(?=(\.[^.]*)?$)/, '');
+}
+
+/**
+ * Normalize a source URL for comparison (the fragment never changes the file)
+ * @param {string} url - Source URL
+ * @returns {string} Normalized URL, or empty string
+ */
+function normalizeUrl(url) {
+  return (url || '').split('#')[0];
+}
+
+/**
+ * Compute the SHA-256 hash of file content
+ * @param {ArrayBuffer|Uint8Array|null} content - File content
+ * @returns {Promise<string|null>} Hex digest, or null without content
+ */
+export async function hashContent(content) {
+  if (!content) {
+    return null;
+  }
+  const digest = await crypto.subtle.digest('SHA-256', content);
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Build the key a file is compared on
+ * @param {Object} file - File details
+ * @param {string} file.url - Source URL
+ * @param {number} file.fileSize - Size in bytes
+ * @param {string} file.filename - Filename
+ * @param {string|null} file.contentHash - Content hash, if it was computed
+ * @param {boolean} file.ignoreUrl - Match copies from any URL, for download links that
+ *   carry one-time tokens (the rule's duplicateIgnoreUrl)
+ * @returns {Object} Fingerprint: { url, ignoreUrl, size, name, hash }
+ */
+export function createFingerprint({ url, fileSize, filename, contentHash = null, ignoreUrl = false }) {
+  return {
+    url: normalizeUrl(url),
+    ignoreUrl,
+    size: fileSize ?? null,
+    name: normalizeFilename(filename),
+    hash: contentHash
+  };
+}
+
+/**
+ * Check whether a new file is the same as an earlier print: from the same source URL
+ * (unless the new file's rule ignores URLs), and with the same content hash when both
+ * sides have one (whatever the files are called), otherwise with the same name and size
+ * @param {Object} earlier - Fingerprint of the earlier print
+ * @param {Object} current - Fingerprint of the new file
+ * @returns {boolean} True if they match
+ */
+export function fingerprintsMatch(earlier, current) {
+  if (!current.ignoreUrl && earlier.url !== current.url) {
+    return false;
+  }
+  if (earlier.hash && current.hash) {
+    return earlier.hash === current.hash;
+  }
+  return earlier.size === current.size && earlier.name === current.name;
+}
+
+/**
+ * Record a file that is about to be printed, unless it was already printed within the window
+ * @param {Object} fingerprint - Fingerprint from createFingerprint()
+ * @param {Object} options - Claim options
+ * @param {number} options.downloadId - Chrome download ID
+ * @param {string|null} options.entry - Archive entry path, for files printed from an archive
+ * @param {string} options.filename - Original filename, shown when a later copy is skipped
+ * @param {number} options.windowMinutes - Duplicate window; 0 records without checking
+ * @param {boolean} options.force - Record even if it is a duplicate
+ * @returns {Promise<Object|null>} The earlier print ({ downloadId, filename, at }) if this is a duplicate
+ */
+export function claimPrint(fingerprint, { downloadId, entry = null, filename, windowMinutes, force = false }) {
+  return withRecentPrints(prints => {
+    const since = Date.now() - windowMinutes * 60 * 1000;
+    const earlier = windowMinutes > 0
+      ? prints.filter(entry => entry.at >= since && fingerprintsMatch(entry, fingerprint)).pop()
+      : null;
+
+    if (earlier && !force) {
+      return { downloadId: earlier.downloadId, filename: earlier.filename, at: earlier.at };
+    }
+
+    prints.push({ ...fingerprint, downloadId, entry, filename, at: Date.now() });
+    return null;
+  });
+}
+
+/**
+ * Forget a print that did not happen, so the next copy of the file is printed
+ * @param {number} downloadId - Chrome download ID
+ * @param {string|null} entry - Archive entry path, for files printed from an archive
+ * @returns {Promise<void>}
+ */
+export function forgetPrint(downloadId, entry = null) {
+  return withRecentPrints(prints => {
+    const remaining = prints.filter(print =>
+      print.downloadId !== downloadId || (print.entry ?? null) !== entry);
+    prints.splice(0, prints.length, ...remaining);
+  });
+}
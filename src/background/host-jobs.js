@@ -0,0 +1,151 @@
+/**
+ * AutoPrint Extension - Native Host Jobs
+ * The native host answers a print request once the job is submitted, before the printer
+ * has done anything with it. Submitted jobs are polled until the host reports them
+ * completed, failed or cancelled, and their print history entry is updated.
+ */
+
+import { loadHostJobs, saveHostJobs, updatePrintHistoryEntry } from '../shared/storage.js';
+import { CONFIG } from '../shared/config.js';
+import { getHostJobStatus, isFinalHostStatus, NativeHostUnavailableError } from '../shared/native-host.js';
+
+// Callback for jobs the printer did not print; set by the service worker
+let onJobFailed = () => {};
+
+// Serializes every read-modify-write of the stored host jobs
+let hostJobsLock = Promise.resolve();
+
+/**
+ * Set what happens when the host reports a job failed or cancelled
+ * @param {Object} options - Options
+ * @param {Function} options.onJobFailed - Called with the updated history entry
+ */
+export function configureHostJobs(options) {
+  onJobFailed = options.onJobFailed || onJobFailed;
+}
+
+/**
+ * Run a host jobs update exclusively
+ * @param {Function} update - Receives the tracked jobs, may mutate them and return a value
+ * @returns {Promise<*>} Value returned by the update
+ */
+function withHostJobs(update) {
+  const run = hostJobsLock.then(async () => {
+    const jobs = await loadHostJobs();
+    const result = await update(jobs);
+    await saveHostJobs(jobs);
+    if (jobs.length > 0) {
+      chrome.alarms.create(CONFIG.ALARMS.HOST_JOB_POLL, { periodInMinutes: CONFIG.HOST_JOBS.POLL_MINUTES });
+    } else {
+      chrome.alarms.clear(CONFIG.ALARMS.HOST_JOB_POLL);
+    }
+    return result;
+  });
+  hostJobsLock = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Follow a submitted native host job until it is final
+ * @param {Object} hostJob - Job to follow
+ * @param {number} hostJob.historyId - ID of its print history entry
+ * @param {string} hostJob.hostName - Native host that printed it
+ * @param {string} hostJob.hostJobId - Job ID the host returned
+ * @param {string|null} hostJob.printer - Printer it was sent to
+ * @param {string} hostJob.status - Status reported so far
+ * @returns {Promise<void>}
+ */
+export function trackHostJob(hostJob) {
+  return withHostJobs(jobs => {
+    jobs.push({ ...hostJob, since: Date.now() });
+  });
+}
+
+/**
+ * Get the history fields for a host job status
+ * @param {string} status - Status reported by the host
+ * @param {string|null} error - Reason reported by the host
+ * @returns {Object} Fields to set on the history entry
+ */
+function getHistoryChanges(status, error) {
+  if (status === CONFIG.HOST_JOB_STATUS.FAILED) {
+    return {
+      hostStatus: status,
+      status: CONFIG.HISTORY_STATUS.ERROR,
+      error: error ? `The printer did not print the file: ${error}` : 'The printer did not print the file'
+    };
+  }
+  if (status === CONFIG.HOST_JOB_STATUS.CANCELLED) {
+    return { hostStatus: status, status: CONFIG.HISTORY_STATUS.CANCELLED };
+  }
+  return { hostStatus: status };
+}
+
+/**
+ * Ask the host about one job and record a changed status
+ * @param {Object} hostJob - Tracked job (status is updated)
+ * @returns {Promise<boolean>} True if the job no longer needs polling
+ */
+async function pollHostJob(hostJob) {
+  let result;
+  try {
+    result = await getHostJobStatus(hostJob.hostName, hostJob);
+  } catch (error) {
+    if (error instanceof NativeHostUnavailableError) {
+      console.log('[AutoPrint] Native host unavailable, asking about job', hostJob.hostJobId, 'later:', error.message);
+      return false;
+    }
+    // Hosts without status support, or that no longer know the job, cannot tell us more
+    console.warn('[AutoPrint] Native host cannot report job', hostJob.hostJobId + ':', error.message);
+    return true;
+  }
+
+  if (result.status !== hostJob.status) {
+    hostJob.status = result.status;
+    const entry = await updatePrintHistoryEntry(hostJob.historyId, getHistoryChanges(result.status, result.error));
+    if (!entry) {
+      // The entry was cleared from the history, so there is nothing left to update
+      return true;
+    }
+    if (entry.status !== CONFIG.HISTORY_STATUS.PRINTED) {
+      onJobFailed(entry);
+    }
+  }
+  return isFinalHostStatus(result.status);
+}
+
+/**
+ * Poll the tracked host jobs and stop following the final and expired ones
+ * @returns {Promise<void>}
+ */
+export function pollHostJobs() {
+  return withHostJobs(async (jobs) => {
+    const cutoff = Date.now() - CONFIG.HOST_JOBS.MAX_AGE_HOURS * 60 * 60 * 1000;
+    const remaining = [];
+    for (const hostJob of jobs) {
+      let done = false;
+      try {
+        done = await pollHostJob(hostJob);
+      } catch (error) {
+        console.error('[AutoPrint] Error polling host job', hostJob.hostJobId + ':', error);
+      }
+      if (!done && hostJob.since >= cutoff) {
+        remaining.push(hostJob);
+      }
+    }
+    jobs.splice(0, jobs.length, ...remaining);
+  });
+}
+
+/**
+ * Handle the host job poll alarm
+ * @param {Object} alarm - Chrome alarm
+ * @returns {boolean} True if the alarm was the host job poll
+ */
+export function handleHostJobAlarm(alarm) {
+  if (alarm.name !== CONFIG.ALARMS.HOST_JOB_POLL) {
+    return false;
+  }
+  pollHostJobs().catch(error => console.error('[AutoPrint] Error polling host jobs:', error));
+  return true;
+}
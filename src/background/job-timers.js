@@ -0,0 +1,51 @@
+/**
+ * AutoPrint Extension - Job Timers
+ * Timeouts for the waits of a print job (tab loading, print dialogs), kept as alarms
+ * rather than setTimeout so they wake the worker even if it was terminated meanwhile.
+ * A timer that fires in a new worker has nobody waiting for it any more; the job it
+ * belonged to is picked up by the queue's recovery instead.
+ */
+
+import { CONFIG } from '../shared/config.js';
+
+// Callbacks of the timers started by this worker instance, by alarm name
+const callbacks = new Map();
+let nextTimerId = 1;
+
+/**
+ * Call a function once a delay has passed. Alarms fire no sooner than 30 seconds,
+ * so shorter delays are rounded up by the browser.
+ * @param {number} seconds - Delay in seconds
+ * @param {Function} callback - Called when the delay has passed
+ * @returns {Function} Cancels the timer
+ */
+export function startJobTimer(seconds, callback) {
+  const name = `${CONFIG.ALARMS.JOB_TIMER}_${Date.now()}_${nextTimerId++}`;
+  callbacks.set(name, callback);
+  chrome.alarms.create(name, { when: Date.now() + seconds * 1000 });
+
+  return () => {
+    callbacks.delete(name);
+    chrome.alarms.clear(name);
+  };
+}
+
+/**
+ * Handle a job timer alarm
+ * @param {Object} alarm - Chrome alarm
+ * @returns {boolean} True if the alarm was a job timer
+ */
+export function handleJobTimerAlarm(alarm) {
+  if (!alarm.name.startsWith(`${CONFIG.ALARMS.JOB_TIMER}_`)) {
+    return false;
+  }
+
+  const callback = callbacks.get(alarm.name);
+  callbacks.delete(alarm.name);
+  if (callback) {
+    callback();
+  } else {
+    console.log('[AutoPrint] Job timer of a previous worker fired:', alarm.name);
+  }
+  return true;
+}
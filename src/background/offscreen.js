@@ -0,0 +1,71 @@
+/**
+ * AutoPrint Extension - Offscreen File Access
+ * Reads downloaded files for the service worker through the offscreen document,
+ * since service workers cannot read file:// URLs
+ */
+
+import { CONFIG } from '../shared/config.js';
+import { FileAccessError, describeReadFailure } from '../shared/file-reader.js';
+
+// Shared by callers that need the document while it is being created
+let creating = null;
+
+/**
+ * Create the offscreen document unless it is already open
+ * @returns {Promise<void>}
+ */
+async function ensureOffscreenDocument() {
+  if (await chrome.offscreen.hasDocument()) {
+    return;
+  }
+  if (!creating) {
+    creating = chrome.offscreen.createDocument({
+      url: CONFIG.OFFSCREEN.URL,
+      reasons: [chrome.offscreen.Reason.BLOBS],
+      justification: 'Reads downloaded files from disk for content sniffing, duplicate checks and ZIP archives'
+    }).finally(() => {
+      creating = null;
+    });
+  }
+  await creating;
+}
+
+/**
+ * Decode base64 text
+ * @param {string} text - Base64 text
+ * @returns {Uint8Array} Bytes
+ */
+function fromBase64(text) {
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * Read a downloaded file from disk
+ * @param {string} path - Local file path
+ * @param {Object} options - Read options
+ * @param {number} options.length - Only read this many leading bytes
+ * @returns {Promise<Uint8Array>} File content
+ * @throws {FileAccessError} If the file cannot be read
+ */
+export async function readDownloadedFile(path, { length = null } = {}) {
+  await ensureOffscreenDocument();
+  const file = await chrome.runtime.sendMessage({ type: 'offscreenReadFile', path, length });
+  if (!file || file.error) {
+    throw new FileAccessError(await describeReadFailure(path));
+  }
+
+  const bytes = new Uint8Array(file.size);
+  for (let offset = 0; offset < file.size; offset += CONFIG.OFFSCREEN.CHUNK_BYTES) {
+    const chunk = await chrome.runtime.sendMessage({ type: 'offscreenReadChunk', readId: file.readId, offset });
+    if (!chunk || chunk.error) {
+      throw new FileAccessError(`Could not read the downloaded file "${path}": ${chunk?.error || 'no response'}`);
+    }
+    bytes.set(fromBase64(chunk.data), offset);
+  }
+  return bytes;
+}
@@ -0,0 +1,553 @@
+/**
+ * AutoPrint Extension - Print Queue
+ * Persistent queue that prints jobs one at a time (or at a configured concurrency)
+ * with retries and exponential backoff. Jobs checkpoint their progress so a
+ * terminated service worker can resume them on its next start.
+ */
+
+import { loadPrintQueue, savePrintQueue } from '../shared/storage.js';
+import { CONFIG } from '../shared/config.js';
+
+const { JOB_STATUS, JOB_STAGE, ALARMS } = CONFIG;
+
+// Queue configuration set by the service worker
+let queueOptions = {
+  printJob: null,
+  getSettings: () => ({}),
+  onJobSettled: () => {}
+};
+
+// Jobs currently being printed by this worker instance
+const runningJobs = new Set();
+
+// In-memory timer for the next retry or delayed print; the alarms take over if the worker stops
+let wakeTimer = null;
+
+// Serializes every read-modify-write of the stored queue
+let queueLock = Promise.resolve();
+
+/**
+ * Run a queue update exclusively
+ * @param {Function} update - Receives the queue array, may mutate it and return a value
+ * @returns {Promise<*>} Value returned by the update
+ */
+function withQueue(update) {
+  const run = queueLock.then(async () => {
+    const queue = await loadPrintQueue();
+    const result = await update(queue);
+    pruneFinishedJobs(queue);
+    await savePrintQueue(queue);
+    return result;
+  });
+  queueLock = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Drop the oldest finished jobs so the stored queue stays small
+ * @param {Array} queue - Queue array (mutated)
+ */
+function pruneFinishedJobs(queue) {
+  const finished = queue.filter(job => isFinished(job));
+  const excess = finished.length - CONFIG.QUEUE.MAX_FINISHED_JOBS;
+  if (excess <= 0) return;
+
+  const oldest = finished
+    .sort((a, b) => (a.finishedAt || 0) - (b.finishedAt || 0))
+    .slice(0, excess);
+  for (const job of oldest) {
+    queue.splice(queue.indexOf(job), 1);
+  }
+}
+
+/**
+ * Check whether a job reached a final state
+ * @param {Object} job - Print job
+ * @returns {boolean} True if done, failed, cancelled or skipped
+ */
+function isFinished(job) {
+  return job.status === JOB_STATUS.DONE || job.status === JOB_STATUS.FAILED ||
+    job.status === JOB_STATUS.CANCELLED || job.status === JOB_STATUS.SKIPPED;
+}
+
+/**
+ * Compute the wait before the next attempt
+ * @param {number} attempts - Attempts made so far
+ * @param {Object} settings - Current settings
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(attempts, settings) {
+  const seconds = settings.retryDelaySeconds * Math.pow(2, Math.max(0, attempts - 1));
+  return Math.min(seconds, CONFIG.QUEUE.MAX_RETRY_DELAY_SECONDS) * 1000;
+}
+
+/**
+ * Configure the queue
+ * @param {Object} options - Queue options
+ * @param {Function} options.printJob - Async function that prints a job and throws on failure
+ * @param {Function} options.getSettings - Returns the current settings
+ * @param {Function} options.onJobSettled - Called with a job once it is done, skipped, cancelled or has finally failed
+ */
+export function configureQueue(options) {
+  queueOptions = { ...queueOptions, ...options };
+}
+
+/**
+ * Generate a unique job identifier
+ * @returns {string} Job ID
+ */
+function generateJobId() {
+  return 'job_' + Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+}
+
+/**
+ * Check whether a queued job prints a file. Grouped jobs print every file in their items.
+ * @param {Object} job - Queued job
+ * @param {Object} file - Job fields of the file
+ * @returns {boolean} True if the job prints the same download (and archive entry)
+ */
+function jobPrintsFile(job, file) {
+  // Files from one archive share its download ID and differ by entry
+  const sameFile = item => item.downloadId === file.downloadId &&
+    (item.archiveEntry?.name ?? null) === (file.archiveEntry?.name ?? null);
+  return (job.items || [job]).some(sameFile);
+}
+
+/**
+ * Add a file to the open group with the same key, so the files print together as one job
+ * @param {Array} queue - Queue array (mutated)
+ * @param {Object} jobData - Job fields of the file
+ * @param {Object} group - Group options
+ * @returns {Object|null} The group job, or null if no group is open
+ */
+function addToGroup(queue, jobData, group) {
+  const open = queue.find(job => job.groupKey === group.key &&
+    job.status === JOB_STATUS.DELAYED &&
+    job.items.length < group.maxItems);
+  if (!open) {
+    return null;
+  }
+
+  open.items.push(jobData);
+  open.fileSize = open.items.reduce((sum, item) => sum + (item.fileSize || 0), 0);
+  // A full group does not wait for the rest of its window
+  if (open.items.length >= group.maxItems) {
+    open.printAt = Date.now();
+  }
+  return open;
+}
+
+/**
+ * Add a job to the end of the queue and start processing
+ * @param {Object} jobData - Job fields (download details, matched rule, ...)
+ * @param {Object} options - Queue options
+ * @param {number} options.approvalExpiresAt - Hold the job until it is approved; skip it if
+ *   nobody answers by this time
+ * @param {number} options.delaySeconds - Hold the job for this long so it can still be cancelled
+ * @param {Object} options.group - Print the file together with files queued under the same key
+ *   within the window, as one job: { key, maxItems, windowSeconds, batch }. Batches merge files
+ *   of any rule into one document.
+ * @param {boolean} options.reprint - The file was printed before on purpose; only a copy still
+ *   waiting in the queue counts as a duplicate
+ * @returns {Promise<Object>} The queued job (for grouped files, the group job)
+ */
+export async function enqueueJob(jobData, { approvalExpiresAt = null, delaySeconds = 0, group = null, reprint = false } = {}) {
+  let status = JOB_STATUS.PENDING;
+  if (approvalExpiresAt) {
+    status = JOB_STATUS.AWAITING_APPROVAL;
+  } else if (group) {
+    // A group collects files until its window closes
+    status = JOB_STATUS.DELAYED;
+    delaySeconds = Math.max(delaySeconds, group.windowSeconds);
+  } else if (delaySeconds > 0) {
+    status = JOB_STATUS.DELAYED;
+  }
+
+  const job = {
+    id: generateJobId(),
+    ...jobData,
+    status,
+    attempts: 0,
+    createdAt: Date.now(),
+    expiresAt: approvalExpiresAt,
+    printAt: status === JOB_STATUS.DELAYED ? Date.now() + delaySeconds * 1000 : null,
+    nextAttemptAt: 0,
+    startedAt: null,
+    finishedAt: null,
+    error: null
+  };
+  if (group) {
+    job.groupKey = group.key;
+    job.items = [jobData];
+    job.batch = Boolean(group.batch);
+  }
+
+  const queued = await withQueue(queue => {
+    const duplicate = jobData.downloadId != null && queue.some(item =>
+      item.status !== JOB_STATUS.CANCELLED && (!reprint || !isFinished(item)) && jobPrintsFile(item, jobData));
+    if (duplicate) {
+      return null;
+    }
+
+    const grouped = group ? addToGroup(queue, jobData, group) : null;
+    if (grouped) {
+      return { ...grouped };
+    }
+    queue.push(job);
+    return job;
+  });
+
+  if (!queued) {
+    console.log('[AutoPrint] Download already queued, skipping:', jobData.downloadId);
+    return null;
+  }
+
+  if (queued.id === job.id) {
+    console.log('[AutoPrint] Job queued:', job.id, job.filename);
+  } else {
+    console.log('[AutoPrint] File added to job:', queued.id, jobData.filename, `(${queued.items.length} files)`);
+  }
+  processQueue();
+  return queued;
+}
+
+/**
+ * Save progress of a printing job so it can be resumed after a worker restart
+ * @param {string} jobId - Job ID
+ * @param {Object} fields - Fields to store on the job (stage, tabId, ...)
+ * @returns {Promise<void>}
+ */
+export function checkpointJob(jobId, fields) {
+  return withQueue(queue => {
+    const job = queue.find(item => item.id === jobId);
+    if (job && job.status === JOB_STATUS.PRINTING) {
+      Object.assign(job, fields, { checkpointAt: Date.now() });
+      // When the file first went to the printer, for the download-to-print time
+      if (fields.stage === JOB_STAGE.PRINT_SENT && !job.printSentAt) {
+        job.printSentAt = job.checkpointAt;
+      }
+    }
+  });
+}
+
+/**
+ * Approve a job that is waiting for approval so it gets printed
+ * @param {string} jobId - Job ID
+ * @returns {Promise<boolean>} True if the job was approved
+ */
+export async function approveJob(jobId) {
+  const approved = await withQueue(queue => {
+    const job = queue.find(item => item.id === jobId);
+    if (!job || job.status !== JOB_STATUS.AWAITING_APPROVAL) {
+      return false;
+    }
+    job.status = JOB_STATUS.PENDING;
+    job.expiresAt = null;
+    job.approvedAt = Date.now();
+    return true;
+  });
+
+  if (approved) {
+    processQueue();
+  }
+  return approved;
+}
+
+/**
+ * Skip a job that is waiting for approval
+ * @param {string} jobId - Job ID
+ * @returns {Promise<boolean>} True if the job was skipped
+ */
+export async function skipJob(jobId) {
+  const skipped = await withQueue(queue => {
+    const job = queue.find(item => item.id === jobId);
+    if (!job || job.status !== JOB_STATUS.AWAITING_APPROVAL) {
+      return null;
+    }
+    job.status = JOB_STATUS.SKIPPED;
+    job.skipReason = 'declined';
+    job.finishedAt = Date.now();
+    return { ...job };
+  });
+
+  if (skipped) {
+    await settleJob(skipped);
+  }
+  return Boolean(skipped);
+}
+
+/**
+ * Cancel a pending or delayed job
+ * @param {string} jobId - Job ID
+ * @returns {Promise<boolean>} True if the job was cancelled
+ */
+export async function cancelJob(jobId) {
+  const cancelled = await withQueue(queue => {
+    const job = queue.find(item => item.id === jobId);
+    if (!job || (job.status !== JOB_STATUS.PENDING && job.status !== JOB_STATUS.DELAYED)) {
+      return null;
+    }
+    job.status = JOB_STATUS.CANCELLED;
+    job.finishedAt = Date.now();
+    return { ...job };
+  });
+
+  if (cancelled) {
+    await settleJob(cancelled);
+  }
+  return Boolean(cancelled);
+}
+
+/**
+ * Move a pending job up or down among the pending jobs
+ * @param {string} jobId - Job ID
+ * @param {string} direction - 'up' or 'down'
+ * @returns {Promise<boolean>} True if the job was moved
+ */
+export function moveJob(jobId, direction) {
+  return withQueue(queue => {
+    const pending = queue.filter(job => job.status === JOB_STATUS.PENDING);
+    const index = pending.findIndex(job => job.id === jobId);
+    const targetIndex = direction === 'up' ? index - 1 : index + 1;
+    if (index === -1 || targetIndex < 0 || targetIndex >= pending.length) {
+      return false;
+    }
+
+    const from = queue.indexOf(pending[index]);
+    const to = queue.indexOf(pending[targetIndex]);
+    [queue[from], queue[to]] = [queue[to], queue[from]];
+    return true;
+  });
+}
+
+/**
+ * Remove all finished jobs from the queue
+ * @returns {Promise<void>}
+ */
+export function clearFinishedJobs() {
+  return withQueue(queue => {
+    const active = queue.filter(job => !isFinished(job));
+    queue.splice(0, queue.length, ...active);
+  });
+}
+
+/**
+ * Resume jobs left in the printing state by a terminated worker.
+ * Jobs whose print command was already sent are completed, jobs whose tab is still
+ * open continue in that tab, and all others are started again.
+ * @returns {Promise<void>}
+ */
+export async function recoverInterruptedJobs() {
+  const openTabIds = new Set((await chrome.tabs.query({})).map(tab => tab.id));
+
+  const completed = await withQueue(queue => {
+    const settled = [];
+
+    for (const job of queue) {
+      if (job.status !== JOB_STATUS.PRINTING || runningJobs.has(job.id)) continue;
+
+      if (job.stage === JOB_STAGE.PRINT_SENT) {
+        console.log('[AutoPrint] Interrupted job already reached the print dialog:', job.id);
+        job.status = JOB_STATUS.DONE;
+        job.finishedAt = Date.now();
+        settled.push({ ...job });
+        continue;
+      }
+
+      console.log('[AutoPrint] Resuming interrupted job:', job.id, job.stage || 'not started');
+      job.status = JOB_STATUS.PENDING;
+      job.nextAttemptAt = 0;
+      // An interruption is not a failed attempt
+      job.attempts = Math.max(0, job.attempts - 1);
+      job.resumeTabId = job.tabId && openTabIds.has(job.tabId) ? job.tabId : null;
+      job.stage = null;
+    }
+
+    return settled;
+  });
+
+  for (const job of completed) {
+    await settleJob(job);
+  }
+}
+
+/**
+ * Handle a queue alarm. The watchdog also resumes jobs a terminated worker left printing.
+ * @param {Object} alarm - Chrome alarm
+ * @returns {boolean} True if the alarm belonged to the queue
+ */
+export function handleQueueAlarm(alarm) {
+  if (![ALARMS.QUEUE_WAKE, ALARMS.JOB_WATCHDOG, ALARMS.APPROVAL_EXPIRY].includes(alarm.name)) {
+    return false;
+  }
+  if (alarm.name === ALARMS.JOB_WATCHDOG) {
+    recoverInterruptedJobs()
+      .catch(error => console.error('[AutoPrint] Job recovery error:', error))
+      .then(processQueue);
+  } else {
+    processQueue();
+  }
+  return true;
+}
+
+/**
+ * Schedule alarms for the next due retry or delayed print, the next approval that expires and,
+ * while jobs are printing, a watchdog that wakes the worker if it is terminated mid-print.
+ * Alarms fire no sooner than 30 seconds, so a timer covers short waits while the worker runs.
+ * @param {Array} queue - Queue array
+ */
+function scheduleAlarms(queue) {
+  const now = Date.now();
+  const wakeTimes = queue
+    .map(job => {
+      if (job.status === JOB_STATUS.PENDING && job.nextAttemptAt > now) return job.nextAttemptAt;
+      if (job.status === JOB_STATUS.DELAYED) return job.printAt;
+      return null;
+    })
+    .filter(time => time !== null);
+  const nextWake = wakeTimes.length > 0 ? Math.min(...wakeTimes) : null;
+  if (nextWake) {
+    chrome.alarms.create(ALARMS.QUEUE_WAKE, { when: nextWake });
+  } else {
+    chrome.alarms.clear(ALARMS.QUEUE_WAKE);
+  }
+
+  const awaiting = queue.filter(job => job.status === JOB_STATUS.AWAITING_APPROVAL);
+  const nextExpiry = awaiting.length > 0 ? Math.min(...awaiting.map(job => job.expiresAt)) : null;
+  if (nextExpiry) {
+    chrome.alarms.create(ALARMS.APPROVAL_EXPIRY, { when: nextExpiry });
+  } else {
+    chrome.alarms.clear(ALARMS.APPROVAL_EXPIRY);
+  }
+
+  clearTimeout(wakeTimer);
+  const nextTimer = Math.min(nextWake ?? Infinity, nextExpiry ?? Infinity);
+  wakeTimer = nextTimer === Infinity ? null : setTimeout(processQueue, Math.max(0, nextTimer - now));
+
+  if (queue.some(job => job.status === JOB_STATUS.PRINTING)) {
+    chrome.alarms.create(ALARMS.JOB_WATCHDOG, { when: Date.now() + CONFIG.QUEUE.WATCHDOG_SECONDS * 1000 });
+  } else {
+    chrome.alarms.clear(ALARMS.JOB_WATCHDOG);
+  }
+}
+
+/**
+ * Skip jobs whose approval time ran out, commit delayed jobs whose undo window is over,
+ * then start as many due pending jobs as the concurrency limit allows
+ * @returns {Promise<void>}
+ */
+export async function processQueue() {
+  const settings = queueOptions.getSettings() || {};
+  const concurrency = settings.printConcurrency || 1;
+  const expiredJobs = [];
+
+  const jobsToStart = await withQueue(queue => {
+    const now = Date.now();
+
+    for (const job of queue) {
+      if (job.status === JOB_STATUS.AWAITING_APPROVAL && job.expiresAt <= now) {
+        console.log('[AutoPrint] Approval expired:', job.id);
+        job.status = JOB_STATUS.SKIPPED;
+        job.skipReason = 'expired';
+        job.finishedAt = now;
+        expiredJobs.push({ ...job });
+      }
+
+      // The undo window is over, the job may print now
+      if (job.status === JOB_STATUS.DELAYED && job.printAt <= now) {
+        job.status = JOB_STATUS.PENDING;
+      }
+    }
+
+    const printing = queue.filter(job => job.status === JOB_STATUS.PRINTING).length;
+    const due = queue.filter(job => job.status === JOB_STATUS.PENDING && job.nextAttemptAt <= now);
+    const starting = due.slice(0, Math.max(0, concurrency - printing));
+
+    for (const job of starting) {
+      job.status = JOB_STATUS.PRINTING;
+      job.stage = JOB_STAGE.OPENING;
+      job.attempts += 1;
+      job.startedAt = now;
+      runningJobs.add(job.id);
+    }
+
+    scheduleAlarms(queue);
+    return starting.map(job => ({ ...job }));
+  });
+
+  for (const job of expiredJobs) {
+    await settleJob(job);
+  }
+
+  for (const job of jobsToStart) {
+    runJob(job);
+  }
+}
+
+/**
+ * Print a single job and record the outcome
+ * @param {Object} job - Job in the printing state
+ */
+async function runJob(job) {
+  let error = null;
+
+  try {
+    await queueOptions.printJob(job, {
+      checkpoint: fields => checkpointJob(job.id, fields)
+    });
+  } catch (printError) {
+    error = printError;
+    console.error('[AutoPrint] Job failed:', job.id, printError);
+  }
+
+  const settled = await withQueue(queue => {
+    const stored = queue.find(item => item.id === job.id);
+    runningJobs.delete(job.id);
+    if (!stored) return null;
+
+    if (!error) {
+      stored.status = JOB_STATUS.DONE;
+      stored.finishedAt = Date.now();
+      stored.error = null;
+      return { ...stored };
+    }
+
+    const settings = queueOptions.getSettings() || {};
+    stored.error = error.message;
+    stored.stage = null;
+    stored.tabId = null;
+    stored.resumeTabId = null;
+
+    if (stored.attempts <= (settings.maxRetries ?? 0)) {
+      stored.status = JOB_STATUS.PENDING;
+      stored.nextAttemptAt = Date.now() + getRetryDelay(stored.attempts, settings);
+      console.log('[AutoPrint] Job will be retried:', stored.id, 'attempt', stored.attempts + 1);
+      return null;
+    }
+
+    stored.status = JOB_STATUS.FAILED;
+    stored.finishedAt = Date.now();
+    return { ...stored };
+  }).catch((queueError) => {
+    console.error('[AutoPrint] Queue update error:', queueError);
+    return null;
+  });
+
+  if (settled) {
+    await settleJob(settled);
+  }
+
+  processQueue();
+}
+
+/**
+ * Report a finished job to the service worker
+ * @param {Object} job - Job that is done, skipped, cancelled or has failed its last attempt
+ */
+async function settleJob(job) {
+  try {
+    await queueOptions.onJobSettled(job);
+  } catch (settleError) {
+    console.error('[AutoPrint] Job settle error:', settleError);
+  }
+}
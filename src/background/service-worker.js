@@ -3,19 +3,59 @@
  * Handles download detection and automatic printing
  */
 
-import { loadSettings, addToPrintHistory, onSettingsChange } from '../shared/storage.js';
+import { loadSettings, addToPrintHistory, loadPrintHistoryEntry, onSettingsChange } from '../shared/storage.js';
 import { CONFIG, getNotificationIconUrl } from '../shared/config.js';
+import { findMatchingRule, getFileExtension, getSetPrintOptions, rulesNeedSniffing, getImagesPerLayout, IMAGE_LAYOUTS } from '../shared/rules.js';
+import { detectFileType, getViewerKind, SNIFF_LENGTH } from '../shared/file-types.js';
+import { getFileUrl } from '../shared/file-reader.js';
+import { readDownloadedFile } from './offscreen.js';
+import { printWithHost, isFinalHostStatus, NativeHostUnavailableError } from '../shared/native-host.js';
+import { findStampTemplate } from '../shared/stamps.js';
+import {
+  configureQueue,
+  enqueueJob,
+  approveJob,
+  skipJob,
+  cancelJob,
+  moveJob,
+  clearFinishedJobs,
+  recoverInterruptedJobs,
+  handleQueueAlarm,
+  processQueue
+} from './print-queue.js';
+import { claimDownload, markDownloadHandled, findMissedDownloads } from './download-ledger.js';
+import { claimPrint, forgetPrint, createFingerprint, hashContent } from './duplicate-guard.js';
+import { isArchive, openArchive, ArchiveLimitError } from './archives.js';
+import { startJobTimer, handleJobTimerAlarm } from './job-timers.js';
+import { configureHostJobs, trackHostJob, handleHostJobAlarm } from './host-jobs.js';
+import { getHistoryEntryFiles, findHistoryDownload, MissingFileError } from '../shared/history-files.js';
 
 // Current settings cache
 let currentSettings = null;
+
+// Viewer pages waiting to print, by job ID
+const viewerSessions = new Map();
 let isInitialized = false;
+let initializing = null;
 
 /**
- * Initialize the service worker
+ * Initialize the service worker. Concurrent callers share one initialization.
  */
 async function initialize() {
   if (isInitialized) return;
   
+  if (!initializing) {
+    initializing = runInitialization().finally(() => {
+      initializing = null;
+    });
+  }
+  return initializing;
+}
+
+/**
+ * Load settings, set up the queue and pick up work left over by a terminated worker
+ */
+async function runInitialization() {
   console.log('[AutoPrint] Service worker initializing...');
   
   try {
@@ -33,8 +73,29 @@ async function initialize() {
     // Update badge on startup
     updateBadge();
     
+    // Set up the print queue and resume jobs left over from a previous run
+    configureQueue({
+      printJob: printFile,
+      getSettings: () => currentSettings,
+      onJobSettled: handleJobSettled
+    });
+    configureHostJobs({ onJobFailed: handleHostJobFailed });
+    await recoverInterruptedJobs();
+    processQueue();
+    
     isInitialized = true;
     console.log('[AutoPrint] Service worker initialized successfully');
+    
+    // Handle downloads that completed while the worker was down or mid-way
+    const { interrupted, unseen } = await findMissedDownloads();
+    for (const downloadId of interrupted) {
+      console.log('[AutoPrint] Resuming interrupted download:', downloadId);
+      await handleCompletedDownload(downloadId, { reclaim: true });
+    }
+    for (const downloadId of unseen) {
+      console.log('[AutoPrint] Catching up on missed download:', downloadId);
+      await handleCompletedDownload(downloadId);
+    }
   } catch (error) {
     console.error('[AutoPrint] Initialization error:', error);
   }
@@ -70,60 +131,48 @@ function getFilename(downloadItem) {
 }
 
 /**
- * Extract file extension from filename
- * @param {string} filename - Filename
- * @returns {string} Extension without dot, lowercase
- */
-function getFileExtension(filename) {
-  const parts = filename.split('.');
-  if (parts.length > 1) {
-    return parts[parts.length - 1].toLowerCase();
-  }
-  return '';
-}
-
-/**
- * Check if a file matches the current filter settings
- * @param {string} filename - Filename to check
- * @returns {Object} Match result with details
+ * Check if a download matches the current filter rules
+ * @param {Object} downloadItem - Chrome download item
+ * @returns {Promise<Object>} Match result with the matched rule, source domain, detected type,
+ *   the reason sniffing failed (sniffError) and details
  */
-function checkFilters(filename) {
-  const result = {
-    matches: true,
-    prefixMatch: true,
-    extensionMatch: true,
-    details: []
-  };
-  
+async function checkFilters(downloadItem) {
   if (!currentSettings) {
-    result.matches = false;
-    result.details.push('Settings not loaded');
-    return result;
+    return {
+      matches: false,
+      rule: null,
+      domain: null,
+      detectedType: null,
+      sniffError: null,
+      details: ['Settings not loaded']
+    };
   }
   
-  const { prefixFilter, extensionFilter } = currentSettings;
-  
-  // Check prefix filter
-  if (prefixFilter && prefixFilter.trim()) {
-    result.prefixMatch = filename.toLowerCase().startsWith(prefixFilter.toLowerCase());
-    if (!result.prefixMatch) {
-      result.matches = false;
-      result.details.push(`Prefix "${prefixFilter}" not matched`);
+  // Only read the file when a rule asks for its real type
+  let detectedType = null;
+  let sniffError = null;
+  if (rulesNeedSniffing(currentSettings.rules)) {
+    try {
+      detectedType = detectFileType(await readDownloadedFile(downloadItem.filename, { length: SNIFF_LENGTH }));
+      console.log('[AutoPrint] Detected content type:', detectedType?.mime || 'unknown');
+    } catch (error) {
+      // Rules still match on the name and server type, but the user has to know why
+      console.warn('[AutoPrint] Could not sniff content type:', error.message);
+      sniffError = error.message;
+      showNotification('AutoPrint: File Type Not Checked', `"${getFilename(downloadItem)}": ${error.message}`, 'error');
     }
   }
   
-  // Check extension filter
-  if (extensionFilter && extensionFilter.trim()) {
-    const fileExt = getFileExtension(filename);
-    const filterExt = extensionFilter.toLowerCase().replace(/^\./, '');
-    result.extensionMatch = fileExt === filterExt;
-    if (!result.extensionMatch) {
-      result.matches = false;
-      result.details.push(`Extension ".${filterExt}" not matched (file has ".${fileExt}")`);
-    }
-  }
+  const result = findMatchingRule(currentSettings.rules, {
+    filename: getFilename(downloadItem),
+    url: downloadItem.url,
+    finalUrl: downloadItem.finalUrl,
+    referrer: downloadItem.referrer,
+    mime: downloadItem.mime,
+    detectedType
+  });
   
-  return result;
+  return { ...result, detectedType, sniffError };
 }
 
 /**
@@ -131,23 +180,27 @@ function checkFilters(filename) {
  * @param {string} title - Notification title
  * @param {string} message - Notification message
  * @param {string} type - 'success' or 'error'
+ * @param {Object} options - Notification options
+ * @param {string} options.notificationId - Fixed ID, used to identify button clicks
+ * @param {Array<Object>} options.buttons - Action buttons as { title }
  */
-function showNotification(title, message, type = 'success') {
+function showNotification(title, message, type = 'success', { notificationId, buttons } = {}) {
   if (!currentSettings?.showNotifications) {
     return;
   }
   
   try {
-    const notificationId = type === 'success' 
+    const idPrefix = type === 'success' 
       ? CONFIG.NOTIFICATIONS.PRINT_SUCCESS 
       : CONFIG.NOTIFICATIONS.PRINT_ERROR;
     
-    chrome.notifications.create(notificationId + '_' + Date.now(), {
+    chrome.notifications.create(notificationId || idPrefix + '_' + Date.now(), {
       type: 'basic',
       iconUrl: getNotificationIconUrl(),
       title: title,
       message: message,
-      priority: 1
+      priority: 1,
+      ...(buttons ? { buttons } : {})
     });
   } catch (error) {
     console.error('[AutoPrint] Notification error:', error);
@@ -155,113 +208,792 @@ function showNotification(title, message, type = 'success') {
 }
 
 /**
- * Print a downloaded file
+ * Build a print job from a download and its filter match
  * @param {Object} downloadItem - Chrome download item
- * @returns {Promise<boolean>} Success status
+ * @param {Object} match - Filter match result ({ rule, domain, detectedType, sniffError })
+ * @returns {Object} Job fields
+ */
+function createJobData(downloadItem, match = {}) {
+  return {
+    downloadId: downloadItem.id,
+    filename: getFilename(downloadItem),
+    fullPath: downloadItem.filename,
+    fileSize: downloadItem.fileSize,
+    downloadedAt: downloadItem.endTime || new Date().toISOString(),
+    url: downloadItem.finalUrl || downloadItem.url || null,
+    ruleId: match.rule?.id || null,
+    ruleName: match.rule?.name || null,
+    printOptions: match.rule?.printOptions || null,
+    imageLayout: match.rule?.imageLayout || null,
+    stamp: findStampTemplate(currentSettings?.stampTemplates, match.rule?.stampTemplate),
+    domain: match.domain || null,
+    mime: downloadItem.mime || null,
+    detectedType: match.detectedType?.mime || null,
+    sniffError: match.sniffError || null,
+    duplicateIgnoreUrl: Boolean(match.rule?.duplicateIgnoreUrl)
+  };
+}
+
+/**
+ * Record a file as about to be printed, unless the same file was printed
+ * within the duplicate window
+ * @param {Object} job - Job fields from createJobData()
+ * @param {Object} options - Check options
+ * @param {Function} options.readContent - Returns the file content, used for the content hash
+ * @param {boolean} options.force - Record the print even if it is a duplicate
+ * @returns {Promise<Object|null>} The earlier print if this file is a duplicate
+ */
+async function checkDuplicate(job, { readContent, force = false }) {
+  const windowMinutes = currentSettings.duplicateWindowMinutes;
+  if (!windowMinutes) {
+    return null;
+  }
+  
+  let contentHash = null;
+  if (currentSettings.duplicateCheckContent && job.fileSize <= CONFIG.DUPLICATES.MAX_HASH_BYTES) {
+    try {
+      contentHash = await hashContent(await readContent());
+    } catch (error) {
+      console.warn('[AutoPrint] Could not hash file content:', error.message);
+    }
+  }
+  
+  return claimPrint(createFingerprint({ ...job, contentHash, ignoreUrl: job.duplicateIgnoreUrl }), {
+    downloadId: job.downloadId,
+    entry: job.archiveEntry?.name ?? null,
+    filename: job.filename,
+    windowMinutes,
+    force
+  });
+}
+
+/**
+ * Log a skipped duplicate and offer to print it anyway
+ * @param {Object} job - Job fields of the skipped download
+ * @param {Object} original - The earlier print ({ filename, at })
  */
-async function printFile(downloadItem) {
-  const filename = getFilename(downloadItem);
+async function handleDuplicate(job, original) {
+  console.log('[AutoPrint] Duplicate of', original.filename, 'skipped:', job.filename);
+  
+  await addToPrintHistory({
+    downloadId: job.downloadId,
+    filename: job.filename,
+    fullPath: job.fullPath,
+    fileSize: job.fileSize,
+    ruleId: job.ruleId,
+    ruleName: job.ruleName,
+    printOptions: job.printOptions,
+    domain: job.domain,
+    url: job.url,
+    mime: job.mime,
+    detectedType: job.detectedType,
+    downloadedAt: job.downloadedAt,
+    archive: job.archiveEntry || null,
+    status: CONFIG.HISTORY_STATUS.DUPLICATE,
+    duplicateOf: { filename: original.filename, printedAt: new Date(original.at).toISOString() }
+  });
+  
+  // "Print anyway" re-handles the whole download, so it is not offered for archive entries
+  showNotification(
+    'AutoPrint: Duplicate Skipped',
+    `"${job.filename}" was already printed as "${original.filename}" at ${new Date(original.at).toLocaleTimeString()}.`,
+    'success',
+    job.archiveEntry ? {} : {
+      notificationId: `${CONFIG.NOTIFICATIONS.DUPLICATE}_${job.downloadId}`,
+      buttons: [{ title: 'Print anyway' }]
+    }
+  );
+}
+
+/**
+ * Get the ID of the approval notification for a job
+ * @param {string} jobId - Job ID
+ * @returns {string} Notification ID
+ */
+function getApprovalNotificationId(jobId) {
+  return `${CONFIG.NOTIFICATIONS.APPROVAL}_${jobId}`;
+}
+
+/**
+ * Ask whether a job waiting for approval should be printed.
+ * Shown even when notifications are turned off, since the job cannot print without an answer.
+ * @param {Object} job - Job waiting for approval
+ */
+function showApprovalNotification(job) {
+  const source = job.domain ? ` from ${job.domain}` : '';
+  const minutes = Math.round((job.expiresAt - Date.now()) / 60000);
   
   try {
-    console.log('[AutoPrint] Attempting to print:', filename);
-    console.log('[AutoPrint] File path:', downloadItem.filename);
-    
-    // Open the file in a new tab for printing
-    const fileUrl = 'file://' + downloadItem.filename;
-    
-    // Create a tab with the file - make it ACTIVE so user can see it
-    const tab = await chrome.tabs.create({ 
-      url: fileUrl,
-      active: true  // Make the tab active so user sees the print dialog
+    chrome.notifications.create(getApprovalNotificationId(job.id), {
+      type: 'basic',
+      iconUrl: getNotificationIconUrl(),
+      title: 'AutoPrint: Print this file?',
+      message: `"${job.filename}"${source}. Skipped automatically in ${minutes} min if not answered.`,
+      priority: 2,
+      requireInteraction: true,
+      buttons: [{ title: 'Print' }, { title: 'Skip' }]
     });
+  } catch (error) {
+    console.error('[AutoPrint] Notification error:', error);
+  }
+}
+
+/**
+ * Answer a job waiting for approval
+ * @param {string} jobId - Job ID
+ * @param {boolean} approve - True to print, false to skip
+ * @returns {Promise<boolean>} True if the job was still waiting for an answer
+ */
+async function answerApproval(jobId, approve) {
+  chrome.notifications.clear(getApprovalNotificationId(jobId));
+  console.log('[AutoPrint] Approval answered:', jobId, approve ? 'print' : 'skip');
+  return approve ? approveJob(jobId) : skipJob(jobId);
+}
+
+/**
+ * Get the ID of the undo notification for a delayed job
+ * @param {string} jobId - Job ID
+ * @returns {string} Notification ID
+ */
+function getDelayNotificationId(jobId) {
+  return `${CONFIG.NOTIFICATIONS.DELAY}_${jobId}`;
+}
+
+/**
+ * Offer to cancel a job during its print delay
+ * @param {Object} job - Delayed job
+ */
+function showDelayNotification(job) {
+  const seconds = Math.round((job.printAt - Date.now()) / 1000);
+  showNotification(
+    'AutoPrint: Printing Soon',
+    `"${job.filename}" will print in ${seconds} seconds.`,
+    'success',
+    {
+      notificationId: getDelayNotificationId(job.id),
+      buttons: [{ title: 'Cancel' }]
+    }
+  );
+}
+
+/**
+ * Print a download that was skipped as a duplicate
+ * @param {number} downloadId - Chrome download ID
+ */
+async function forcePrintDownload(downloadId) {
+  const [downloadItem] = await chrome.downloads.search({ id: downloadId });
+  if (!downloadItem || downloadItem.exists === false) {
+    showNotification('AutoPrint: Print Failed', 'The downloaded file no longer exists.', 'error');
+    return;
+  }
+  
+  const job = createJobData(downloadItem, await checkFilters(downloadItem));
+  await checkDuplicate(job, { readContent: () => readDownloadedFile(downloadItem.filename), force: true });
+  
+  console.log('[AutoPrint] Printing duplicate on request:', job.filename);
+  await enqueueJob(job);
+}
+
+/**
+ * Wait for a tab to finish loading
+ * @param {number} tabId - Tab ID
+ * @param {number} timeoutSeconds - Maximum wait in seconds
+ * @returns {Promise<void>}
+ */
+async function waitForTabLoad(tabId, timeoutSeconds) {
+  const tab = await chrome.tabs.get(tabId);
+  if (tab.status === 'complete') {
+    return;
+  }
+  
+  await new Promise((resolve) => {
+    const listener = (updatedTabId, info) => {
+      if (updatedTabId === tabId && info.status === 'complete') {
+        done();
+      }
+    };
+    // Timeout fallback. Every stage is checkpointed, so if the worker dies meanwhile
+    // the alarm wakes it and the job is resumed in its tab.
+    const cancelTimer = startJobTimer(timeoutSeconds, () => done());
+    const done = () => {
+      cancelTimer();
+      chrome.tabs.onUpdated.removeListener(listener);
+      resolve();
+    };
+    chrome.tabs.onUpdated.addListener(listener);
+  });
+}
+
+/**
+ * Get a tab if it is still open
+ * @param {number} tabId - Tab ID
+ * @returns {Promise<Object|null>} Tab, or null if it was closed
+ */
+async function getTab(tabId) {
+  try {
+    return await chrome.tabs.get(tabId);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Get the tab left open by an interrupted attempt of a job
+ * @param {Object} job - Print job
+ * @returns {Promise<Object|null>} Tab, or null if there is none
+ */
+async function getResumeTab(job) {
+  return job.resumeTabId ? getTab(job.resumeTabId) : null;
+}
+
+/**
+ * Check whether the browser can open print tabs in a print mode. Minimized windows
+ * need window management, which mobile builds lack; background tabs need a browser
+ * window to open in, otherwise the tab gets a window of its own and is shown anyway.
+ * @param {string} printMode - Print mode from CONFIG.PRINT_MODES
+ * @returns {Promise<boolean>} True if the mode can be used
+ */
+async function isPrintModeSupported(printMode) {
+  try {
+    if (printMode === CONFIG.PRINT_MODES.MINIMIZED_WINDOW) {
+      if (!chrome.windows) {
+        return false;
+      }
+      const { os } = await chrome.runtime.getPlatformInfo();
+      return os !== 'android';
+    }
+    if (printMode === CONFIG.PRINT_MODES.BACKGROUND_TAB) {
+      await chrome.windows.getLastFocused({ windowTypes: ['normal'] });
+    }
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Open a tab for printing in the configured print mode.
+ * Falls back to an active tab when the mode is not supported by the browser.
+ * @param {string} url - URL to open
+ * @returns {Promise<Object>} { tab, printMode } with the mode that was actually used
+ */
+async function openPrintTab(url) {
+  const printMode = currentSettings?.printMode || CONFIG.PRINT_MODES.TAB;
+  
+  if (printMode === CONFIG.PRINT_MODES.BACKGROUND_TAB || printMode === CONFIG.PRINT_MODES.MINIMIZED_WINDOW) {
+    try {
+      if (!(await isPrintModeSupported(printMode))) {
+        throw new Error('not available in this browser');
+      }
+      if (printMode === CONFIG.PRINT_MODES.BACKGROUND_TAB) {
+        return { tab: await chrome.tabs.create({ url, active: false }), printMode };
+      }
+      const printWindow = await chrome.windows.create({ url, state: 'minimized', focused: false });
+      return { tab: printWindow.tabs[0], printMode };
+    } catch (error) {
+      console.log('[AutoPrint] Print mode not supported, using a visible tab:', printMode, error.message);
+    }
+  }
+  
+  // Create a tab with the file - make it ACTIVE so user can see it
+  const tab = await chrome.tabs.create({ 
+    url,
+    active: true  // Make the tab active so user sees the print dialog
+  });
+  return { tab, printMode: CONFIG.PRINT_MODES.TAB };
+}
+
+/**
+ * Bring a print tab opened in the background to the front if its print dialog has not
+ * finished in time. Its dialog only appears once the tab is selected, so without this
+ * the queue would wait until the user happens to switch to the tab.
+ * @param {Object} tab - Print tab
+ * @param {string} printMode - Mode the tab was opened in
+ * @param {Function} checkpoint - Persists job progress
+ * @returns {Function} Cancels the fallback once the dialog has finished
+ */
+function revealPrintTabLater(tab, printMode, checkpoint) {
+  if (printMode !== CONFIG.PRINT_MODES.BACKGROUND_TAB && printMode !== CONFIG.PRINT_MODES.MINIMIZED_WINDOW) {
+    return () => {};
+  }
+  
+  return startJobTimer(CONFIG.BACKGROUND_PRINT.REVEAL_AFTER_SECONDS, async () => {
+    console.log('[AutoPrint] Print dialog still waiting, showing the print tab:', tab.id);
+    try {
+      await chrome.windows.update(tab.windowId, {
+        focused: true,
+        ...(printMode === CONFIG.PRINT_MODES.MINIMIZED_WINDOW ? { state: 'normal' } : {})
+      });
+      await chrome.tabs.update(tab.id, { active: true });
+      await checkpoint({ printMode: CONFIG.PRINT_MODES.TAB });
+    } catch (error) {
+      console.warn('[AutoPrint] Could not show the print tab:', error.message);
+    }
+  });
+}
+
+/**
+ * Close a print tab or switch back to the tab that was active before printing,
+ * as configured, once its print dialog has finished
+ * @param {number} tabId - Print tab ID
+ * @param {string} outcome - Tab outcome (CONFIG.TAB_OUTCOME)
+ * @param {number|null} previousTabId - Tab that was active before the print tab opened
+ */
+async function finishPrintTab(tabId, outcome, previousTabId) {
+  const action = currentSettings?.afterPrintAction;
+  if (outcome !== CONFIG.TAB_OUTCOME.DIALOG_CLOSED || action === CONFIG.AFTER_PRINT_ACTIONS.KEEP) {
+    return;
+  }
+  
+  if (previousTabId && previousTabId !== tabId) {
+    await chrome.tabs.update(previousTabId, { active: true }).catch(() => {});
+  }
+  if (action === CONFIG.AFTER_PRINT_ACTIONS.CLOSE) {
+    await chrome.tabs.remove(tabId).catch(() => {});
+    console.log('[AutoPrint] Print tab closed:', tabId);
+  }
+}
+
+/**
+ * Print a queued job. Files the viewer can render are printed from the extension's
+ * viewer page; other files, or files the viewer fails on, are opened as file:// URLs.
+ * @param {Object} job - Print job
+ * @param {Object} context - Queue context
+ * @param {Function} context.checkpoint - Persists job progress ({ stage, tabId })
+ * @returns {Promise<void>} Resolves once the print dialog was handled, rejects on failure
+ */
+async function printFile(job, { checkpoint }) {
+  // The undo window is over
+  chrome.notifications.clear(getDelayNotificationId(job.id));
+  
+  console.log('[AutoPrint] Attempting to print:', job.filename);
+  console.log('[AutoPrint] File path:', job.fullPath);
+  
+  if (currentSettings?.printMode === CONFIG.PRINT_MODES.NATIVE && !requiresViewer(job)) {
+    try {
+      await printNative(job, checkpoint);
+      return;
+    } catch (error) {
+      // Only fall back to a tab when the host is missing; print errors are retried
+      if (!(error instanceof NativeHostUnavailableError)) {
+        throw error;
+      }
+      console.log('[AutoPrint] Native host unavailable, using a visible tab:', error.message);
+      // Nothing reached a printer, so a restart must not treat the job as sent
+      await checkpoint({ stage: CONFIG.JOB_STAGE.OPENING, printMode: null });
+    }
+  }
+  
+  // Remember where the user was, so focus can return there after printing
+  let previousTabId = job.previousTabId;
+  if (previousTabId === undefined) {
+    const [activeTab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+    previousTabId = activeTab?.id ?? null;
+    await checkpoint({ previousTabId });
+  }
+  
+  let result = null;
+  if (requiresViewer(job)) {
+    result = await printInViewer(job, checkpoint);
+  } else if (getViewerKind(job)) {
+    try {
+      result = await printInViewer(job, checkpoint);
+    } catch (error) {
+      console.log('[AutoPrint] Viewer could not print the file, opening it directly:', error.message);
+    }
+  }
+  if (!result) {
+    result = await printFileUrl(job, checkpoint);
+  }
+  
+  await checkpoint({ tabOutcome: result.outcome, dialogClosedAt: Date.now() });
+  await finishPrintTab(result.tabId, result.outcome, previousTabId);
+}
+
+/**
+ * Check whether only the print viewer can print a job: archive entries only exist
+ * inside their archive, and image layouts and stamps are drawn by the viewer
+ * @param {Object} job - Print job
+ * @returns {boolean} True if the job must be printed in the viewer
+ */
+function requiresViewer(job) {
+  if (job.archiveEntry || job.items) {
+    return true;
+  }
+  const kind = getViewerKind(job);
+  if (job.stamp && kind) {
+    return true;
+  }
+  return kind === 'image' && Boolean(job.imageLayout) && job.imageLayout !== IMAGE_LAYOUTS.FIT;
+}
+
+/**
+ * Print a job silently through the native messaging host
+ * @param {Object} job - Print job
+ * @param {Function} checkpoint - Persists job progress
+ * @returns {Promise<void>}
+ * @throws {NativeHostUnavailableError} If the host is not installed or not permitted
+ */
+async function printNative(job, checkpoint) {
+  // Record that the print command is going out before sending it (see printFileUrl)
+  await checkpoint({ stage: CONFIG.JOB_STAGE.PRINT_SENT, printMode: CONFIG.PRINT_MODES.NATIVE });
+  
+  // The host applies every print option; a rule's printer wins over the default one
+  const { printer, ...options } = job.printOptions || {};
+  const result = await printWithHost(currentSettings.nativeHostName, {
+    jobId: job.id,
+    path: job.fullPath,
+    filename: job.filename,
+    printer: printer || currentSettings.nativePrinter,
+    options
+  });
+  console.log('[AutoPrint] Native host accepted job:', result);
+  
+  await checkpoint({
+    printer: result.printer,
+    hostName: currentSettings.nativeHostName,
+    hostJobId: result.hostJobId,
+    hostStatus: result.status,
+    appliedPrintOptions: getSetPrintOptions(job.printOptions)
+  });
+  
+  showNotification(
+    'AutoPrint: Printed',
+    `"${job.filename}" was sent to ${result.printer || 'the default printer'}.`,
+    'success'
+  );
+}
+
+/**
+ * Open the print viewer for a job and wait until it has printed
+ * @param {Object} job - Print job
+ * @param {Function} checkpoint - Persists job progress
+ * @returns {Promise<Object>} { tabId, outcome }; rejects if the viewer could not show the file
+ */
+async function printInViewer(job, checkpoint) {
+  const viewerUrl = chrome.runtime.getURL(`src/viewer/viewer.html?job=${encodeURIComponent(job.id)}`);
+  
+  let tab = await getResumeTab(job);
+  let printMode = job.printMode;
+  if (tab) {
+    tab = await chrome.tabs.update(tab.id, { url: viewerUrl });
+  } else {
+    const opened = await openPrintTab(viewerUrl);
+    ({ tab, printMode } = opened);
+    await checkpoint({ printMode });
+  }
+  console.log('[AutoPrint] Viewer opened:', tab.id);
+  
+  await checkpoint({ stage: CONFIG.JOB_STAGE.LOADING, tabId: tab.id });
+  
+  const cancelReveal = revealPrintTabLater(tab, printMode, checkpoint);
+  let outcome;
+  try {
+    outcome = await waitForViewer(job.id, tab.id, checkpoint);
+  } catch (error) {
+    await chrome.tabs.remove(tab.id).catch(() => {});
+    throw error;
+  } finally {
+    cancelReveal();
+  }
+  
+  showNotification(
+    'AutoPrint: Print Dialog Opened',
+    `"${job.filename}" - Please complete printing in the dialog.`,
+    'success'
+  );
+  
+  return { tabId: tab.id, outcome };
+}
+
+/**
+ * Wait for a viewer page to report back
+ * @param {string} jobId - Job ID
+ * @param {number} tabId - Viewer tab ID
+ * @param {Function} checkpoint - Persists job progress
+ * @returns {Promise<string>} Tab outcome once the print dialog finished, the tab was closed
+ *   or the dialog timed out; rejects if the viewer failed before printing
+ */
+function waitForViewer(jobId, tabId, checkpoint) {
+  return new Promise((resolve, reject) => {
+    const session = { checkpoint, printing: false };
+    let cancelTimeout = () => {};
     
-    console.log('[AutoPrint] Tab created:', tab.id);
+    const finish = (error, outcome) => {
+      cancelTimeout();
+      chrome.tabs.onRemoved.removeListener(handleRemoved);
+      viewerSessions.delete(jobId);
+      if (error) {
+        reject(error);
+      } else {
+        resolve(outcome);
+      }
+    };
     
-    // Wait for the tab to load completely
-    await new Promise((resolve) => {
-      const listener = (tabId, info) => {
-        if (tabId === tab.id && info.status === 'complete') {
-          chrome.tabs.onUpdated.removeListener(listener);
-          resolve();
+    // The viewer tab was closed: before printing it failed, during the dialog it was dismissed
+    const handleRemoved = (removedTabId) => {
+      if (removedTabId === tabId) {
+        if (session.printing) {
+          finish(null, CONFIG.TAB_OUTCOME.DISMISSED);
+        } else {
+          finish(new Error('Viewer tab was closed'));
         }
-      };
-      chrome.tabs.onUpdated.addListener(listener);
-      
-      // Timeout fallback after 5 seconds
-      setTimeout(() => {
-        chrome.tabs.onUpdated.removeListener(listener);
-        resolve();
-      }, 5000);
-    });
+      }
+    };
     
-    // Additional wait for content to fully render
-    await new Promise(resolve => setTimeout(resolve, 1000));
+    cancelTimeout = startJobTimer(CONFIG.VIEWER.LOAD_TIMEOUT_SECONDS, () => {
+      finish(new Error('Viewer did not load in time'));
+    });
     
-    // Execute print command
-    try {
-      await chrome.scripting.executeScript({
-        target: { tabId: tab.id },
-        func: () => {
-          // Trigger print dialog
-          window.print();
-        }
+    // The PDF viewer may never report afterprint, so an open dialog is only waited for so long
+    session.startPrinting = () => {
+      session.printing = true;
+      cancelTimeout();
+      cancelTimeout = startJobTimer(CONFIG.PRINT_DIALOG.TIMEOUT_MINUTES * 60, () => {
+        console.log('[AutoPrint] No word from the print dialog, settling the job:', jobId);
+        finish(null, CONFIG.TAB_OUTCOME.TIMED_OUT);
       });
-      console.log('[AutoPrint] Print command executed');
-      
-      // Show notification that print dialog was opened
-      showNotification(
-        'AutoPrint: Print Dialog Opened',
-        `"${filename}" - Please complete printing in the dialog. The tab will stay open.`,
-        'success'
-      );
-      
-    } catch (scriptError) {
-      console.error('[AutoPrint] Script execution error:', scriptError);
-      // For file:// URLs, scripting might be blocked
-      // Show notification that file is open for manual printing
-      showNotification(
-        'AutoPrint: File Opened',
-        `"${filename}" is open. Press Cmd+P (Mac) or Ctrl+P (Windows) to print.`,
-        'success'
-      );
-    }
-    
-    // Log to history
-    await addToPrintHistory({
-      filename: filename,
-      fullPath: downloadItem.filename,
-      status: 'printed',
-      fileSize: downloadItem.fileSize
+    };
+    session.finish = finish;
+    viewerSessions.set(jobId, session);
+    chrome.tabs.onRemoved.addListener(handleRemoved);
+  });
+}
+
+/**
+ * Handle a message from a viewer page
+ * @param {Object} message - Message: { type, jobId, appliedPrintOptions, conversionWarnings, error }
+ * @returns {Promise<Object>} Response for the viewer
+ */
+async function handleViewerMessage(message) {
+  const session = viewerSessions.get(message.jobId);
+  if (!session) {
+    // The job is no longer waiting for this viewer (e.g. the worker restarted)
+    return { print: false };
+  }
+  
+  if (message.type === 'viewerReady') {
+    // Record that the print command is going out before the viewer opens the dialog:
+    // if the worker dies meanwhile, the job is completed on restart instead of printed again.
+    session.startPrinting();
+    await session.checkpoint({
+      stage: CONFIG.JOB_STAGE.PRINT_SENT,
+      appliedPrintOptions: message.appliedPrintOptions || [],
+      conversionWarnings: message.conversionWarnings || [],
+      stamped: Boolean(message.stamped)
     });
+    return { print: true };
+  }
+  
+  if (message.type === 'viewerAfterPrint') {
+    session.finish(null, CONFIG.TAB_OUTCOME.DIALOG_CLOSED);
+  } else if (message.type === 'viewerFailed') {
+    session.finish(new Error(message.error || 'Viewer failed'));
+  }
+  return {};
+}
+
+/**
+ * Print a job by opening the file:// URL and calling print() in the tab
+ * @param {Object} job - Print job
+ * @param {Function} checkpoint - Persists job progress
+ * @returns {Promise<void>}
+ */
+async function printFileUrl(job, checkpoint) {
+  const { filename } = job;
+  
+  // Continue in the tab of an interrupted attempt, or open the file in a new tab
+  let tab = await getResumeTab(job);
+  let printMode = job.printMode;
+  if (tab) {
+    console.log('[AutoPrint] Resuming in existing tab:', tab.id);
+  } else {
+    const opened = await openPrintTab(getFileUrl(job.fullPath));
+    ({ tab, printMode } = opened);
+    await checkpoint({ printMode });
+    console.log('[AutoPrint] Tab created:', tab.id);
+  }
+  
+  await checkpoint({ stage: CONFIG.JOB_STAGE.LOADING, tabId: tab.id });
+  
+  // Wait for the tab to load completely
+  await waitForTabLoad(tab.id, CONFIG.PRINT_TAB.LOAD_TIMEOUT_SECONDS);
+  
+  // Record that the print command is going out before sending it: if the worker dies
+  // while the dialog is open, the job is completed on restart instead of printed again.
+  await checkpoint({ stage: CONFIG.JOB_STAGE.PRINT_SENT });
+  
+  // Execute print command and wait for the page's afterprint signal. window.print()
+  // blocks until the dialog is closed, so the queue only moves on once the user is done,
+  // or once the dialog has been open for PRINT_DIALOG.TIMEOUT_MINUTES (PDFs may never
+  // report afterprint).
+  const cancelReveal = revealPrintTabLater(tab, printMode, checkpoint);
+  let cancelDialogTimer = () => {};
+  try {
+    const dialogClosed = chrome.scripting.executeScript({
+      target: { tabId: tab.id },
+      func: () => new Promise((resolve) => {
+        window.addEventListener('afterprint', () => resolve(true), { once: true });
+        // Give the content a moment to render, then trigger the print dialog
+        setTimeout(() => {
+          window.print();
+          setTimeout(() => resolve(true), 0);
+        }, 1000);
+      })
+    }).then(() => CONFIG.TAB_OUTCOME.DIALOG_CLOSED);
+    const timedOut = new Promise((resolve) => {
+      cancelDialogTimer = startJobTimer(CONFIG.PRINT_DIALOG.TIMEOUT_MINUTES * 60, () => resolve(CONFIG.TAB_OUTCOME.TIMED_OUT));
+    });
+    // A dialog that is still open after the timeout may fail later; nobody waits for it then
+    dialogClosed.catch(() => {});
     
-    // DO NOT close the tab automatically!
-    // Let the user close it after they finish with the print dialog
-    // The tab stays open so the print dialog can complete
+    const outcome = await Promise.race([dialogClosed, timedOut]);
+    console.log('[AutoPrint] Print dialog finished:', outcome);
     
-    console.log('[AutoPrint] Tab left open for user to complete printing');
+    showNotification(
+      'AutoPrint: Print Dialog Opened',
+      `"${filename}" - Please complete printing in the dialog.`,
+      'success'
+    );
     
-    return true;
-  } catch (error) {
-    console.error('[AutoPrint] Error printing file:', error);
+    return { tabId: tab.id, outcome };
     
-    try {
-      await addToPrintHistory({
-        filename: filename,
-        fullPath: downloadItem.filename,
-        status: 'error',
-        error: error.message
-      });
-    } catch (historyError) {
-      console.error('[AutoPrint] History error:', historyError);
+  } catch (scriptError) {
+    // The tab was closed while its dialog was open
+    if (!(await getTab(tab.id))) {
+      console.log('[AutoPrint] Tab closed before the print dialog finished');
+      return { tabId: tab.id, outcome: CONFIG.TAB_OUTCOME.DISMISSED };
     }
     
+    console.error('[AutoPrint] Script execution error:', scriptError);
+    // For file:// URLs, scripting might be blocked
+    // Show notification that file is open for manual printing
     showNotification(
-      'AutoPrint: Print Failed',
-      `Failed to print "${filename}": ${error.message}`,
-      'error'
+      'AutoPrint: File Opened',
+      `"${filename}" is open. Press Cmd+P (Mac) or Ctrl+P (Windows) to print.`,
+      'success'
     );
     
-    return false;
+    // The tab stays open so the file can be printed by hand
+    return { tabId: tab.id, outcome: CONFIG.TAB_OUTCOME.UNKNOWN };
+  } finally {
+    cancelDialogTimer();
+    cancelReveal();
+  }
+}
+
+/**
+ * Record the outcome of a finished job in the print history
+ * @param {Object} job - Job that is done, skipped, cancelled or has failed its last attempt
+ */
+async function handleJobSettled(job) {
+  const entry = {
+    downloadId: job.downloadId,
+    filename: job.filename,
+    fullPath: job.fullPath,
+    fileSize: job.fileSize,
+    ruleId: job.ruleId,
+    ruleName: job.ruleName,
+    domain: job.domain,
+    url: job.url,
+    mime: job.mime,
+    detectedType: job.detectedType,
+    sniffError: job.sniffError || null,
+    downloadedAt: job.downloadedAt,
+    queuedAt: job.createdAt ? new Date(job.createdAt).toISOString() : null,
+    printSentAt: job.printSentAt ? new Date(job.printSentAt).toISOString() : null,
+    downloadToPrintMs: job.printSentAt ? Math.max(0, job.printSentAt - Date.parse(job.downloadedAt)) : null,
+    attempts: job.attempts,
+    retries: Math.max(0, job.attempts - 1),
+    tabOutcome: job.tabOutcome || null,
+    printMode: job.printMode || null,
+    printOptions: job.printOptions || null,
+    appliedPrintOptions: job.appliedPrintOptions || [],
+    conversionWarnings: job.conversionWarnings || [],
+    archive: job.archiveEntry || null,
+    imageLayout: job.imageLayout || null,
+    stampTemplate: job.stamp?.name || null,
+    stamped: Boolean(job.stamped),
+    groupedFiles: job.items ? job.items.map(item => item.filename) : null,
+    groupedDownloads: job.items ? job.items.map(item => ({
+      downloadId: item.downloadId,
+      fullPath: item.fullPath,
+      filename: item.filename,
+      fileSize: item.fileSize,
+      archiveEntry: item.archiveEntry || null
+    })) : null,
+    batch: Boolean(job.batch),
+    reprintOf: job.reprintOf || null,
+    printer: job.printer || null,
+    hostJobId: job.hostJobId ?? null,
+    hostStatus: job.hostStatus || null
+  };
+  
+  if (job.status === CONFIG.JOB_STATUS.DONE) {
+    // Only the native host reports printing; a print dialog may just as well have been cancelled
+    const status = job.printMode === CONFIG.PRINT_MODES.NATIVE
+      ? CONFIG.HISTORY_STATUS.PRINTED
+      : CONFIG.HISTORY_STATUS.SENT_TO_DIALOG;
+    const stored = await addToPrintHistory({ ...entry, status });
+    
+    // The host answers once the job is submitted; its outcome is filled in when the host knows it
+    if (job.hostJobId != null && job.hostName && !isFinalHostStatus(job.hostStatus)) {
+      await trackHostJob({
+        historyId: stored.id,
+        hostName: job.hostName,
+        hostJobId: job.hostJobId,
+        printer: job.printer || null,
+        status: job.hostStatus
+      });
+    }
+    return;
+  }
+  
+  // The files were never printed, so new copies of them are not duplicates. Reprints
+  // never claimed the files, so the record of their first print stays.
+  if (!job.reprintOf) {
+    for (const item of job.items || [job]) {
+      await forgetPrint(item.downloadId, item.archiveEntry?.name ?? null);
+    }
+  }
+  
+  if (job.status === CONFIG.JOB_STATUS.CANCELLED) {
+    chrome.notifications.clear(getDelayNotificationId(job.id));
+    await addToPrintHistory({ ...entry, status: CONFIG.HISTORY_STATUS.CANCELLED });
+    return;
+  }
+  
+  if (job.status === CONFIG.JOB_STATUS.SKIPPED) {
+    chrome.notifications.clear(getApprovalNotificationId(job.id));
+    await addToPrintHistory({ ...entry, status: CONFIG.HISTORY_STATUS.SKIPPED, skipReason: job.skipReason });
+    return;
+  }
+  
+  await addToPrintHistory({ ...entry, status: CONFIG.HISTORY_STATUS.ERROR, error: job.error });
+  
+  showNotification(
+    'AutoPrint: Print Failed',
+    `Failed to print "${job.filename}" after ${job.attempts} attempt(s): ${job.error}`,
+    'error'
+  );
+}
+
+/**
+ * Handle a native host job the printer reported as failed or cancelled after its
+ * history entry was written
+ * @param {Object} entry - Updated history entry
+ */
+async function handleHostJobFailed(entry) {
+  // Nothing was printed, so new copies of the files are not duplicates (see handleJobSettled)
+  if (!entry.reprintOf) {
+    const files = entry.groupedDownloads || [{ downloadId: entry.downloadId, archiveEntry: entry.archive }];
+    for (const file of files) {
+      await forgetPrint(file.downloadId, file.archiveEntry?.name ?? null);
+    }
+  }
+  
+  if (entry.status === CONFIG.HISTORY_STATUS.ERROR) {
+    showNotification('AutoPrint: Print Failed', `"${entry.filename}" was not printed: ${entry.error}`, 'error');
   }
 }
 
@@ -282,46 +1014,341 @@ async function handleDownloadChanged(delta) {
     await initialize();
   }
   
-  // Check if extension is enabled
-  if (!currentSettings?.enabled) {
-    console.log('[AutoPrint] Extension disabled, ignoring download');
+  await handleCompletedDownload(delta.id);
+}
+
+/**
+ * Get the group a matched file is printed with, if any. With a batch window set, every file
+ * the viewer can show joins the open batch: PDFs are merged into one PDF, images, text and
+ * office documents into one document. Otherwise images laid out several to a sheet wait
+ * briefly for the images downloaded with them.
+ * @param {Object} job - Job fields
+ * @returns {Object|null} Group options for enqueueJob(), or null to print the file alone
+ */
+function getPrintGroup(job) {
+  const kind = getViewerKind(job);
+  if (currentSettings.batchWindowSeconds > 0 && kind) {
+    return {
+      key: kind === 'pdf' ? 'batch_pdf' : 'batch_document',
+      maxItems: currentSettings.batchMaxFiles,
+      windowSeconds: currentSettings.batchWindowSeconds,
+      batch: true
+    };
+  }
+  
+  const imagesPerLayout = getImagesPerLayout(job.imageLayout);
+  if (imagesPerLayout > 1 && kind === 'image') {
+    return { key: `images_${job.ruleId}`, maxItems: imagesPerLayout, windowSeconds: CONFIG.QUEUE.IMAGE_GROUP_SECONDS };
+  }
+  return null;
+}
+
+/**
+ * Queue a file that matched the filters: skip it if it was printed moments ago,
+ * hold it for approval if asked to, otherwise queue it after the undo window
+ * @param {Object} job - Job fields from createJobData()
+ * @param {Object} options - Queue options
+ * @param {Object|null} options.rule - Matched rule
+ * @param {Function} options.readContent - Returns the file content, used for the content hash
+ * @returns {Promise<boolean>} True if the file was queued
+ */
+async function queueMatchedFile(job, { rule, readContent }) {
+  // Skip files that were printed moments ago
+  const original = await checkDuplicate(job, { readContent });
+  if (original) {
+    await handleDuplicate(job, original);
+    return false;
+  }
+  
+  // Hold the file until someone approves it
+  if (currentSettings.requireApproval || rule?.requireApproval) {
+    const approvalExpiresAt = Date.now() + currentSettings.approvalTimeoutMinutes * 60 * 1000;
+    const queued = await enqueueJob(job, { approvalExpiresAt });
+    if (queued) {
+      showApprovalNotification(queued);
+    }
+    return Boolean(queued);
+  }
+  
+  const group = getPrintGroup(job);
+  
+  // Queue the file for printing, after the undo window if one is set
+  const queued = await enqueueJob(job, { delaySeconds: currentSettings.printDelaySeconds, group });
+  const joinedGroup = queued?.items && queued.items.length > 1;
+  if (queued?.status === CONFIG.JOB_STATUS.DELAYED && currentSettings.printDelaySeconds > 0 && !joinedGroup) {
+    showDelayNotification(queued);
+  }
+  return Boolean(queued);
+}
+
+/**
+ * Record a file that cannot be printed in the history and tell the user
+ * @param {Object} job - Job fields
+ * @param {string} message - Error message
+ */
+async function recordUnprintable(job, message) {
+  console.log('[AutoPrint] Cannot print', job.filename + ':', message);
+  
+  await addToPrintHistory({
+    downloadId: job.downloadId,
+    filename: job.filename,
+    fullPath: job.fullPath,
+    fileSize: job.fileSize,
+    ruleId: job.ruleId,
+    ruleName: job.ruleName,
+    domain: job.domain,
+    url: job.url,
+    mime: job.mime,
+    downloadedAt: job.downloadedAt,
+    archive: job.archiveEntry || null,
+    status: CONFIG.HISTORY_STATUS.ERROR,
+    error: message
+  });
+  
+  showNotification('AutoPrint: Print Failed', `"${job.filename}": ${message}`, 'error');
+}
+
+/**
+ * Open a downloaded ZIP archive, run every file in it through the filter rules
+ * and queue the matching files in archive order
+ * @param {Object} downloadItem - Chrome download item of the archive
+ * @param {Object} archiveMatch - Filter match of the archive
+ */
+async function handleArchive(downloadItem, archiveMatch) {
+  const archiveJob = createJobData(downloadItem, archiveMatch);
+  console.log('[AutoPrint] Opening archive:', archiveJob.filename);
+  
+  let archive;
+  try {
+    const content = await readDownloadedFile(downloadItem.filename);
+    archive = openArchive(content, {
+      maxEntries: currentSettings.archiveMaxEntries,
+      maxBytes: currentSettings.archiveMaxSizeMB * 1024 * 1024
+    });
+  } catch (error) {
+    await recordUnprintable(archiveJob, error instanceof ArchiveLimitError
+      ? `${error.message}. Raise the archive limits on the options page to print it.`
+      : error.message);
+    return;
+  }
+  
+  let matched = 0;
+  let queued = 0;
+  
+  for (const file of archive.files) {
+    // Entries keep the archive's download, path and source; the viewer extracts them again
+    const entryFields = {
+      filename: file.filename,
+      fileSize: file.size,
+      mime: null,
+      archiveEntry: {
+        name: file.name,
+        index: file.index,
+        count: archive.files.length,
+        archiveFilename: archiveJob.filename,
+        archiveDownloadId: downloadItem.id
+      }
+    };
+    let job = { ...archiveJob, ...entryFields, detectedType: null };
+    
+    try {
+      const content = await archive.read(file.name);
+      const detectedType = rulesNeedSniffing(currentSettings.rules)
+        ? detectFileType(content.subarray(0, SNIFF_LENGTH))
+        : null;
+      
+      // Entries go through the same rules as downloads, with the archive's source
+      const match = findMatchingRule(currentSettings.rules, {
+        filename: file.filename,
+        url: downloadItem.url,
+        finalUrl: downloadItem.finalUrl,
+        referrer: downloadItem.referrer,
+        mime: null,
+        detectedType
+      });
+      if (!match.matches) {
+        console.log('[AutoPrint] Archive entry does not match filters:', file.name);
+        continue;
+      }
+      matched++;
+      
+      job = { ...createJobData(downloadItem, { ...match, detectedType }), ...entryFields };
+      if (isArchive(job)) {
+        await recordUnprintable(job, 'Archives inside archives are not opened');
+        continue;
+      }
+      if (!getViewerKind(job)) {
+        await recordUnprintable(job, 'Only PDFs, images, text and office documents can be printed from an archive');
+        continue;
+      }
+      
+      if (await queueMatchedFile(job, { rule: match.rule, readContent: async () => content })) {
+        queued++;
+      }
+    } catch (error) {
+      await recordUnprintable(job, error.message);
+    }
+  }
+  
+  console.log(`[AutoPrint] Archive ${archiveJob.filename}: ${matched} of ${archive.files.length} files matched, ${queued} queued`);
+  showNotification(
+    'AutoPrint: Archive Opened',
+    matched > 0
+      ? `${queued} of ${archive.files.length} files from "${archiveJob.filename}" queued for printing.`
+      : `No file in "${archiveJob.filename}" matches the filter rules.`,
+    'success'
+  );
+}
+
+/**
+ * Queue the files of a print history entry for printing again, e.g. after a paper jam.
+ * Reprints skip the duplicate check and approval, and use the entry's rule if it still exists.
+ * @param {number} entryId - History entry ID
+ * @returns {Promise<Object>} The queued job
+ * @throws {MissingFileError} If a file was deleted or moved since it was downloaded
+ */
+async function reprintHistoryEntry(entryId) {
+  const entry = await loadPrintHistoryEntry(entryId);
+  if (!entry) {
+    throw new Error('History entry not found');
+  }
+  
+  const rule = currentSettings.rules.find(item => item.id === entry.ruleId) || null;
+  const files = [];
+  for (const file of getHistoryEntryFiles(entry)) {
+    const downloadItem = await findHistoryDownload(file);
+    if (!downloadItem?.exists) {
+      throw new MissingFileError(`"${file.archiveEntry?.archiveFilename || file.filename}" was deleted or moved`);
+    }
+    
+    const jobData = createJobData(downloadItem, {
+      rule,
+      domain: entry.domain,
+      detectedType: entry.detectedType ? { mime: entry.detectedType } : null
+    });
+    files.push({
+      ...jobData,
+      // A deleted rule prints with what was recorded
+      ...(rule ? {} : { ruleId: entry.ruleId, ruleName: entry.ruleName, printOptions: entry.printOptions, imageLayout: entry.imageLayout }),
+      ...(file.archiveEntry ? { filename: file.filename, fileSize: file.fileSize, mime: null, archiveEntry: file.archiveEntry } : {}),
+      reprintOf: { id: entry.id, timestamp: entry.timestamp }
+    });
+  }
+  
+  const [first] = files;
+  const jobData = files.length > 1
+    ? { ...first, items: files, batch: Boolean(entry.batch), fileSize: files.reduce((sum, item) => sum + (item.fileSize || 0), 0) }
+    : first;
+  const queued = await enqueueJob(jobData, { reprint: true });
+  if (!queued) {
+    throw new Error('This file is already in the print queue');
+  }
+  console.log('[AutoPrint] Reprinting history entry', entryId, 'as job', queued.id);
+  return queued;
+}
+
+/**
+ * Check a completed download against the filters and queue it for printing.
+ * The download ledger makes sure each download is handled exactly once.
+ * @param {number} downloadId - Chrome download ID
+ * @param {Object} options - Handling options
+ * @param {boolean} options.reclaim - Retry a download whose handling was interrupted
+ */
+async function handleCompletedDownload(downloadId, { reclaim = false } = {}) {
+  if (!(await claimDownload(downloadId, { reclaim }))) {
+    console.log('[AutoPrint] Download already handled:', downloadId);
     return;
   }
   
   try {
+    // Check if extension is enabled
+    if (!currentSettings?.enabled) {
+      console.log('[AutoPrint] Extension disabled, ignoring download');
+      return;
+    }
+    
     // Get the full download item
-    const downloads = await chrome.downloads.search({ id: delta.id });
+    const downloads = await chrome.downloads.search({ id: downloadId });
     if (downloads.length === 0) {
-      console.error('[AutoPrint] Download not found:', delta.id);
+      console.error('[AutoPrint] Download not found:', downloadId);
       return;
     }
     
     const downloadItem = downloads[0];
     const filename = getFilename(downloadItem);
     
+    // Files the extension saves itself (history exports) are never printed
+    if (downloadItem.byExtensionId === chrome.runtime.id) {
+      console.log('[AutoPrint] Ignoring file saved by the extension:', filename);
+      return;
+    }
+    
     console.log('[AutoPrint] Download completed:', filename);
     
     // Check filters
-    const filterResult = checkFilters(filename);
+    const filterResult = await checkFilters(downloadItem);
     
     if (!filterResult.matches) {
       console.log('[AutoPrint] File does not match filters:', filterResult.details.join(', '));
       return;
     }
     
-    console.log('[AutoPrint] File matches filters, initiating print');
+    if (filterResult.rule?.expandArchives && isArchive(downloadItem)) {
+      await handleArchive(downloadItem, filterResult);
+      return;
+    }
     
-    // Print the file
-    await printFile(downloadItem);
+    console.log('[AutoPrint] File matches filters, queueing print', filterResult.rule ? `(rule "${filterResult.rule.name}")` : '');
+    
+    await queueMatchedFile(createJobData(downloadItem, filterResult), {
+      rule: filterResult.rule,
+      readContent: () => readDownloadedFile(downloadItem.filename)
+    });
     
   } catch (error) {
     console.error('[AutoPrint] Error handling download:', error);
+  } finally {
+    await markDownloadHandled(downloadId);
   }
 }
 
 // Register download listener
 chrome.downloads.onChanged.addListener(handleDownloadChanged);
 
+// Queue alarms wake the worker for retries and to resume interrupted jobs; job timers
+// end the waits of a printing job, and the host job poll follows native host jobs
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  await initialize();
+  if (!handleJobTimerAlarm(alarm) && !handleHostJobAlarm(alarm)) {
+    handleQueueAlarm(alarm);
+  }
+});
+
+// Notification buttons: "Print anyway" on duplicates, "Print" / "Skip" on approvals,
+// "Cancel" on delayed prints
+chrome.notifications.onButtonClicked.addListener(async (notificationId, buttonIndex) => {
+  const duplicatePrefix = CONFIG.NOTIFICATIONS.DUPLICATE + '_';
+  const approvalPrefix = CONFIG.NOTIFICATIONS.APPROVAL + '_';
+  const delayPrefix = CONFIG.NOTIFICATIONS.DELAY + '_';
+  
+  try {
+    if (notificationId.startsWith(duplicatePrefix)) {
+      chrome.notifications.clear(notificationId);
+      await initialize();
+      await forcePrintDownload(parseInt(notificationId.slice(duplicatePrefix.length), 10));
+    } else if (notificationId.startsWith(approvalPrefix)) {
+      await initialize();
+      await answerApproval(notificationId.slice(approvalPrefix.length), buttonIndex === 0);
+    } else if (notificationId.startsWith(delayPrefix)) {
+      chrome.notifications.clear(notificationId);
+      await initialize();
+      await cancelJob(notificationId.slice(delayPrefix.length));
+    }
+  } catch (error) {
+    console.error('[AutoPrint] Notification action error:', error);
+  }
+});
+
 // Initialize on service worker start
 initialize();
 
@@ -347,9 +1374,37 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       enabled: currentSettings?.enabled || false,
       initialized: isInitialized
     });
+    return false;
+  }
+  
+  // Progress reports from viewer pages
+  if (['viewerReady', 'viewerAfterPrint', 'viewerFailed'].includes(message.type)) {
+    handleViewerMessage(message)
+      .then(sendResponse)
+      .catch(error => sendResponse({ print: false, error: error.message }));
+    return true;
+  }
+  
+  // Queue commands from the popup and the options page
+  const queueCommands = {
+    approveJob: () => answerApproval(message.jobId, true),
+    skipJob: () => answerApproval(message.jobId, false),
+    cancelJob: () => cancelJob(message.jobId),
+    moveJob: () => moveJob(message.jobId, message.direction),
+    clearFinishedJobs: () => clearFinishedJobs(),
+    reprintHistoryEntry: () => reprintHistoryEntry(message.entryId)
+  };
+  
+  if (queueCommands[message.type]) {
+    queueCommands[message.type]()
+      .then(result => sendResponse({ success: true, result }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
   }
   
-  return true;
+  // Not ours (e.g. offscreen document replies or history change notices); keeping the
+  // channel open would leave the sender waiting for an answer that never comes
+  return false;
 });
 
 // Export for testing (if needed)
@@ -0,0 +1,92 @@
+/**
+ * AutoPrint Extension - Offscreen Document
+ * Reads downloaded files for the service worker, which has no XMLHttpRequest and so
+ * cannot read file:// URLs. Files are handed over in base64 chunks, since extension
+ * messages only carry JSON.
+ */
+
+import { CONFIG } from '../shared/config.js';
+import { readFileContent, readFileStart } from '../shared/file-reader.js';
+
+// Files read for the service worker and not yet fully collected, by read ID,
+// as { bytes, expiry } where expiry is the timer that drops an abandoned read
+const reads = new Map();
+let nextReadId = 1;
+
+/**
+ * Encode bytes as base64
+ * @param {Uint8Array} bytes - Bytes
+ * @returns {string} Base64 text
+ */
+function toBase64(bytes) {
+  let binary = '';
+  for (let offset = 0; offset < bytes.length; offset += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(offset, offset + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Drop a read after READ_EXPIRY_SECONDS unless another chunk is collected before then
+ * @param {number} readId - Read ID
+ * @param {Uint8Array} bytes - File content
+ */
+function keepRead(readId, bytes) {
+  clearTimeout(reads.get(readId)?.expiry);
+  const expiry = setTimeout(() => reads.delete(readId), CONFIG.OFFSCREEN.READ_EXPIRY_SECONDS * 1000);
+  reads.set(readId, { bytes, expiry });
+}
+
+/**
+ * Read a file and keep it until the service worker has collected it
+ * @param {string} path - Local file path
+ * @param {number|null} length - Only read this many leading bytes
+ * @returns {Promise<Object>} { readId, size }, or { error } if the file cannot be read
+ */
+async function readFile(path, length) {
+  try {
+    // Sniffing only needs the first bytes, so large downloads are not loaded for it
+    const bytes = length ? await readFileStart(path, length) : new Uint8Array(await readFileContent(path));
+    if (bytes.length === 0) {
+      return { readId: null, size: 0 };
+    }
+    const readId = nextReadId++;
+    keepRead(readId, bytes);
+    return { readId, size: bytes.length };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+/**
+ * Hand over the next chunk of a read file; the file is dropped after its last chunk
+ * @param {number} readId - Read ID from readFile()
+ * @param {number} offset - Offset of the chunk
+ * @returns {Object} { data } - base64 chunk, or { error } if the read is unknown
+ */
+function readChunk(readId, offset) {
+  const read = reads.get(readId);
+  if (!read) {
+    return { error: 'File read expired' };
+  }
+  const { bytes } = read;
+  const end = offset + CONFIG.OFFSCREEN.CHUNK_BYTES;
+  if (end >= bytes.length) {
+    clearTimeout(read.expiry);
+    reads.delete(readId);
+  } else {
+    keepRead(readId, bytes);
+  }
+  return { data: toBase64(bytes.subarray(offset, end)) };
+}
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.type === 'offscreenReadFile') {
+    readFile(message.path, message.length).then(sendResponse);
+    return true;
+  }
+  if (message.type === 'offscreenReadChunk') {
+    sendResponse(readChunk(message.readId, message.offset));
+  }
+  return false;
+});
@@ -3,27 +3,169 @@
  * Handles advanced settings configuration
  */
 
-import { loadSettings, saveSettings, loadPrintHistory, clearPrintHistory } from '../shared/storage.js';
+import { loadSettings, saveSettings, loadPrintHistory, queryPrintHistory, clearPrintHistory } from '../shared/storage.js';
+import { checkHistoryFile } from '../shared/history-files.js';
+import {
+  HISTORY_EXPORT_COLUMNS,
+  EXPORT_FORMATS,
+  getDefaultExportColumns,
+  exportHistoryCsv,
+  exportHistoryJson
+} from '../shared/history-export.js';
+import { computeHistoryStats, STATS_PERIODS } from '../shared/history-stats.js';
+import { CONFIG, SettingsValidationError, getSupportedPrintOptions } from '../shared/config.js';
+import { describeRules, describePrintOptions, getSetPrintOptions, describeImageLayout } from '../shared/rules.js';
+import { createRuleEditor } from '../shared/rule-editor.js';
+import { listPrinters, requestNativeMessagingPermission } from '../shared/native-host.js';
+import {
+  createStampTemplate,
+  validateStampTemplates,
+  getStampTemplateErrors,
+  getStampValues,
+  fillStampTemplate,
+  STAMP_PLACEHOLDERS
+} from '../shared/stamps.js';
 
 // DOM Elements
 const elements = {
   enableToggle: document.getElementById('enableToggle'),
   notificationsToggle: document.getElementById('notificationsToggle'),
-  prefixFilter: document.getElementById('prefixFilter'),
-  extensionFilter: document.getElementById('extensionFilter'),
+  ruleEditor: document.getElementById('ruleEditor'),
   filterPreview: document.getElementById('filterPreview'),
   maxHistory: document.getElementById('maxHistory'),
+  printConcurrency: document.getElementById('printConcurrency'),
+  maxRetries: document.getElementById('maxRetries'),
+  retryDelay: document.getElementById('retryDelay'),
+  printDelay: document.getElementById('printDelay'),
+  printMode: document.getElementById('printMode'),
+  printOptionSupport: document.getElementById('printOptionSupport'),
+  nativeSettings: document.getElementById('nativeSettings'),
+  nativeHostName: document.getElementById('nativeHostName'),
+  nativePrinter: document.getElementById('nativePrinter'),
+  nativePrinterList: document.getElementById('nativePrinterList'),
+  loadPrintersBtn: document.getElementById('loadPrintersBtn'),
+  afterPrintAction: document.getElementById('afterPrintAction'),
+  documentHeader: document.getElementById('documentHeader'),
+  duplicateWindow: document.getElementById('duplicateWindow'),
+  duplicateContentToggle: document.getElementById('duplicateContentToggle'),
+  approvalToggle: document.getElementById('approvalToggle'),
+  approvalTimeout: document.getElementById('approvalTimeout'),
+  batchWindow: document.getElementById('batchWindow'),
+  batchMaxFiles: document.getElementById('batchMaxFiles'),
+  batchSeparatorToggle: document.getElementById('batchSeparatorToggle'),
+  archiveMaxEntries: document.getElementById('archiveMaxEntries'),
+  archiveMaxSize: document.getElementById('archiveMaxSize'),
+  stampPlaceholders: document.getElementById('stampPlaceholders'),
+  stampSelect: document.getElementById('stampSelect'),
+  addStampBtn: document.getElementById('addStampBtn'),
+  deleteStampBtn: document.getElementById('deleteStampBtn'),
+  stampName: document.getElementById('stampName'),
+  stampFields: document.querySelectorAll('[data-stamp-field]'),
+  stampError: document.getElementById('stampError'),
+  stampPreviewHeader: document.getElementById('stampPreviewHeader'),
+  stampPreviewFooter: document.getElementById('stampPreviewFooter'),
+  stampPreviewWatermark: document.getElementById('stampPreviewWatermark'),
   viewHistoryBtn: document.getElementById('viewHistoryBtn'),
   clearHistoryBtn: document.getElementById('clearHistoryBtn'),
   historyCard: document.getElementById('historyCard'),
   historyTableBody: document.getElementById('historyTableBody'),
+  historySearch: document.getElementById('historySearch'),
+  historyStatusFilter: document.getElementById('historyStatusFilter'),
+  historyRuleFilter: document.getElementById('historyRuleFilter'),
+  historyFrom: document.getElementById('historyFrom'),
+  historyTo: document.getElementById('historyTo'),
+  historySortHeaders: document.querySelectorAll('.sort-header'),
+  historyPrevBtn: document.getElementById('historyPrevBtn'),
+  historyNextBtn: document.getElementById('historyNextBtn'),
+  historyPageInfo: document.getElementById('historyPageInfo'),
+  historyDrawer: document.getElementById('historyDrawer'),
+  historyDrawerTitle: document.getElementById('historyDrawerTitle'),
+  historyDrawerClose: document.getElementById('historyDrawerClose'),
+  historyDetails: document.getElementById('historyDetails'),
+  historyExportColumns: document.getElementById('historyExportColumns'),
+  historyExportFormat: document.getElementById('historyExportFormat'),
+  historyExportBtn: document.getElementById('historyExportBtn'),
+  viewStatsBtn: document.getElementById('viewStatsBtn'),
+  statsCard: document.getElementById('statsCard'),
+  statsRange: document.getElementById('statsRange'),
+  statsPeriod: document.getElementById('statsPeriod'),
+  statsSummary: document.getElementById('statsSummary'),
+  statsTimeline: document.getElementById('statsTimeline'),
+  statsAxis: document.getElementById('statsAxis'),
+  statsOutcomes: document.getElementById('statsOutcomes'),
+  statsLegend: document.getElementById('statsLegend'),
+  statsExtensions: document.getElementById('statsExtensions'),
+  statsDomains: document.getElementById('statsDomains'),
+  statsRules: document.getElementById('statsRules'),
   saveBtn: document.getElementById('saveBtn'),
   saveStatus: document.getElementById('saveStatus')
 };
 
+// Labels shown for print history states
+const HISTORY_STATUS_LABELS = {
+  [CONFIG.HISTORY_STATUS.PRINTED]: '✓ Printed',
+  [CONFIG.HISTORY_STATUS.SENT_TO_DIALOG]: '↗ Sent to dialog',
+  [CONFIG.HISTORY_STATUS.ERROR]: '✗ Error',
+  [CONFIG.HISTORY_STATUS.DUPLICATE]: '⧉ Duplicate',
+  [CONFIG.HISTORY_STATUS.SKIPPED]: '⏭ Skipped',
+  [CONFIG.HISTORY_STATUS.CANCELLED]: '⊘ Cancelled'
+};
+
+// Labels shown for print modes
+const PRINT_MODE_LABELS = {
+  [CONFIG.PRINT_MODES.TAB]: 'Visible tab',
+  [CONFIG.PRINT_MODES.BACKGROUND_TAB]: 'Background tab',
+  [CONFIG.PRINT_MODES.MINIMIZED_WINDOW]: 'Minimized window',
+  [CONFIG.PRINT_MODES.NATIVE]: 'Silent (native print host)'
+};
+
+// Labels shown for how a print tab ended
+const TAB_OUTCOME_LABELS = {
+  [CONFIG.TAB_OUTCOME.DIALOG_CLOSED]: 'Print dialog closed (printed or cancelled)',
+  [CONFIG.TAB_OUTCOME.DISMISSED]: 'Tab closed before the print dialog finished',
+  [CONFIG.TAB_OUTCOME.TIMED_OUT]: 'No word from the print dialog',
+  [CONFIG.TAB_OUTCOME.UNKNOWN]: 'Unknown'
+};
+
+// Display names of rule print options
+const PRINT_OPTION_LABELS = {
+  copies: 'copies',
+  printer: 'printer',
+  orientation: 'orientation',
+  paperSize: 'paper size',
+  duplex: 'two-sided',
+  pageRanges: 'pages'
+};
+
+// File the stamp preview is filled in with
+const STAMP_PREVIEW_JOB = {
+  filename: 'invoice_1042.pdf',
+  downloadedAt: Date.now(),
+  domain: 'erp.example.com',
+  ruleName: 'Invoices'
+};
+
 // Current settings
 let currentSettings = null;
 
+// Stamp templates being edited, and the one shown in the editor
+let stampTemplates = [];
+let selectedStampId = null;
+
+// Sort order and page of the history table
+let historySort = { sortBy: 'timestamp', sortDirection: 'desc' };
+let historyPage = 0;
+
+// Entries on the shown history page, by ID, and the one open in the detail drawer
+let historyItems = new Map();
+let selectedHistoryId = null;
+
+// Where the files of the shown history entries are, by entry ID: { downloadId, exists }
+let historyFiles = new Map();
+
+// Rule list editor
+const ruleEditor = createRuleEditor(elements.ruleEditor, { onChange: updatePreview });
+
 /**
  * Initialize the options page
  */
@@ -31,8 +173,16 @@ async function initialize() {
   try {
     currentSettings = await loadSettings();
     applySettingsToUI(currentSettings);
+    elements.stampPlaceholders.textContent = 'Placeholders: ' + Object.entries(STAMP_PLACEHOLDERS)
+      .map(([name, description]) => `{${name}} ${description.toLowerCase()}`)
+      .join(', ');
+    renderExportColumns();
     setupEventListeners();
     updatePreview();
+    if (currentSettings.errors) {
+      // Stored rules and stamps with errors are not used until they are fixed
+      showSettingsErrors(currentSettings.errors);
+    }
     console.log('[AutoPrint Options] Initialized:', currentSettings);
   } catch (error) {
     console.error('[AutoPrint Options] Init error:', error);
@@ -46,31 +196,173 @@ async function initialize() {
 function applySettingsToUI(settings) {
   elements.enableToggle.checked = settings.enabled;
   elements.notificationsToggle.checked = settings.showNotifications;
-  elements.prefixFilter.value = settings.prefixFilter || '';
-  elements.extensionFilter.value = settings.extensionFilter || '';
+  stampTemplates = settings.stampTemplates.map(template => ({ ...template }));
+  ruleEditor.setStampTemplates(settings.stampTemplates);
+  ruleEditor.setRules(settings.rules);
+  renderStampEditor();
   elements.maxHistory.value = settings.maxHistoryItems || 100;
+  elements.printConcurrency.value = settings.printConcurrency;
+  elements.maxRetries.value = settings.maxRetries;
+  elements.retryDelay.value = settings.retryDelaySeconds;
+  elements.printDelay.value = settings.printDelaySeconds;
+  elements.printMode.value = settings.printMode;
+  elements.nativeHostName.value = settings.nativeHostName;
+  elements.nativePrinter.value = settings.nativePrinter;
+  updatePrintModeInfo();
+  elements.afterPrintAction.value = settings.afterPrintAction;
+  elements.documentHeader.value = settings.documentHeader;
+  elements.duplicateWindow.value = settings.duplicateWindowMinutes;
+  elements.duplicateContentToggle.checked = settings.duplicateCheckContent;
+  elements.approvalToggle.checked = settings.requireApproval;
+  elements.approvalTimeout.value = settings.approvalTimeoutMinutes;
+  elements.batchWindow.value = settings.batchWindowSeconds;
+  elements.batchMaxFiles.value = settings.batchMaxFiles;
+  elements.batchSeparatorToggle.checked = settings.batchSeparatorPages;
+  elements.archiveMaxEntries.value = settings.archiveMaxEntries;
+  elements.archiveMaxSize.value = settings.archiveMaxSizeMB;
 }
 
 /**
- * Update filter preview
+ * Show what the selected print mode supports: the native host settings, and the
+ * rule print options it can apply
  */
-function updatePreview() {
-  const prefix = elements.prefixFilter.value.trim();
-  const extension = elements.extensionFilter.value.trim().replace(/^\./, '');
+function updatePrintModeInfo() {
+  const printMode = elements.printMode.value;
+  const supported = getSupportedPrintOptions(printMode);
   
-  let text = '';
+  elements.nativeSettings.hidden = printMode !== CONFIG.PRINT_MODES.NATIVE;
+  ruleEditor.setPrintMode(printMode);
   
-  if (!prefix && !extension) {
-    text = 'Printing all downloaded files';
-  } else if (prefix && !extension) {
-    text = `Printing files starting with "${prefix}"`;
-  } else if (!prefix && extension) {
-    text = `Printing all .${extension} files`;
-  } else {
-    text = `Printing .${extension} files starting with "${prefix}"`;
+  const names = supported.map(option => PRINT_OPTION_LABELS[option]).join(', ');
+  elements.printOptionSupport.textContent = printMode === CONFIG.PRINT_MODES.NATIVE
+    ? `Rule print options applied: ${names}`
+    : `Rule print options applied: ${names} (images and text only). Set the others in the print dialog`;
+}
+
+/**
+ * Handle a print mode change; the native mode needs the native messaging permission
+ */
+async function handlePrintModeChange() {
+  if (elements.printMode.value === 'native' && !(await requestNativeMessagingPermission())) {
+    elements.printMode.value = currentSettings.printMode === 'native' ? 'tab' : currentSettings.printMode;
+    showStatus('Silent printing needs the native messaging permission', 'error');
   }
+  updatePrintModeInfo();
+}
+
+/**
+ * Load the printer list from the native host into the printer suggestions
+ */
+async function handleLoadPrinters() {
+  try {
+    elements.loadPrintersBtn.disabled = true;
+    const printers = await listPrinters(elements.nativeHostName.value.trim() || 'com.autoprint.host');
+    elements.nativePrinterList.innerHTML = printers
+      .map(printer => `<option value="${escapeHtml(printer.name)}">${printer.isDefault ? 'Default' : ''}</option>`)
+      .join('');
+    showStatus(`Found ${printers.length} printer(s)`, 'success');
+  } catch (error) {
+    console.error('[AutoPrint Options] Load printers error:', error);
+    showStatus(error.message, 'error');
+  } finally {
+    elements.loadPrintersBtn.disabled = false;
+  }
+}
+
+/**
+ * Show the stamp templates in the stamp editor, with the selected one in the fields
+ */
+function renderStampEditor() {
+  const selected = stampTemplates.find(template => template.id === selectedStampId) || stampTemplates[0] || null;
+  selectedStampId = selected?.id ?? null;
   
-  elements.filterPreview.textContent = text;
+  elements.stampSelect.innerHTML = stampTemplates
+    .map(template => `<option value="${escapeHtml(template.id)}">${escapeHtml(template.name)}</option>`)
+    .join('');
+  elements.stampSelect.value = selectedStampId ?? '';
+  elements.stampSelect.disabled = !selected;
+  elements.deleteStampBtn.disabled = !selected;
+  
+  elements.stampFields.forEach((input) => {
+    input.value = selected ? selected[input.dataset.stampField] : '';
+    input.disabled = !selected;
+  });
+  
+  updateStampPreview();
+}
+
+/**
+ * Fill the preview page with the selected stamp and show problems with its placeholders
+ */
+function updateStampPreview() {
+  const template = stampTemplates.find(item => item.id === selectedStampId);
+  const values = getStampValues(STAMP_PREVIEW_JOB);
+  const fill = text => fillStampTemplate(text || '', values)
+    .map(part => part.counter ? (part.counter === 'page' ? '1' : '2') : part.text)
+    .join('');
+  
+  elements.stampPreviewHeader.textContent = fill(template?.header);
+  elements.stampPreviewFooter.textContent = fill(template?.footer);
+  elements.stampPreviewWatermark.textContent = fill(template?.watermark);
+  
+  const errors = template ? getStampTemplateErrors(validateStampTemplates([template])) : [];
+  elements.stampError.textContent = errors.map(error => error.message).join('\n');
+  elements.stampError.hidden = errors.length === 0;
+}
+
+/**
+ * Store an edit of the selected stamp
+ * @param {Event} event - Input event of a stamp field
+ */
+function handleStampInput(event) {
+  const template = stampTemplates.find(item => item.id === selectedStampId);
+  if (!template) return;
+  
+  template[event.target.dataset.stampField] = event.target.value;
+  updateStampPreview();
+  
+  if (event.target.dataset.stampField === 'name') {
+    elements.stampSelect.selectedOptions[0].textContent = event.target.value;
+  }
+}
+
+/**
+ * Offer renamed stamps to the rules once the name is entered
+ */
+function handleStampNameChange() {
+  ruleEditor.setStampTemplates(validateStampTemplates(stampTemplates));
+}
+
+/**
+ * Add a new stamp and select it
+ */
+function handleAddStamp() {
+  const template = createStampTemplate({ name: `Stamp ${stampTemplates.length + 1}` });
+  stampTemplates.push(template);
+  selectedStampId = template.id;
+  renderStampEditor();
+  ruleEditor.setStampTemplates(validateStampTemplates(stampTemplates));
+  elements.stampFields[0].focus();
+}
+
+/**
+ * Delete the selected stamp. Rules that used it stop stamping once saved.
+ */
+function handleDeleteStamp() {
+  const template = stampTemplates.find(item => item.id === selectedStampId);
+  if (!template || !confirm(`Delete the stamp "${template.name}"?`)) return;
+  
+  stampTemplates = stampTemplates.filter(item => item.id !== template.id);
+  selectedStampId = null;
+  renderStampEditor();
+  ruleEditor.setStampTemplates(validateStampTemplates(stampTemplates));
+}
+
+/**
+ * Update filter preview
+ */
+function updatePreview() {
+  elements.filterPreview.textContent = describeRules(ruleEditor.getRules());
 }
 
 /**
@@ -86,16 +378,61 @@ function showStatus(message, type = 'success') {
   }, 3000);
 }
 
+/**
+ * Highlight settings errors in the rule and stamp editors
+ * @param {Array<Object>} errors - Errors as { ruleId, ruleName, field, message, templateId }
+ */
+function showSettingsErrors(errors) {
+  ruleEditor.showErrors(errors);
+  const stampError = errors.find(entry => entry.templateId);
+  if (stampError) {
+    selectedStampId = stampError.templateId;
+    renderStampEditor();
+  }
+  showStatus(new SettingsValidationError(errors).message, 'error');
+}
+
+/**
+ * Show why settings could not be saved
+ * @param {Error} error - Save error
+ */
+function showSaveError(error) {
+  if (error instanceof SettingsValidationError) {
+    showSettingsErrors(error.errors);
+  } else {
+    showStatus('Failed to save settings', 'error');
+  }
+}
+
 /**
  * Get settings from form
  */
 function getFormSettings() {
   return {
+    ...currentSettings,
     enabled: elements.enableToggle.checked,
     showNotifications: elements.notificationsToggle.checked,
-    prefixFilter: elements.prefixFilter.value.trim(),
-    extensionFilter: elements.extensionFilter.value.trim().replace(/^\./, ''),
-    maxHistoryItems: parseInt(elements.maxHistory.value, 10) || 100
+    rules: ruleEditor.getRules(),
+    stampTemplates: validateStampTemplates(stampTemplates),
+    maxHistoryItems: parseInt(elements.maxHistory.value, 10) || 100,
+    printConcurrency: parseInt(elements.printConcurrency.value, 10) || 1,
+    maxRetries: parseInt(elements.maxRetries.value, 10) || 0,
+    retryDelaySeconds: parseInt(elements.retryDelay.value, 10) || 10,
+    printDelaySeconds: parseInt(elements.printDelay.value, 10) || 0,
+    printMode: elements.printMode.value,
+    nativeHostName: elements.nativeHostName.value,
+    nativePrinter: elements.nativePrinter.value,
+    afterPrintAction: elements.afterPrintAction.value,
+    documentHeader: elements.documentHeader.value,
+    duplicateWindowMinutes: parseInt(elements.duplicateWindow.value, 10) || 0,
+    duplicateCheckContent: elements.duplicateContentToggle.checked,
+    requireApproval: elements.approvalToggle.checked,
+    approvalTimeoutMinutes: parseInt(elements.approvalTimeout.value, 10) || 15,
+    batchWindowSeconds: parseInt(elements.batchWindow.value, 10) || 0,
+    batchMaxFiles: parseInt(elements.batchMaxFiles.value, 10) || 20,
+    batchSeparatorPages: elements.batchSeparatorToggle.checked,
+    archiveMaxEntries: parseInt(elements.archiveMaxEntries.value, 10) || 50,
+    archiveMaxSizeMB: parseInt(elements.archiveMaxSize.value, 10) || 100
   };
 }
 
@@ -111,7 +448,7 @@ async function handleSave() {
     showStatus('Settings saved successfully!', 'success');
   } catch (error) {
     console.error('[AutoPrint Options] Save error:', error);
-    showStatus('Failed to save settings', 'error');
+    showSaveError(error);
   } finally {
     elements.saveBtn.disabled = false;
   }
@@ -124,6 +461,7 @@ async function toggleHistoryView() {
   const isHidden = elements.historyCard.style.display === 'none';
   
   if (isHidden) {
+    renderHistoryRuleFilter();
     await loadHistoryTable();
     elements.historyCard.style.display = 'block';
     elements.viewHistoryBtn.innerHTML = `
@@ -135,6 +473,7 @@ async function toggleHistoryView() {
       Hide History
     `;
   } else {
+    hideHistoryDetails();
     elements.historyCard.style.display = 'none';
     elements.viewHistoryBtn.innerHTML = `
       <svg viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
@@ -147,37 +486,626 @@ async function toggleHistoryView() {
 }
 
 /**
- * Load history into table
+ * Toggle statistics view
+ */
+async function toggleStatsView() {
+  const isHidden = elements.statsCard.style.display === 'none';
+  const icon = `
+    <svg viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+      <path d="M18 20V10M12 20V4M6 20V14" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+    </svg>
+  `;
+  
+  if (isHidden) {
+    await loadStats();
+    elements.statsCard.style.display = 'block';
+    elements.viewStatsBtn.innerHTML = `${icon} Hide Statistics`;
+  } else {
+    elements.statsCard.style.display = 'none';
+    elements.viewStatsBtn.innerHTML = `${icon} Statistics`;
+  }
+}
+
+/**
+ * Compute the statistics for the chosen range and show them
+ */
+async function loadStats() {
+  try {
+    let from = null;
+    if (elements.statsRange.value) {
+      // Ranges are whole days, up to and including today
+      const start = new Date();
+      start.setHours(0, 0, 0, 0);
+      start.setDate(start.getDate() - (Number(elements.statsRange.value) - 1));
+      from = start.toISOString();
+    }
+    
+    const entries = await loadPrintHistory({ from });
+    renderStats(computeHistoryStats(entries, { period: elements.statsPeriod.value, from }));
+  } catch (error) {
+    console.error('[AutoPrint Options] Load statistics error:', error);
+    showStatus('Failed to load statistics', 'error');
+  }
+}
+
+/**
+ * Name the day or week a timeline column covers
+ * @param {string} start - First day of the period (YYYY-MM-DD)
+ * @returns {string} Label such as "Mar 4" or "Week of Mar 4"
+ */
+function formatStatsPeriod(start) {
+  const label = new Date(`${start}T00:00:00`).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+  return elements.statsPeriod.value === STATS_PERIODS.WEEK ? `Week of ${label}` : label;
+}
+
+/**
+ * Render a "top" list as horizontal bars
+ * @param {HTMLElement} list - List element
+ * @param {Array<Object>} items - Items as { name, count }, most frequent first
+ */
+function renderStatsBars(list, items) {
+  if (items.length === 0) {
+    list.innerHTML = '<li class="stats-empty">No prints in this range</li>';
+    return;
+  }
+  
+  const max = items[0].count;
+  list.innerHTML = items.map(item => `
+    <li class="stats-bar" title="${escapeHtml(item.name)}: ${item.count}">
+      <span class="stats-bar-name">${escapeHtml(item.name)}</span>
+      <span class="stats-bar-count">${item.count}</span>
+      <span class="stats-bar-fill" style="width: ${(item.count / max) * 100}%"></span>
+    </li>
+  `).join('');
+}
+
+/**
+ * Show history statistics as summary figures and charts
+ * @param {Object} stats - Statistics from computeHistoryStats()
+ */
+function renderStats(stats) {
+  const { outcomes, successRate, downloadToPrint, timeline } = stats;
+  const { PRINTED, SENT_TO_DIALOG, ERROR } = CONFIG.HISTORY_STATUS;
+  const notPrinted = Object.entries(outcomes)
+    .filter(([status]) => ![PRINTED, SENT_TO_DIALOG, ERROR].includes(status))
+    .reduce((sum, [, count]) => sum + count, 0);
+  
+  const tiles = [
+    [String(outcomes[PRINTED] + outcomes[SENT_TO_DIALOG]), `Printed (${outcomes[SENT_TO_DIALOG]} through the print dialog)`],
+    [successRate === null ? '—' : `${Math.round(successRate * 100)}%`, `Success rate (${outcomes[ERROR]} ${outcomes[ERROR] === 1 ? 'error' : 'errors'})`],
+    [downloadToPrint.averageMs === null ? '—' : formatDuration(downloadToPrint.averageMs), 'Average download to print'],
+    [String(notPrinted), 'Duplicates, skipped and cancelled']
+  ];
+  elements.statsSummary.innerHTML = tiles.map(([value, label]) => `
+    <div class="stats-tile">
+      <span class="stats-value">${escapeHtml(value)}</span>
+      <span class="stats-label">${escapeHtml(label)}</span>
+    </div>
+  `).join('');
+  
+  // Columns are scaled to the busiest period
+  const max = Math.max(1, ...timeline.map(period => period.printed + period.error));
+  elements.statsTimeline.innerHTML = timeline.map(period => `
+    <div class="stats-column" title="${escapeHtml(formatStatsPeriod(period.start))}: ${period.printed} printed, ${period.error} failed">
+      <span class="error" style="height: ${(period.error / max) * 100}%"></span>
+      <span class="printed" style="height: ${(period.printed / max) * 100}%"></span>
+    </div>
+  `).join('');
+  elements.statsAxis.innerHTML = `
+    <span>${escapeHtml(formatStatsPeriod(timeline[0].start))}</span>
+    <span>Most in one ${elements.statsPeriod.value === STATS_PERIODS.WEEK ? 'week' : 'day'}: ${max}</span>
+    <span>${escapeHtml(formatStatsPeriod(timeline[timeline.length - 1].start))}</span>
+  `;
+  
+  const total = Object.values(outcomes).reduce((sum, count) => sum + count, 0);
+  const segments = Object.entries(outcomes).filter(([, count]) => count > 0);
+  elements.statsOutcomes.innerHTML = segments.map(([status, count]) => `
+    <span class="${status}" style="width: ${(count / total) * 100}%" title="${escapeHtml(HISTORY_STATUS_LABELS[status] || status)}: ${count}"></span>
+  `).join('');
+  elements.statsLegend.innerHTML = total === 0
+    ? 'No history in this range'
+    : segments.map(([status, count]) =>
+      `<span>${escapeHtml(HISTORY_STATUS_LABELS[status] || status)} ${count} (${Math.round((count / total) * 100)}%)</span>`).join('');
+  
+  renderStatsBars(elements.statsExtensions, stats.topExtensions);
+  renderStatsBars(elements.statsDomains, stats.topDomains);
+  renderStatsBars(elements.statsRules, stats.topRules);
+}
+
+/**
+ * List the current rules in the history rule filter, keeping the selection
+ */
+function renderHistoryRuleFilter() {
+  const selected = elements.historyRuleFilter.value;
+  elements.historyRuleFilter.innerHTML = '<option value="">All rules</option>' +
+    (currentSettings?.rules || [])
+      .map(rule => `<option value="${escapeHtml(rule.id)}">${escapeHtml(rule.name)}</option>`)
+      .join('');
+  elements.historyRuleFilter.value = selected;
+  if (elements.historyRuleFilter.value !== selected) {
+    elements.historyRuleFilter.value = '';
+  }
+}
+
+/**
+ * Get the history query from the filters, sort order and page
+ * @returns {Object} Query for queryPrintHistory()
+ */
+function getHistoryQuery() {
+  // Date inputs hold local dates; the range covers the whole of both days
+  const from = elements.historyFrom.value ? new Date(`${elements.historyFrom.value}T00:00:00`) : null;
+  const to = elements.historyTo.value ? new Date(`${elements.historyTo.value}T23:59:59.999`) : null;
+  
+  return {
+    search: elements.historySearch.value,
+    status: elements.historyStatusFilter.value,
+    ruleId: elements.historyRuleFilter.value,
+    from: from ? from.toISOString() : null,
+    to: to ? to.toISOString() : null,
+    ...historySort,
+    offset: historyPage * CONFIG.HISTORY.PAGE_SIZE,
+    limit: CONFIG.HISTORY.PAGE_SIZE
+  };
+}
+
+/**
+ * Show the first page of the history again after a filter changed
+ */
+function handleHistoryFilterChange() {
+  historyPage = 0;
+  loadHistoryTable();
+}
+
+/**
+ * Sort the history by a column; clicking the sorted column reverses the order
+ * @param {Event} event - Click on a column header
+ */
+function handleHistorySort(event) {
+  const sortBy = event.currentTarget.dataset.sort;
+  if (historySort.sortBy === sortBy) {
+    historySort = { sortBy, sortDirection: historySort.sortDirection === 'asc' ? 'desc' : 'asc' };
+  } else {
+    // Dates start with the newest, text columns from A
+    historySort = { sortBy, sortDirection: sortBy === 'timestamp' ? 'desc' : 'asc' };
+  }
+  historyPage = 0;
+  loadHistoryTable();
+}
+
+/**
+ * Go to another page of the history
+ * @param {number} step - -1 for the previous page, 1 for the next
+ */
+function handleHistoryPage(step) {
+  historyPage = Math.max(0, historyPage + step);
+  loadHistoryTable();
+}
+
+/**
+ * Load the current page of the history into the table
  */
 async function loadHistoryTable() {
   try {
-    const history = await loadPrintHistory();
+    const { items, total } = await queryPrintHistory(getHistoryQuery());
+    
+    // A page past the end (e.g. after clearing) falls back to the last page
+    if (items.length === 0 && total > 0 && historyPage > 0) {
+      historyPage = Math.ceil(total / CONFIG.HISTORY.PAGE_SIZE) - 1;
+      await loadHistoryTable();
+      return;
+    }
+    
+    elements.historySortHeaders.forEach((header) => {
+      const sorted = header.dataset.sort === historySort.sortBy;
+      header.classList.toggle('sorted', sorted);
+      header.classList.toggle('asc', sorted && historySort.sortDirection === 'asc');
+    });
+    
+    const first = historyPage * CONFIG.HISTORY.PAGE_SIZE;
+    elements.historyPageInfo.textContent = total > 0 ? `${first + 1}–${first + items.length} of ${total}` : '';
+    elements.historyPrevBtn.disabled = historyPage === 0;
+    elements.historyNextBtn.disabled = first + items.length >= total;
     
-    if (history.length === 0) {
+    if (items.length === 0) {
+      const filtered = elements.historySearch.value || elements.historyStatusFilter.value ||
+        elements.historyRuleFilter.value || elements.historyFrom.value || elements.historyTo.value;
       elements.historyTableBody.innerHTML = `
         <tr>
-          <td colspan="3" class="empty-state">No print history yet</td>
+          <td colspan="6" class="empty-state">${filtered ? 'No entries match the filters' : 'No print history yet'}</td>
         </tr>
       `;
       return;
     }
     
-    elements.historyTableBody.innerHTML = history.map(item => `
-      <tr>
-        <td><code>${escapeHtml(item.filename)}</code></td>
+    historyItems = new Map(items.map(item => [item.id, item]));
+    elements.historyTableBody.innerHTML = items.map(item => `
+      <tr data-id="${item.id}" class="${item.id === selectedHistoryId ? 'selected' : ''}">
+        <td>
+          <code>${escapeHtml(item.filename)}</code>
+          ${item.archive ? `<span class="history-source muted">from ${escapeHtml(item.archive.archiveFilename)}</span>` : ''}
+          ${item.groupedFiles?.length > 1 ? `<span class="history-source muted" title="${escapeHtml(item.groupedFiles.join('\n'))}">${item.batch ? `batch of ${item.groupedFiles.length} files` : `and ${item.groupedFiles.length - 1} more on the same print`}</span>` : ''}
+        </td>
+        <td>${item.ruleName ? escapeHtml(item.ruleName) : '<span class="muted">—</span>'}</td>
+        <td>${item.domain ? escapeHtml(item.domain) : '<span class="muted">—</span>'}</td>
         <td>
-          <span class="status-badge ${item.status}">
-            ${item.status === 'printed' ? '✓ Printed' : '✗ Error'}
+          <span class="status-badge ${item.status}" title="${escapeHtml(getStatusDetail(item))}">
+            ${HISTORY_STATUS_LABELS[item.status] || escapeHtml(item.status)}
           </span>
+          ${getWarnings(item).length ? `<span class="warning-mark" title="${escapeHtml(getWarnings(item).join('\n'))}">⚠</span>` : ''}
         </td>
         <td>${formatDate(item.timestamp)}</td>
+        <td>
+          <div class="history-row-actions">
+            <button class="rule-btn" type="button" data-history-action="reprint" title="Reprint" disabled>&#8635;</button>
+            <button class="rule-btn" type="button" data-history-action="open" title="${item.archive ? 'Open archive' : 'Open file'}" disabled>&#8599;</button>
+            <button class="rule-btn" type="button" data-history-action="show" title="Show in folder" disabled>&#128193;</button>
+          </div>
+        </td>
       </tr>
     `).join('');
+    
+    historyFiles = new Map();
+    await Promise.all(items.map(checkHistoryRowFile));
   } catch (error) {
     console.error('[AutoPrint Options] Load history error:', error);
   }
 }
 
+/**
+ * Look up the file of a history row and enable its actions, or flag the file as missing
+ * @param {Object} item - History entry shown in the table
+ */
+async function checkHistoryRowFile(item) {
+  const file = await checkHistoryFile(item);
+  const row = elements.historyTableBody.querySelector(`tr[data-id="${item.id}"]`);
+  if (!row || historyItems.get(item.id) !== item) {
+    // The table was reloaded in the meantime
+    return;
+  }
+  
+  historyFiles.set(item.id, file);
+  row.classList.toggle('file-missing', !file.exists);
+  row.querySelectorAll('[data-history-action]').forEach((button) => {
+    button.disabled = !file.exists;
+  });
+  if (!file.exists) {
+    row.cells[0].insertAdjacentHTML('beforeend',
+      '<span class="missing-mark" title="The file was deleted or moved since it was downloaded">file missing</span>');
+  }
+}
+
+/**
+ * Reprint, open or show the file of a history row
+ * @param {HTMLElement} button - Clicked action button
+ * @param {number} id - History entry ID
+ */
+function handleHistoryAction(button, id) {
+  const action = button.dataset.historyAction;
+  const file = historyFiles.get(id);
+  if (!file?.exists) {
+    return;
+  }
+  
+  // Opening a download needs the click, so it cannot wait for anything first
+  if (action === 'open') {
+    chrome.downloads.open(file.downloadId);
+  } else if (action === 'show') {
+    chrome.downloads.show(file.downloadId);
+  } else if (action === 'reprint') {
+    reprintHistoryEntry(button, id);
+  }
+}
+
+/**
+ * Queue a history entry for printing again
+ * @param {HTMLElement} button - Reprint button, disabled while the request runs
+ * @param {number} id - History entry ID
+ */
+async function reprintHistoryEntry(button, id) {
+  button.disabled = true;
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'reprintHistoryEntry', entryId: id });
+    if (response?.success) {
+      showStatus('Queued for reprint', 'success');
+    } else {
+      showStatus(response?.error || 'Reprint failed', 'error');
+      // The file may have gone since the table was loaded
+      if (historyItems.has(id)) {
+        await checkHistoryRowFile(historyItems.get(id));
+      }
+    }
+  } catch (error) {
+    console.error('[AutoPrint Options] Reprint error:', error);
+    showStatus('Reprint failed', 'error');
+  } finally {
+    button.disabled = !historyFiles.get(id)?.exists;
+  }
+}
+
+/**
+ * List the export columns as checkboxes, with the default columns ticked
+ */
+function renderExportColumns() {
+  const defaults = getDefaultExportColumns();
+  elements.historyExportColumns.innerHTML = HISTORY_EXPORT_COLUMNS.map(column => `
+    <label title="${column.id}">
+      <input type="checkbox" value="${column.id}" ${defaults.includes(column.id) ? 'checked' : ''}>
+      ${escapeHtml(column.label)}
+    </label>
+  `).join('');
+}
+
+/**
+ * Name the export file after the date range
+ * @param {string} format - Export format
+ * @returns {string} Filename such as autoprint-history_2024-03-01_2024-03-31.csv
+ */
+function getExportFilename(format) {
+  const from = elements.historyFrom.value;
+  const to = elements.historyTo.value;
+  let range = new Date().toISOString().slice(0, 10);
+  if (from && to) {
+    range = `${from}_${to}`;
+  } else if (from) {
+    range = `from_${from}`;
+  } else if (to) {
+    range = `until_${to}`;
+  }
+  return `autoprint-history_${range}.${format}`;
+}
+
+/**
+ * Export the history entries matching the filters as CSV or JSON
+ */
+async function handleHistoryExport() {
+  const columns = [...elements.historyExportColumns.querySelectorAll('input:checked')].map(input => input.value);
+  if (columns.length === 0) {
+    showStatus('Pick at least one column to export', 'error');
+    return;
+  }
+  
+  elements.historyExportBtn.disabled = true;
+  try {
+    const { search, status, ruleId, from, to } = getHistoryQuery();
+    const filters = { search: search.trim(), status, ruleId, from, to };
+    // Spreadsheets and logs read best in the order things happened
+    const entries = (await loadPrintHistory(filters)).reverse();
+    if (entries.length === 0) {
+      showStatus('No entries match the filters', 'error');
+      return;
+    }
+    
+    const format = elements.historyExportFormat.value;
+    const blob = format === EXPORT_FORMATS.JSON
+      ? new Blob([exportHistoryJson(entries, columns, filters)], { type: 'application/json' })
+      : new Blob([exportHistoryCsv(entries, columns)], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    
+    // Saved through the downloads API, so the service worker knows not to print it
+    await chrome.downloads.download({ url, filename: getExportFilename(format), saveAs: true });
+    // The save dialog may still be open; keep the file available for a while
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
+    showStatus(`Exported ${entries.length} ${entries.length === 1 ? 'entry' : 'entries'}`, 'success');
+  } catch (error) {
+    console.error('[AutoPrint Options] Export history error:', error);
+    showStatus(`Failed to export history: ${error.message}`, 'error');
+  } finally {
+    elements.historyExportBtn.disabled = false;
+  }
+}
+
+/**
+ * Format a file size
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Size with unit
+ */
+function formatFileSize(bytes) {
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+  if (bytes < 1024 * 1024) {
+    return `${(bytes / 1024).toFixed(1)} KB`;
+  }
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Format a duration
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} Duration such as "4 s" or "2 min 5 s"
+ */
+function formatDuration(ms) {
+  const seconds = Math.round(ms / 1000);
+  if (seconds < 1) {
+    return 'under 1 s';
+  }
+  if (seconds < 60) {
+    return `${seconds} s`;
+  }
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) {
+    return `${minutes} min ${seconds % 60} s`;
+  }
+  return `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+}
+
+/**
+ * List everything recorded about a history entry
+ * @param {Object} item - History entry
+ * @returns {Array<Array<string>>} [label, value] pairs for the fields the entry has
+ */
+function getHistoryDetails(item) {
+  const detectedType = item.detectedType && item.detectedType !== item.mime ? ` (detected ${item.detectedType})` : '';
+  const printer = item.hostStatus
+    ? `${item.printer || 'Default printer'} · job ${item.hostJobId ?? '?'} · ${item.hostStatus}`
+    : '';
+  
+  return [
+    ['Status', HISTORY_STATUS_LABELS[item.status] || item.status],
+    ['Detail', getOutcomeDetail(item)],
+    ['File', item.fullPath || item.filename],
+    ['Size', typeof item.fileSize === 'number' && item.fileSize >= 0 ? formatFileSize(item.fileSize) : ''],
+    ['Source URL', item.url],
+    ['Source domain', item.domain],
+    ['MIME type', item.mime ? item.mime + detectedType : item.detectedType],
+    ['Archive', item.archive ? `${item.archive.archiveFilename} › ${item.archive.name}` : ''],
+    [item.batch ? 'Batch' : 'Printed with', item.groupedFiles?.length > 1 ? item.groupedFiles.join('\n') : ''],
+    ['Rule', item.ruleName],
+    ['Print mode', PRINT_MODE_LABELS[item.printMode] || item.printMode],
+    ['Tab outcome', TAB_OUTCOME_LABELS[item.tabOutcome] || ''],
+    ['Printer', printer],
+    ['Print options', getPrintOptionsDetail(item).replace(/^Print options: /, '')],
+    ['Image layout', describeImageLayout(item.imageLayout)],
+    ['Stamp', getStampDetail(item).replace(/^Stamp: /, '')],
+    ['Downloaded', item.downloadedAt ? formatDate(item.downloadedAt) : ''],
+    ['Sent to printer', item.printSentAt ? formatDate(item.printSentAt) : ''],
+    ['Download to print', typeof item.downloadToPrintMs === 'number' ? formatDuration(item.downloadToPrintMs) : ''],
+    ['Logged', formatDate(item.timestamp)],
+    ['Reprint of', item.reprintOf ? `Print logged ${formatDate(item.reprintOf.timestamp)}` : ''],
+    ['Retries', typeof item.retries === 'number' ? String(item.retries) : ''],
+    ['Warnings', getWarnings(item).join('\n')],
+    ['Error', item.status === CONFIG.HISTORY_STATUS.ERROR && item.error !== getOutcomeDetail(item) ? item.error : '']
+  ].filter(([, value]) => value);
+}
+
+/**
+ * Open the detail drawer for a history entry
+ * @param {Object} item - History entry
+ */
+function showHistoryDetails(item) {
+  selectedHistoryId = item.id;
+  elements.historyDrawerTitle.textContent = item.filename;
+  elements.historyDetails.innerHTML = getHistoryDetails(item)
+    .map(([label, value]) => `<dt>${escapeHtml(label)}</dt><dd>${label === 'Source URL' || label === 'File' ? `<code>${escapeHtml(value)}</code>` : escapeHtml(value)}</dd>`)
+    .join('');
+  elements.historyDrawer.hidden = false;
+  
+  elements.historyTableBody.querySelectorAll('tr[data-id]').forEach((row) => {
+    row.classList.toggle('selected', Number(row.dataset.id) === item.id);
+  });
+}
+
+/**
+ * Close the detail drawer
+ */
+function hideHistoryDetails() {
+  selectedHistoryId = null;
+  elements.historyDrawer.hidden = true;
+  elements.historyTableBody.querySelectorAll('tr.selected').forEach(row => row.classList.remove('selected'));
+}
+
+/**
+ * Open the details of the clicked history row, or run the clicked row action
+ * @param {Event} event - Click in the history table
+ */
+function handleHistoryRowClick(event) {
+  const row = event.target.closest('tr[data-id]');
+  const item = row && historyItems.get(Number(row.dataset.id));
+  if (!item) {
+    return;
+  }
+  
+  const button = event.target.closest('[data-history-action]');
+  if (button) {
+    handleHistoryAction(button, item.id);
+  } else if (!event.target.closest('.history-row-actions')) {
+    showHistoryDetails(item);
+  }
+}
+
+/**
+ * List the warnings of a history entry: why its type was not sniffed, and conversion problems
+ * @param {Object} item - History entry
+ * @returns {Array<string>} Warnings
+ */
+function getWarnings(item) {
+  return [
+    ...(item.sniffError ? [`Type not sniffed: ${item.sniffError}`] : []),
+    ...(item.conversionWarnings || []).map(warning => `Conversion: ${warning}`)
+  ];
+}
+
+/**
+ * Describe why a history entry has its status, and the print options it was printed with
+ * @param {Object} item - History entry
+ * @returns {string} Detail text, or empty string
+ */
+function getStatusDetail(item) {
+  return [getOutcomeDetail(item), getPrintOptionsDetail(item), getStampDetail(item), ...getWarnings(item)].filter(Boolean).join('\n');
+}
+
+/**
+ * Check whether a history entry went to a printer or a print dialog
+ * @param {Object} item - History entry
+ * @returns {boolean} True if it was printed or sent to the print dialog
+ */
+function wasSentToPrint(item) {
+  return item.status === CONFIG.HISTORY_STATUS.PRINTED || item.status === CONFIG.HISTORY_STATUS.SENT_TO_DIALOG;
+}
+
+/**
+ * Describe the stamp of a history entry and whether it was printed
+ * @param {Object} item - History entry
+ * @returns {string} Detail text, or empty string
+ */
+function getStampDetail(item) {
+  if (!item.stampTemplate) {
+    return '';
+  }
+  return wasSentToPrint(item) && !item.stamped
+    ? `Stamp: ${item.stampTemplate} (not applied)`
+    : `Stamp: ${item.stampTemplate}`;
+}
+
+/**
+ * Describe the print options of a history entry and which of them were not applied
+ * @param {Object} item - History entry
+ * @returns {string} Detail text, or empty string
+ */
+function getPrintOptionsDetail(item) {
+  const description = describePrintOptions(item.printOptions);
+  if (!description) {
+    return '';
+  }
+  
+  const notApplied = wasSentToPrint(item)
+    ? getSetPrintOptions(item.printOptions).filter(option => !(item.appliedPrintOptions || []).includes(option))
+    : [];
+  return notApplied.length > 0
+    ? `Print options: ${description} (not applied: ${notApplied.map(option => PRINT_OPTION_LABELS[option]).join(', ')})`
+    : `Print options: ${description}`;
+}
+
+/**
+ * Describe the outcome of a history entry
+ * @param {Object} item - History entry
+ * @returns {string} Detail text, or empty string
+ */
+function getOutcomeDetail(item) {
+  if (item.duplicateOf) {
+    return `Already printed as ${item.duplicateOf.filename}`;
+  }
+  if (item.skipReason === 'expired') {
+    return 'Nobody approved the print in time';
+  }
+  if (item.skipReason === 'declined') {
+    return 'Skipped on request';
+  }
+  if (item.hostStatus) {
+    return `Printer: ${item.printer || 'default'} · job ${item.hostJobId ?? '?'} · ${item.hostStatus}`;
+  }
+  if (item.tabOutcome === CONFIG.TAB_OUTCOME.DIALOG_CLOSED) {
+    return 'Print dialog closed; the browser does not tell whether Print or Cancel was clicked';
+  }
+  if (item.tabOutcome === CONFIG.TAB_OUTCOME.DISMISSED) {
+    return 'Tab closed before the print dialog finished';
+  }
+  if (item.tabOutcome === CONFIG.TAB_OUTCOME.TIMED_OUT) {
+    return `The print dialog did not report closing within ${CONFIG.PRINT_DIALOG.TIMEOUT_MINUTES} minutes; the queue moved on`;
+  }
+  return item.error || '';
+}
+
 /**
  * Clear history with confirmation
  */
@@ -188,7 +1116,11 @@ async function handleClearHistory() {
   
   try {
     await clearPrintHistory();
+    hideHistoryDetails();
     await loadHistoryTable();
+    if (elements.statsCard.style.display !== 'none') {
+      await loadStats();
+    }
     showStatus('History cleared', 'success');
   } catch (error) {
     console.error('[AutoPrint Options] Clear history error:', error);
@@ -197,12 +1129,13 @@ async function handleClearHistory() {
 }
 
 /**
- * Escape HTML for safe rendering
+ * Escape HTML for safe rendering, in text and in quoted attribute values
  */
 function escapeHtml(text) {
   const div = document.createElement('div');
   div.textContent = text;
-  return div.innerHTML;
+  // innerHTML leaves quotes alone, which would end an attribute value
+  return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
 }
 
 /**
@@ -217,11 +1150,41 @@ function formatDate(isoString) {
  * Set up event listeners
  */
 function setupEventListeners() {
-  elements.prefixFilter.addEventListener('input', updatePreview);
-  elements.extensionFilter.addEventListener('input', updatePreview);
   elements.saveBtn.addEventListener('click', handleSave);
   elements.viewHistoryBtn.addEventListener('click', toggleHistoryView);
   elements.clearHistoryBtn.addEventListener('click', handleClearHistory);
+  elements.historySearch.addEventListener('input', handleHistoryFilterChange);
+  [elements.historyStatusFilter, elements.historyRuleFilter, elements.historyFrom, elements.historyTo].forEach((input) => {
+    input.addEventListener('change', handleHistoryFilterChange);
+  });
+  elements.historySortHeaders.forEach((header) => {
+    header.addEventListener('click', handleHistorySort);
+  });
+  elements.historyTableBody.addEventListener('click', handleHistoryRowClick);
+  elements.historyDrawerClose.addEventListener('click', hideHistoryDetails);
+  document.addEventListener('keydown', (event) => {
+    if (event.key === 'Escape' && !elements.historyDrawer.hidden) {
+      hideHistoryDetails();
+    }
+  });
+  elements.historyPrevBtn.addEventListener('click', () => handleHistoryPage(-1));
+  elements.historyNextBtn.addEventListener('click', () => handleHistoryPage(1));
+  elements.historyExportBtn.addEventListener('click', handleHistoryExport);
+  elements.viewStatsBtn.addEventListener('click', toggleStatsView);
+  elements.statsRange.addEventListener('change', loadStats);
+  elements.statsPeriod.addEventListener('change', loadStats);
+  elements.printMode.addEventListener('change', handlePrintModeChange);
+  elements.loadPrintersBtn.addEventListener('click', handleLoadPrinters);
+  elements.stampSelect.addEventListener('change', () => {
+    selectedStampId = elements.stampSelect.value;
+    renderStampEditor();
+  });
+  elements.addStampBtn.addEventListener('click', handleAddStamp);
+  elements.deleteStampBtn.addEventListener('click', handleDeleteStamp);
+  elements.stampFields.forEach((input) => {
+    input.addEventListener('input', handleStampInput);
+  });
+  elements.stampName.addEventListener('change', handleStampNameChange);
   
   // Auto-save on toggle changes
   elements.enableToggle.addEventListener('change', handleSave);
@@ -3,26 +3,64 @@
  * Handles popup UI interactions and settings management
  */
 
-import { loadSettings, saveSettings } from '../shared/storage.js';
+import { loadSettings, saveSettings, loadPrintQueue, onPrintQueueChange, onPrintHistoryChange, queryPrintHistory } from '../shared/storage.js';
+import { CONFIG, SettingsValidationError } from '../shared/config.js';
+import { describeRules } from '../shared/rules.js';
+import { createRuleEditor } from '../shared/rule-editor.js';
+import { checkHistoryFile } from '../shared/history-files.js';
 
 // DOM Elements
 const elements = {
   enableToggle: document.getElementById('enableToggle'),
   statusIndicator: document.getElementById('statusIndicator'),
-  prefixFilter: document.getElementById('prefixFilter'),
-  extensionFilter: document.getElementById('extensionFilter'),
-  clearPrefix: document.getElementById('clearPrefix'),
-  clearExtension: document.getElementById('clearExtension'),
+  ruleEditor: document.getElementById('ruleEditor'),
   filterPreview: document.getElementById('filterPreview'),
   previewSection: document.getElementById('previewSection'),
   saveBtn: document.getElementById('saveBtn'),
   saveStatus: document.getElementById('saveStatus'),
-  settingsBtn: document.getElementById('settingsBtn')
+  settingsBtn: document.getElementById('settingsBtn'),
+  queueList: document.getElementById('queueList'),
+  clearQueueBtn: document.getElementById('clearQueueBtn'),
+  recentList: document.getElementById('recentList')
 };
 
+// Labels for print job states
+const JOB_STATUS_LABELS = {
+  [CONFIG.JOB_STATUS.AWAITING_APPROVAL]: 'Needs approval',
+  [CONFIG.JOB_STATUS.DELAYED]: 'Delayed',
+  [CONFIG.JOB_STATUS.PENDING]: 'Pending',
+  [CONFIG.JOB_STATUS.PRINTING]: 'Printing',
+  [CONFIG.JOB_STATUS.DONE]: 'Done',
+  [CONFIG.JOB_STATUS.FAILED]: 'Failed',
+  [CONFIG.JOB_STATUS.CANCELLED]: 'Cancelled',
+  [CONFIG.JOB_STATUS.SKIPPED]: 'Skipped'
+};
+
+// Labels for print history states
+const HISTORY_STATUS_LABELS = {
+  [CONFIG.HISTORY_STATUS.PRINTED]: 'Printed',
+  [CONFIG.HISTORY_STATUS.SENT_TO_DIALOG]: 'Sent to dialog',
+  [CONFIG.HISTORY_STATUS.ERROR]: 'Error',
+  [CONFIG.HISTORY_STATUS.DUPLICATE]: 'Duplicate',
+  [CONFIG.HISTORY_STATUS.SKIPPED]: 'Skipped',
+  [CONFIG.HISTORY_STATUS.CANCELLED]: 'Cancelled'
+};
+
+// Number of history entries shown under Recent Prints
+const RECENT_PRINTS = 5;
+
 // Current settings state
 let currentSettings = null;
 
+// Re-renders the queue every second while a delayed job counts down
+let countdownTimer = null;
+
+// Where the files of the recent prints are, by history entry ID: { downloadId, exists }
+let recentFiles = new Map();
+
+// Rule list editor
+const ruleEditor = createRuleEditor(elements.ruleEditor, { onChange: updatePreview });
+
 /**
  * Initialize the popup
  */
@@ -40,6 +78,12 @@ async function initialize() {
     // Update preview
     updatePreview();
     
+    // Show the live print queue, and the recent prints as their history entries are written
+    renderQueue(await loadPrintQueue());
+    await loadRecentPrints();
+    onPrintQueueChange(renderQueue);
+    onPrintHistoryChange(loadRecentPrints);
+    
     console.log('[AutoPrint Popup] Initialized with settings:', currentSettings);
   } catch (error) {
     console.error('[AutoPrint Popup] Initialization error:', error);
@@ -53,8 +97,9 @@ async function initialize() {
  */
 function applySettingsToUI(settings) {
   elements.enableToggle.checked = settings.enabled;
-  elements.prefixFilter.value = settings.prefixFilter || '';
-  elements.extensionFilter.value = settings.extensionFilter || '';
+  ruleEditor.setStampTemplates(settings.stampTemplates);
+  ruleEditor.setRules(settings.rules);
+  ruleEditor.setPrintMode(settings.printMode);
   
   updateStatusIndicator(settings.enabled);
 }
@@ -79,22 +124,194 @@ function updateStatusIndicator(enabled) {
  * Update the filter preview text
  */
 function updatePreview() {
-  const prefix = elements.prefixFilter.value.trim();
-  const extension = elements.extensionFilter.value.trim().replace(/^\./, '');
+  elements.filterPreview.textContent = describeRules(ruleEditor.getRules());
+}
+
+/**
+ * Escape HTML for safe rendering, in text and in quoted attribute values
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text ?? '';
+  return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+/**
+ * Render the print queue
+ * @param {Array} queue - Print jobs in queue order
+ */
+function renderQueue(queue) {
+  clearTimeout(countdownTimer);
+  if (queue.some(job => job.status === CONFIG.JOB_STATUS.DELAYED)) {
+    countdownTimer = setTimeout(() => renderQueue(queue), 1000);
+  }
   
-  let previewText = '';
+  if (queue.length === 0) {
+    elements.queueList.innerHTML = '<li class="queue-empty">Queue is empty</li>';
+    return;
+  }
+  
+  const pendingIds = queue
+    .filter(job => job.status === CONFIG.JOB_STATUS.PENDING)
+    .map(job => job.id);
   
-  if (!prefix && !extension) {
-    previewText = 'Printing all downloaded files';
-  } else if (prefix && !extension) {
-    previewText = `Printing files starting with "${prefix}"`;
-  } else if (!prefix && extension) {
-    previewText = `Printing all .${extension} files`;
+  elements.queueList.innerHTML = queue.map(job => {
+    const pendingIndex = pendingIds.indexOf(job.id);
+    const isPending = pendingIndex !== -1;
+    const retryInfo = isPending && job.nextAttemptAt > Date.now()
+      ? ` · retry at ${new Date(job.nextAttemptAt).toLocaleTimeString()}`
+      : '';
+    const attemptInfo = job.attempts > 1 ? ` · attempt ${job.attempts}` : '';
+    const isAwaiting = job.status === CONFIG.JOB_STATUS.AWAITING_APPROVAL;
+    const expiryInfo = isAwaiting ? ` · skipped at ${new Date(job.expiresAt).toLocaleTimeString()}` : '';
+    const isDelayed = job.status === CONFIG.JOB_STATUS.DELAYED;
+    const countdown = isDelayed ? ` · prints in ${Math.max(0, Math.ceil((job.printAt - Date.now()) / 1000))}s` : '';
+    const groupInfo = job.items?.length > 1 ? ` · ${job.items.length} files` : '';
+    
+    return `
+      <li class="queue-item" data-job-id="${job.id}">
+        <div class="queue-info">
+          <code class="queue-filename" title="${escapeHtml((job.items || [job]).map(item => item.filename).join('\n'))}">${escapeHtml(job.filename)}</code>
+          <span class="queue-meta">
+            <span class="job-status ${job.status}">${JOB_STATUS_LABELS[job.status] || job.status}</span>${groupInfo}${attemptInfo}${retryInfo}${expiryInfo}${countdown}
+          </span>
+          ${job.error && job.status !== CONFIG.JOB_STATUS.DONE ? `<span class="queue-error">${escapeHtml(job.error)}</span>` : ''}
+        </div>
+        ${isPending ? `
+          <div class="queue-controls">
+            <button class="rule-btn" data-queue-action="up" title="Move up" ${pendingIndex === 0 ? 'disabled' : ''}>&uarr;</button>
+            <button class="rule-btn" data-queue-action="down" title="Move down" ${pendingIndex === pendingIds.length - 1 ? 'disabled' : ''}>&darr;</button>
+            <button class="rule-btn rule-btn-danger" data-queue-action="cancel" title="Cancel">&times;</button>
+          </div>
+        ` : ''}
+        ${isDelayed ? `
+          <div class="queue-controls">
+            <button class="rule-btn rule-btn-danger" data-queue-action="cancel" title="Cancel">&times;</button>
+          </div>
+        ` : ''}
+        ${isAwaiting ? `
+          <div class="queue-controls">
+            <button class="rule-btn rule-btn-confirm" data-queue-action="approve" title="Print">&#10003;</button>
+            <button class="rule-btn rule-btn-danger" data-queue-action="skip" title="Skip">&times;</button>
+          </div>
+        ` : ''}
+      </li>
+    `;
+  }).join('');
+}
+
+/**
+ * Render the latest print history entries, then look up their files
+ */
+async function loadRecentPrints() {
+  try {
+    const { items } = await queryPrintHistory({ limit: RECENT_PRINTS });
+    if (items.length === 0) {
+      elements.recentList.innerHTML = '<li class="queue-empty">No prints yet</li>';
+      return;
+    }
+    
+    elements.recentList.innerHTML = items.map(item => `
+      <li class="queue-item" data-entry-id="${item.id}">
+        <div class="queue-info">
+          <code class="queue-filename" title="${escapeHtml(item.fullPath || item.filename)}">${escapeHtml(item.filename)}</code>
+          <span class="queue-meta">
+            <span class="job-status ${item.status}">${HISTORY_STATUS_LABELS[item.status] || escapeHtml(item.status)}</span> · ${new Date(item.timestamp).toLocaleTimeString()}
+          </span>
+        </div>
+        <div class="queue-controls">
+          <button class="rule-btn" data-history-action="reprint" title="Reprint" disabled>&#8635;</button>
+          <button class="rule-btn" data-history-action="open" title="${item.archive ? 'Open archive' : 'Open file'}" disabled>&#8599;</button>
+          <button class="rule-btn" data-history-action="show" title="Show in folder" disabled>&#128193;</button>
+        </div>
+      </li>
+    `).join('');
+    
+    const files = await Promise.all(items.map(checkHistoryFile));
+    recentFiles = new Map(items.map((item, index) => [item.id, files[index]]));
+    items.forEach((item) => {
+      const row = elements.recentList.querySelector(`[data-entry-id="${item.id}"]`);
+      if (!row) return;
+      
+      const { exists } = recentFiles.get(item.id);
+      row.classList.toggle('file-missing', !exists);
+      row.querySelectorAll('[data-history-action]').forEach((button) => {
+        button.disabled = !exists;
+      });
+      if (!exists) {
+        row.querySelector('.queue-meta').insertAdjacentHTML('beforeend',
+          ' · <span class="missing-mark" title="The file was deleted or moved since it was downloaded">file missing</span>');
+      }
+    });
+  } catch (error) {
+    console.error('[AutoPrint Popup] Load recent prints error:', error);
+  }
+}
+
+/**
+ * Handle clicks on recent print controls
+ * @param {Event} event - Click event
+ */
+function handleRecentClick(event) {
+  const button = event.target.closest('[data-history-action]');
+  if (!button) return;
+  
+  const entryId = Number(button.closest('.queue-item').dataset.entryId);
+  const file = recentFiles.get(entryId);
+  if (!file?.exists) return;
+  
+  // Opening a download needs the click, so it cannot wait for anything first
+  const action = button.dataset.historyAction;
+  if (action === 'open') {
+    chrome.downloads.open(file.downloadId);
+  } else if (action === 'show') {
+    chrome.downloads.show(file.downloadId);
   } else {
-    previewText = `Printing .${extension} files starting with "${prefix}"`;
+    sendQueueCommand({ type: 'reprintHistoryEntry', entryId }, 'Queued for reprint');
   }
+}
+
+/**
+ * Send a queue command to the service worker
+ * @param {Object} message - Command message
+ * @param {string} successMessage - Status to show when the command succeeds
+ */
+async function sendQueueCommand(message, successMessage = '') {
+  try {
+    const response = await chrome.runtime.sendMessage(message);
+    if (!response?.success) {
+      showStatus(response?.error || 'Queue update failed', 'error');
+    } else if (successMessage) {
+      showStatus(successMessage, 'success');
+    }
+  } catch (error) {
+    console.error('[AutoPrint Popup] Queue command error:', error);
+    showStatus('Queue update failed', 'error');
+  }
+}
+
+/**
+ * Handle clicks on queue item controls
+ * @param {Event} event - Click event
+ */
+function handleQueueClick(event) {
+  const button = event.target.closest('[data-queue-action]');
+  if (!button) return;
+  
+  const jobId = button.closest('.queue-item').dataset.jobId;
+  const action = button.dataset.queueAction;
   
-  elements.filterPreview.textContent = previewText;
+  if (action === 'cancel') {
+    sendQueueCommand({ type: 'cancelJob', jobId });
+  } else if (action === 'approve') {
+    sendQueueCommand({ type: 'approveJob', jobId });
+  } else if (action === 'skip') {
+    sendQueueCommand({ type: 'skipJob', jobId });
+  } else {
+    sendQueueCommand({ type: 'moveJob', jobId, direction: action });
+  }
 }
 
 /**
@@ -113,15 +330,28 @@ function showStatus(message, type = 'success') {
   }, 3000);
 }
 
+/**
+ * Show why settings could not be saved
+ * @param {Error} error - Save error
+ */
+function showSaveError(error) {
+  if (error instanceof SettingsValidationError) {
+    ruleEditor.showErrors(error.errors);
+    showStatus(error.message, 'error');
+  } else {
+    showStatus('Failed to save settings', 'error');
+  }
+}
+
 /**
  * Get current form values as settings object
  * @returns {Object} Settings from form
  */
 function getFormSettings() {
   return {
+    ...currentSettings,
     enabled: elements.enableToggle.checked,
-    prefixFilter: elements.prefixFilter.value.trim(),
-    extensionFilter: elements.extensionFilter.value.trim().replace(/^\./, ''),
+    rules: ruleEditor.getRules(),
     showNotifications: currentSettings?.showNotifications ?? true,
     maxHistoryItems: currentSettings?.maxHistoryItems ?? 100
   };
@@ -141,7 +371,7 @@ async function handleSave() {
     showStatus('Settings saved successfully!', 'success');
   } catch (error) {
     console.error('[AutoPrint Popup] Save error:', error);
-    showStatus('Failed to save settings', 'error');
+    showSaveError(error);
   } finally {
     elements.saveBtn.disabled = false;
   }
@@ -165,7 +395,11 @@ async function handleToggleChange() {
     // Revert toggle on error
     elements.enableToggle.checked = !enabled;
     updateStatusIndicator(!enabled);
-    showStatus('Failed to update', 'error');
+    if (error instanceof SettingsValidationError) {
+      showSaveError(error);
+    } else {
+      showStatus('Failed to update', 'error');
+    }
   }
 }
 
@@ -176,25 +410,17 @@ function setupEventListeners() {
   // Toggle change with auto-save
   elements.enableToggle.addEventListener('change', handleToggleChange);
   
-  // Filter input changes
-  elements.prefixFilter.addEventListener('input', updatePreview);
-  elements.extensionFilter.addEventListener('input', updatePreview);
-  
-  // Clear buttons
-  elements.clearPrefix.addEventListener('click', () => {
-    elements.prefixFilter.value = '';
-    updatePreview();
-    elements.prefixFilter.focus();
-  });
+  // Save button
+  elements.saveBtn.addEventListener('click', handleSave);
   
-  elements.clearExtension.addEventListener('click', () => {
-    elements.extensionFilter.value = '';
-    updatePreview();
-    elements.extensionFilter.focus();
+  // Queue controls
+  elements.queueList.addEventListener('click', handleQueueClick);
+  elements.clearQueueBtn.addEventListener('click', () => {
+    sendQueueCommand({ type: 'clearFinishedJobs' });
   });
   
-  // Save button
-  elements.saveBtn.addEventListener('click', handleSave);
+  // Recent print actions
+  elements.recentList.addEventListener('click', handleRecentClick);
   
   // Settings button - open options page
   elements.settingsBtn.addEventListener('click', () => {
@@ -3,29 +3,252 @@
  * Central configuration and constants for the extension
  */
 
+import { validateRules, migrateLegacyFilters, getRuleErrors } from './rules.js';
+import { validateStampTemplates, getDefaultStampTemplates, getStampTemplateErrors } from './stamps.js';
+
 export const CONFIG = {
   // Storage keys
   STORAGE_KEYS: {
     ENABLED: 'autoprint_enabled',
     PREFIX_FILTER: 'autoprint_prefix_filter',
     EXTENSION_FILTER: 'autoprint_extension_filter',
+    // Print history kept by older versions; moved to the history database on first use
     PRINT_HISTORY: 'autoprint_history',
+    PRINT_QUEUE: 'autoprint_queue',
+    DOWNLOAD_LEDGER: 'autoprint_download_ledger',
+    RECENT_PRINTS: 'autoprint_recent_prints',
+    // Native host jobs whose final status is still awaited
+    HOST_JOBS: 'autoprint_host_jobs',
     SETTINGS: 'autoprint_settings'
   },
 
   // Default settings
   DEFAULTS: {
     enabled: false,
-    prefixFilter: '',
-    extensionFilter: '',
+    rules: [],
+    stampTemplates: [],
     showNotifications: true,
-    maxHistoryItems: 100
+    maxHistoryItems: 100,
+    printConcurrency: 1,
+    maxRetries: 2,
+    retryDelaySeconds: 10,
+    duplicateWindowMinutes: 10,
+    duplicateCheckContent: false,
+    requireApproval: false,
+    approvalTimeoutMinutes: 15,
+    printDelaySeconds: 0,
+    batchWindowSeconds: 0,
+    batchMaxFiles: 20,
+    batchSeparatorPages: false,
+    archiveMaxEntries: 50,
+    archiveMaxSizeMB: 100,
+    afterPrintAction: 'keep',
+    documentHeader: 'filename_time',
+    printMode: 'tab',
+    nativeHostName: 'com.autoprint.host',
+    nativePrinter: ''
+  },
+
+  // Print queue settings
+  QUEUE: {
+    MAX_CONCURRENCY: 5,
+    MAX_RETRIES: 10,
+    MAX_RETRY_DELAY_SECONDS: 600,
+    MAX_FINISHED_JOBS: 20,
+    // How long a printing job may go without progress before the watchdog wakes the worker
+    WATCHDOG_SECONDS: 60,
+    MAX_APPROVAL_TIMEOUT_MINUTES: 1440,
+    MAX_PRINT_DELAY_SECONDS: 300,
+    // How long images printed together on one sheet wait for more images
+    IMAGE_GROUP_SECONDS: 10,
+    MAX_BATCH_WINDOW_SECONDS: 300,
+    MAX_BATCH_FILES: 100
+  },
+
+  // Alarm names
+  ALARMS: {
+    // Next retry or delayed print
+    QUEUE_WAKE: 'autoprint_queue_wake',
+    JOB_WATCHDOG: 'autoprint_job_watchdog',
+    APPROVAL_EXPIRY: 'autoprint_approval_expiry',
+    // Prefix of the timeouts of a printing job (see background/job-timers.js)
+    JOB_TIMER: 'autoprint_job_timer',
+    // Asks the native host how its submitted jobs went
+    HOST_JOB_POLL: 'autoprint_host_job_poll'
+  },
+
+  // Download ledger settings (exactly-once handling of completed downloads)
+  LEDGER: {
+    MAX_AGE_DAYS: 7,
+    // Only catch up on downloads that finished this recently while the worker was down
+    CATCH_UP_MINUTES: 60
+  },
+
+  // Where print tabs are opened
+  PRINT_MODES: {
+    // Active tab in the current window
+    TAB: 'tab',
+    // Inactive tab; the print dialog waits until the tab is selected
+    BACKGROUND_TAB: 'background_tab',
+    // Tab in a new minimized window
+    MINIMIZED_WINDOW: 'minimized_window',
+    // Silent printing through a native messaging host, no tab at all
+    NATIVE: 'native'
+  },
+
+  // Rule print options each print mode can apply. The browser print dialog cannot be
+  // preset, so tab modes only apply the page layout of files rendered by the print viewer
+  // (images and text); the rest has to be chosen in the dialog.
+  PRINT_OPTION_SUPPORT: {
+    tab: ['orientation', 'paperSize'],
+    background_tab: ['orientation', 'paperSize'],
+    minimized_window: ['orientation', 'paperSize'],
+    native: ['copies', 'printer', 'orientation', 'paperSize', 'duplex', 'pageRanges']
+  },
+
+  // What happens to a print tab once its print dialog closes
+  AFTER_PRINT_ACTIONS: {
+    KEEP: 'keep',
+    CLOSE: 'close',
+    FOCUS_PREVIOUS: 'focus_previous'
+  },
+
+  // Header above text documents rendered by the print viewer
+  DOCUMENT_HEADERS: {
+    FILENAME_AND_TIME: 'filename_time',
+    FILENAME: 'filename',
+    NONE: 'none'
+  },
+
+  // How a print tab's dialog ended, recorded in the print history
+  TAB_OUTCOME: {
+    // The print dialog closed; Chrome reports Print and Cancel the same way
+    DIALOG_CLOSED: 'dialog_closed',
+    // The tab was closed before its print dialog finished
+    DISMISSED: 'dismissed',
+    // The page never reported the dialog closing (the PDF viewer may not), so the job
+    // was settled after PRINT_DIALOG.TIMEOUT_MINUTES
+    TIMED_OUT: 'timed_out',
+    // No signal, e.g. the print command could not be sent to a file:// tab
+    UNKNOWN: 'unknown'
+  },
+
+  // Print tabs of file:// URLs
+  PRINT_TAB: {
+    // How long to wait for the file to load before printing anyway (alarms fire no sooner than 30 seconds)
+    LOAD_TIMEOUT_SECONDS: 30
+  },
+
+  // Background tabs and minimized windows only show the print dialog once they are
+  // selected; after this long without the dialog finishing, the tab is brought to the front
+  BACKGROUND_PRINT: {
+    REVEAL_AFTER_SECONDS: 60
+  },
+
+  // How long a print dialog may stay open before its job is settled without waiting further
+  PRINT_DIALOG: {
+    TIMEOUT_MINUTES: 10
+  },
+
+  // Status of a job reported by the native print host
+  HOST_JOB_STATUS: {
+    SUBMITTED: 'submitted',
+    PENDING: 'pending',
+    PRINTING: 'printing',
+    COMPLETED: 'completed',
+    FAILED: 'failed',
+    CANCELLED: 'cancelled'
+  },
+
+  // Native host jobs are polled until the host reports them completed, failed or
+  // cancelled, or until they are too old to wait for
+  HOST_JOBS: {
+    POLL_MINUTES: 1,
+    MAX_AGE_HOURS: 24
+  },
+
+  // Print viewer settings
+  VIEWER: {
+    // How long the viewer may take to read and render a file before falling back to file://
+    LOAD_TIMEOUT_SECONDS: 30
+  },
+
+  // Offscreen document that reads downloaded files for the service worker
+  OFFSCREEN: {
+    URL: 'src/offscreen/offscreen.html',
+    // Files are passed to the service worker in base64 chunks of this many bytes
+    CHUNK_BYTES: 8 * 1024 * 1024,
+    // A read the service worker stops collecting (e.g. because it was terminated) is
+    // dropped after this long without a chunk being collected
+    READ_EXPIRY_SECONDS: 60
+  },
+
+  // Duplicate-print protection
+  DUPLICATES: {
+    MAX_WINDOW_MINUTES: 1440,
+    // Larger files are compared without a content hash
+    MAX_HASH_BYTES: 50 * 1024 * 1024
+  },
+
+  // Limits for printing the files inside ZIP archives
+  ARCHIVES: {
+    MAX_ENTRIES: 500,
+    MAX_SIZE_MB: 1024
+  },
+
+  // IndexedDB database holding the print history
+  HISTORY_DB: {
+    NAME: 'autoprint',
+    // 2: status and rule indexes
+    VERSION: 2,
+    STORE: 'history'
+  },
+
+  // Print history view
+  HISTORY: {
+    PAGE_SIZE: 25,
+    // Entries listed in each "top" statistic
+    STATS_TOP_ITEMS: 5
+  },
+
+  // Print history entry states
+  HISTORY_STATUS: {
+    // Sent to a printer (native print host)
+    PRINTED: 'printed',
+    // Shown in the browser's print dialog; whether it was printed is not known
+    SENT_TO_DIALOG: 'sent_to_dialog',
+    ERROR: 'error',
+    DUPLICATE: 'duplicate',
+    SKIPPED: 'skipped',
+    CANCELLED: 'cancelled'
+  },
+
+  // Print job states
+  JOB_STATUS: {
+    AWAITING_APPROVAL: 'awaiting_approval',
+    DELAYED: 'delayed',
+    PENDING: 'pending',
+    PRINTING: 'printing',
+    DONE: 'done',
+    FAILED: 'failed',
+    CANCELLED: 'cancelled',
+    SKIPPED: 'skipped'
+  },
+
+  // Progress checkpoints of a printing job
+  JOB_STAGE: {
+    OPENING: 'opening',
+    LOADING: 'loading',
+    PRINT_SENT: 'print_sent'
   },
 
   // Notification settings
   NOTIFICATIONS: {
     PRINT_SUCCESS: 'autoprint_success',
-    PRINT_ERROR: 'autoprint_error'
+    PRINT_ERROR: 'autoprint_error',
+    DUPLICATE: 'autoprint_duplicate',
+    APPROVAL: 'autoprint_approval',
+    DELAY: 'autoprint_delay'
   },
 
   // Supported file extensions for printing
@@ -37,6 +260,22 @@ export const CONFIG = {
   ]
 };
 
+/**
+ * Error thrown when settings contain values that cannot be saved
+ */
+export class SettingsValidationError extends Error {
+  /**
+   * @param {Array<Object>} errors - Validation errors as { ruleId, ruleName, field, message }
+   */
+  constructor(errors) {
+    const first = errors[0];
+    const message = first.ruleName ? `Rule "${first.ruleName}": ${first.message}` : first.message;
+    super(errors.length > 1 ? `${message} (and ${errors.length - 1} more)` : message);
+    this.name = 'SettingsValidationError';
+    this.errors = errors;
+  }
+}
+
 /**
  * Get the notification icon URL (must be called at runtime)
  * @returns {string} Icon URL
@@ -48,27 +287,129 @@ export function getNotificationIconUrl() {
   return 'assets/icons/icon-128.png';
 }
 
+/**
+ * Get the rule print options a print mode can apply
+ * @param {string} printMode - Print mode from CONFIG.PRINT_MODES
+ * @returns {Array<string>} Print option names
+ */
+export function getSupportedPrintOptions(printMode) {
+  return CONFIG.PRINT_OPTION_SUPPORT[printMode] || [];
+}
+
 /**
  * Get default settings object
  * @returns {Object} Default settings
  */
 export function getDefaultSettings() {
-  return { ...CONFIG.DEFAULTS };
+  return { ...CONFIG.DEFAULTS, rules: [], stampTemplates: getDefaultStampTemplates() };
+}
+
+/**
+ * Clamp a numeric setting to a range
+ * @param {*} value - Value to check
+ * @param {number} min - Minimum allowed value
+ * @param {number} max - Maximum allowed value
+ * @param {number} fallback - Value used when the input is not a number
+ * @returns {number} Integer within range
+ */
+function clampNumber(value, min, max, fallback) {
+  if (typeof value !== 'number' || Number.isNaN(value)) {
+    return fallback;
+  }
+  return Math.min(max, Math.max(min, Math.round(value)));
 }
 
 /**
- * Validate settings object
+ * Fill in defaults and collect the errors validation cannot fix
  * @param {Object} settings - Settings to validate
- * @returns {Object} Validated settings with defaults for missing fields
+ * @returns {Object} { settings, errors } - validated settings and errors as
+ *   { ruleId, ruleName, field, message, templateId }
  */
-export function validateSettings(settings) {
+function normalizeSettings(settings) {
   const defaults = getDefaultSettings();
   
-  return {
+  const validated = {
     enabled: typeof settings?.enabled === 'boolean' ? settings.enabled : defaults.enabled,
-    prefixFilter: typeof settings?.prefixFilter === 'string' ? settings.prefixFilter.trim() : defaults.prefixFilter,
-    extensionFilter: typeof settings?.extensionFilter === 'string' ? settings.extensionFilter.trim().toLowerCase().replace(/^\./, '') : defaults.extensionFilter,
+    rules: Array.isArray(settings?.rules) ? validateRules(settings.rules) : migrateLegacyFilters(settings),
+    stampTemplates: Array.isArray(settings?.stampTemplates) ? validateStampTemplates(settings.stampTemplates) : defaults.stampTemplates,
     showNotifications: typeof settings?.showNotifications === 'boolean' ? settings.showNotifications : defaults.showNotifications,
-    maxHistoryItems: typeof settings?.maxHistoryItems === 'number' ? settings.maxHistoryItems : defaults.maxHistoryItems
+    maxHistoryItems: typeof settings?.maxHistoryItems === 'number' ? settings.maxHistoryItems : defaults.maxHistoryItems,
+    printConcurrency: clampNumber(settings?.printConcurrency, 1, CONFIG.QUEUE.MAX_CONCURRENCY, defaults.printConcurrency),
+    maxRetries: clampNumber(settings?.maxRetries, 0, CONFIG.QUEUE.MAX_RETRIES, defaults.maxRetries),
+    retryDelaySeconds: clampNumber(settings?.retryDelaySeconds, 1, CONFIG.QUEUE.MAX_RETRY_DELAY_SECONDS, defaults.retryDelaySeconds),
+    duplicateWindowMinutes: clampNumber(settings?.duplicateWindowMinutes, 0, CONFIG.DUPLICATES.MAX_WINDOW_MINUTES, defaults.duplicateWindowMinutes),
+    duplicateCheckContent: typeof settings?.duplicateCheckContent === 'boolean' ? settings.duplicateCheckContent : defaults.duplicateCheckContent,
+    requireApproval: typeof settings?.requireApproval === 'boolean' ? settings.requireApproval : defaults.requireApproval,
+    approvalTimeoutMinutes: clampNumber(settings?.approvalTimeoutMinutes, 1, CONFIG.QUEUE.MAX_APPROVAL_TIMEOUT_MINUTES, defaults.approvalTimeoutMinutes),
+    printDelaySeconds: clampNumber(settings?.printDelaySeconds, 0, CONFIG.QUEUE.MAX_PRINT_DELAY_SECONDS, defaults.printDelaySeconds),
+    batchWindowSeconds: clampNumber(settings?.batchWindowSeconds, 0, CONFIG.QUEUE.MAX_BATCH_WINDOW_SECONDS, defaults.batchWindowSeconds),
+    batchMaxFiles: clampNumber(settings?.batchMaxFiles, 2, CONFIG.QUEUE.MAX_BATCH_FILES, defaults.batchMaxFiles),
+    batchSeparatorPages: typeof settings?.batchSeparatorPages === 'boolean' ? settings.batchSeparatorPages : defaults.batchSeparatorPages,
+    archiveMaxEntries: clampNumber(settings?.archiveMaxEntries, 1, CONFIG.ARCHIVES.MAX_ENTRIES, defaults.archiveMaxEntries),
+    archiveMaxSizeMB: clampNumber(settings?.archiveMaxSizeMB, 1, CONFIG.ARCHIVES.MAX_SIZE_MB, defaults.archiveMaxSizeMB),
+    afterPrintAction: Object.values(CONFIG.AFTER_PRINT_ACTIONS).includes(settings?.afterPrintAction) ? settings.afterPrintAction : defaults.afterPrintAction,
+    documentHeader: Object.values(CONFIG.DOCUMENT_HEADERS).includes(settings?.documentHeader) ? settings.documentHeader : defaults.documentHeader,
+    printMode: Object.values(CONFIG.PRINT_MODES).includes(settings?.printMode) ? settings.printMode : defaults.printMode,
+    nativeHostName: typeof settings?.nativeHostName === 'string' && settings.nativeHostName.trim() ? settings.nativeHostName.trim() : defaults.nativeHostName,
+    nativePrinter: typeof settings?.nativePrinter === 'string' ? settings.nativePrinter.trim() : defaults.nativePrinter
+  };
+  
+  // Rules whose stamp template was deleted stop stamping
+  const stampIds = new Set(validated.stampTemplates.map(template => template.id));
+  validated.rules = validated.rules.map(rule =>
+    rule.stampTemplate && !stampIds.has(rule.stampTemplate) ? { ...rule, stampTemplate: '' } : rule);
+  
+  const errors = getRuleErrors(validated.rules);
+  for (const error of getStampTemplateErrors(validated.stampTemplates)) {
+    errors.push({ ruleId: null, ruleName: null, field: 'stampTemplates', message: error.message, templateId: error.templateId });
+  }
+  // Chrome only accepts lowercase dotted names for native hosts
+  if (!/^[a-z0-9_]+(\.[a-z0-9_]+)*$/.test(validated.nativeHostName)) {
+    errors.push({ ruleId: null, ruleName: null, field: 'nativeHostName', message: 'Native host name may only contain lowercase letters, digits, "_" and dots' });
+  }
+  
+  return { settings: validated, errors };
+}
+
+/**
+ * Validate settings before they are saved
+ * @param {Object} settings - Settings to validate
+ * @returns {Object} Validated settings with defaults for missing fields
+ * @throws {SettingsValidationError} If a rule has an invalid filename pattern
+ */
+export function validateSettings(settings) {
+  const { settings: validated, errors } = normalizeSettings(settings);
+  if (errors.length > 0) {
+    throw new SettingsValidationError(errors);
+  }
+  return validated;
+}
+
+/**
+ * Validate settings read from storage. Unlike validateSettings() nothing is rejected,
+ * so one broken rule does not cost every other setting: rules and stamp templates with
+ * errors are kept, so they can be fixed on the options page, but marked invalid so they
+ * are never used, and an invalid native host name falls back to the default.
+ * @param {Object} settings - Stored settings
+ * @returns {Object} Validated settings; errors lists what was marked invalid, if anything
+ */
+export function validateStoredSettings(settings) {
+  const { settings: validated, errors } = normalizeSettings(settings);
+  if (errors.length === 0) {
+    return validated;
+  }
+  
+  console.warn('[AutoPrint] Stored settings have errors:', errors);
+  const ruleIds = new Set(errors.map(error => error.ruleId).filter(Boolean));
+  const templateIds = new Set(errors.map(error => error.templateId).filter(Boolean));
+  return {
+    ...validated,
+    rules: validated.rules.map(rule => ruleIds.has(rule.id) ? { ...rule, invalid: true } : rule),
+    stampTemplates: validated.stampTemplates.map(template =>
+      templateIds.has(template.id) ? { ...template, invalid: true } : template),
+    nativeHostName: errors.some(error => error.field === 'nativeHostName')
+      ? CONFIG.DEFAULTS.nativeHostName
+      : validated.nativeHostName,
+    errors
   };
 }
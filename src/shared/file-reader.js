@@ -0,0 +1,127 @@
+/**
+ * AutoPrint Extension - File Reader
+ * Reads downloaded files from disk through their file:// URL. fetch() refuses file://
+ * URLs, so files are read with XMLHttpRequest, which extension pages may use on file://
+ * URLs when "Allow access to file URLs" is on. The service worker has no XMLHttpRequest
+ * and reads through the offscreen document (see background/offscreen.js).
+ */
+
+/**
+ * Error thrown when a downloaded file cannot be read from disk
+ */
+export class FileAccessError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'FileAccessError';
+  }
+}
+
+/**
+ * Build a file:// URL for a local path
+ * @param {string} path - Absolute file path (POSIX or Windows)
+ * @returns {string} File URL
+ */
+export function getFileUrl(path) {
+  const segments = path.replace(/\\/g, '/').split('/');
+  const encoded = segments
+    .map(segment => /^[a-zA-Z]:$/.test(segment) ? segment : encodeURIComponent(segment))
+    .join('/');
+  return 'file://' + (encoded.startsWith('/') ? '' : '/') + encoded;
+}
+
+/**
+ * Explain why a downloaded file could not be read
+ * @param {string} path - Local file path
+ * @returns {Promise<string>} Message for the user
+ */
+export async function describeReadFailure(path) {
+  let allowed = true;
+  try {
+    allowed = await chrome.extension.isAllowedFileSchemeAccess();
+  } catch (error) {
+    // Not available in this context; assume access is on
+  }
+  return allowed
+    ? `Could not read the downloaded file "${path}" (it may have been moved or deleted)`
+    : 'Could not read the downloaded file: turn on "Allow access to file URLs" for AutoPrint on chrome://extensions';
+}
+
+/**
+ * Read the complete content of a downloaded file. Only works in extension pages.
+ * @param {string} path - Local file path
+ * @returns {Promise<ArrayBuffer>} File content
+ * @throws {FileAccessError} If the file cannot be read
+ */
+export function readFileContent(path) {
+  return new Promise((resolve, reject) => {
+    const fail = async () => reject(new FileAccessError(await describeReadFailure(path)));
+    if (!path) {
+      reject(new FileAccessError('The download has no local file'));
+      return;
+    }
+
+    const request = new XMLHttpRequest();
+    request.open('GET', getFileUrl(path));
+    request.responseType = 'arraybuffer';
+    request.onload = () => {
+      // file:// responses have status 0
+      if (request.response && (request.status === 0 || request.status === 200)) {
+        resolve(request.response);
+      } else {
+        fail();
+      }
+    };
+    request.onerror = fail;
+    request.send();
+  });
+}
+
+/**
+ * Read the leading bytes of a downloaded file without loading the rest of it. The file
+ * is read as x-user-defined text, which is available while the file is still loading,
+ * and the read is stopped once enough bytes have arrived. Only works in extension pages.
+ * @param {string} path - Local file path
+ * @param {number} length - Number of bytes to read
+ * @returns {Promise<Uint8Array>} Up to length leading bytes
+ * @throws {FileAccessError} If the file cannot be read
+ */
+export function readFileStart(path, length) {
+  return new Promise((resolve, reject) => {
+    const fail = async () => reject(new FileAccessError(await describeReadFailure(path)));
+    if (!path) {
+      reject(new FileAccessError('The download has no local file'));
+      return;
+    }
+
+    const request = new XMLHttpRequest();
+    let done = false;
+    const finish = () => {
+      done = true;
+      // x-user-defined maps bytes above 0x7F to U+F780-U+F7FF, so the low byte is the byte
+      const text = request.responseText.slice(0, length);
+      resolve(Uint8Array.from(text, char => char.charCodeAt(0) & 0xFF));
+    };
+
+    request.open('GET', getFileUrl(path));
+    request.overrideMimeType('text/plain; charset=x-user-defined');
+    request.onprogress = () => {
+      if (!done && request.responseText.length >= length) {
+        finish();
+        request.abort();
+      }
+    };
+    request.onload = () => {
+      if (done) return;
+      // file:// responses have status 0
+      if (request.status === 0 || request.status === 200) {
+        finish();
+      } else {
+        fail();
+      }
+    };
+    request.onerror = () => {
+      if (!done) fail();
+    };
+    request.send();
+  });
+}
@@ -0,0 +1,140 @@
+/**
+ * AutoPrint Extension - File Type Detection
+ * Magic-byte signatures and MIME helpers used to identify a file by its content
+ */
+
+/**
+ * Known file signatures. `offset` is where the signature starts in the file.
+ */
+export const FILE_SIGNATURES = [
+  {
+    mime: 'application/pdf',
+    extensions: ['pdf'],
+    label: 'PDF',
+    bytes: [0x25, 0x50, 0x44, 0x46, 0x2D], // %PDF-
+    offset: 0
+  },
+  {
+    mime: 'image/png',
+    extensions: ['png'],
+    label: 'PNG',
+    bytes: [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A],
+    offset: 0
+  },
+  {
+    mime: 'image/jpeg',
+    extensions: ['jpg', 'jpeg'],
+    label: 'JPEG',
+    bytes: [0xFF, 0xD8, 0xFF],
+    offset: 0
+  },
+  {
+    mime: 'image/gif',
+    extensions: ['gif'],
+    label: 'GIF',
+    bytes: [0x47, 0x49, 0x46, 0x38], // GIF8 (GIF87a / GIF89a)
+    offset: 0
+  }
+];
+
+// Number of leading bytes needed to check every signature
+export const SNIFF_LENGTH = Math.max(...FILE_SIGNATURES.map(sig => sig.offset + sig.bytes.length));
+
+/**
+ * Detect a file type from its leading bytes
+ * @param {Uint8Array|ArrayBuffer|null} data - First bytes of the file
+ * @returns {Object|null} Detected type ({ mime, extensions, label }) or null if unknown
+ */
+export function detectFileType(data) {
+  if (!data) {
+    return null;
+  }
+
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+
+  for (const signature of FILE_SIGNATURES) {
+    const matches = signature.bytes.every((byte, index) => bytes[signature.offset + index] === byte);
+    if (matches) {
+      return {
+        mime: signature.mime,
+        extensions: signature.extensions,
+        label: signature.label
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Normalize a MIME type by lowercasing it and removing parameters
+ * @param {string} mime - MIME type such as "text/csv; charset=utf-8"
+ * @returns {string} Normalized MIME type, or empty string
+ */
+export function normalizeMimeType(mime) {
+  if (typeof mime !== 'string') {
+    return '';
+  }
+  return mime.split(';')[0].trim().toLowerCase();
+}
+
+/**
+ * Check whether a MIME pattern is well formed
+ * @param {string} pattern - Pattern such as "application/pdf" or "image/*"
+ * @returns {boolean} True if valid
+ */
+export function isValidMimePattern(pattern) {
+  return /^[a-z0-9][a-z0-9!#$&^_.+-]*\/(\*|[a-z0-9][a-z0-9!#$&^_.+-]*)$/.test(pattern);
+}
+
+/**
+ * Check whether a MIME type matches a pattern ("type/subtype" or "type/*")
+ * @param {string} mime - Normalized MIME type
+ * @param {string} pattern - MIME pattern
+ * @returns {boolean} True if it matches
+ */
+export function mimeMatches(mime, pattern) {
+  if (!mime) {
+    return false;
+  }
+  if (pattern.endsWith('/*')) {
+    return mime.startsWith(pattern.slice(0, -1));
+  }
+  return mime === pattern;
+}
+
+// File types the print viewer renders itself, by extension
+const VIEWER_EXTENSIONS = {
+  pdf: ['pdf'],
+  image: ['png', 'jpg', 'jpeg', 'gif', 'webp', 'bmp', 'svg'],
+  text: ['txt', 'text', 'log', 'md', 'csv', 'tsv', 'json', 'xml'],
+  office: ['docx', 'xlsx', 'odt', 'ods']
+};
+
+// Office document types the print viewer converts to HTML
+const VIEWER_OFFICE_TYPES = [
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.oasis.opendocument.text',
+  'application/vnd.oasis.opendocument.spreadsheet'
+];
+
+/**
+ * Decide how the print viewer renders a file
+ * @param {Object} file - File details
+ * @param {string} file.filename - Filename
+ * @param {string} file.mime - MIME type reported by the server
+ * @param {string} file.detectedType - MIME type detected from the content
+ * @returns {string|null} 'pdf', 'image', 'text' or 'office', or null if the viewer cannot render it
+ */
+export function getViewerKind({ filename, mime, detectedType }) {
+  const type = normalizeMimeType(detectedType || mime);
+  if (type === 'application/pdf') return 'pdf';
+  if (type.startsWith('image/')) return 'image';
+  if (type.startsWith('text/') || type === 'application/json' || type === 'application/xml') return 'text';
+  if (VIEWER_OFFICE_TYPES.includes(type)) return 'office';
+
+  const match = /\.([^./\\]+)$/.exec(filename || '');
+  const extension = match ? match[1].toLowerCase() : '';
+  return Object.keys(VIEWER_EXTENSIONS).find(kind => VIEWER_EXTENSIONS[kind].includes(extension)) || null;
+}
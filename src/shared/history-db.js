@@ -0,0 +1,364 @@
+/**
+ * AutoPrint Extension - Print History Database
+ * Keeps the print history in IndexedDB. Each entry is appended (and the history trimmed)
+ * in one transaction, so prints finishing at the same time cannot overwrite each other.
+ */
+
+import { CONFIG } from './config.js';
+
+const { NAME, VERSION, STORE } = CONFIG.HISTORY_DB;
+
+// Fields history entries can be sorted by
+const SORT_FIELDS = ['timestamp', 'filename', 'ruleName', 'domain', 'status'];
+
+let dbPromise = null;
+
+/**
+ * Wait for an IndexedDB request
+ * @param {IDBRequest} request - Request
+ * @returns {Promise<*>} Request result
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Wait for a transaction to commit
+ * @param {IDBTransaction} transaction - Transaction
+ * @returns {Promise<void>}
+ */
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('History transaction aborted'));
+  });
+}
+
+/**
+ * Open the history database, creating it on first use
+ * @returns {Promise<IDBDatabase>} Database connection (shared within this context)
+ */
+function openHistoryDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(NAME, VERSION);
+      request.onupgradeneeded = (event) => {
+        let store;
+        if (event.oldVersion < 1) {
+          // Entries get increasing IDs, so the oldest entry has the lowest ID
+          store = request.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+          store.createIndex('timestamp', 'timestamp');
+        } else {
+          store = request.transaction.objectStore(STORE);
+        }
+        if (event.oldVersion < 2) {
+          // Filtered queries walk only the entries of one status or rule, in time order
+          store.createIndex('status_timestamp', ['status', 'timestamp']);
+          store.createIndex('ruleId_timestamp', ['ruleId', 'timestamp']);
+        }
+      };
+      request.onsuccess = () => {
+        const db = request.result;
+        // Let another page upgrade the database
+        db.onversionchange = () => {
+          db.close();
+          dbPromise = null;
+        };
+        resolve(db);
+      };
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+}
+
+/**
+ * Append an entry and drop the oldest entries beyond the limit, in one transaction
+ * @param {Object} entry - History entry without an ID
+ * @param {number} maxItems - Most entries to keep
+ * @returns {Promise<Object>} Stored entry with its ID
+ */
+export async function appendHistoryEntry(entry, maxItems) {
+  const db = await openHistoryDb();
+  const transaction = db.transaction(STORE, 'readwrite');
+  const store = transaction.objectStore(STORE);
+
+  const id = await promisifyRequest(store.add(entry));
+  let excess = await promisifyRequest(store.count()) - maxItems;
+  if (excess > 0) {
+    const cursorRequest = store.openCursor();
+    cursorRequest.onsuccess = () => {
+      const cursor = cursorRequest.result;
+      if (cursor && excess-- > 0) {
+        cursor.delete();
+        cursor.continue();
+      }
+    };
+  }
+
+  await transactionDone(transaction);
+  return { ...entry, id };
+}
+
+/**
+ * Change fields of a stored entry
+ * @param {number} id - Entry ID
+ * @param {Object} changes - Fields to set
+ * @returns {Promise<Object|null>} Updated entry, or null if there is none with this ID
+ */
+export async function updateHistoryEntry(id, changes) {
+  const db = await openHistoryDb();
+  const transaction = db.transaction(STORE, 'readwrite');
+  const store = transaction.objectStore(STORE);
+
+  const entry = await promisifyRequest(store.get(id));
+  const updated = entry ? { ...entry, ...changes, id } : null;
+  if (updated) {
+    store.put(updated);
+  }
+
+  await transactionDone(transaction);
+  return updated;
+}
+
+/**
+ * Store entries that already have IDs (used to move the old history over)
+ * @param {Array<Object>} entries - History entries
+ * @returns {Promise<void>}
+ */
+export async function putHistoryEntries(entries) {
+  const db = await openHistoryDb();
+  const transaction = db.transaction(STORE, 'readwrite');
+  const store = transaction.objectStore(STORE);
+  for (const entry of entries) {
+    store.put(entry);
+  }
+  await transactionDone(transaction);
+}
+
+/**
+ * Read one history entry
+ * @param {number} id - Entry ID
+ * @returns {Promise<Object|null>} History entry, or null if there is none with this ID
+ */
+export async function getHistoryEntry(id) {
+  const db = await openHistoryDb();
+  const transaction = db.transaction(STORE, 'readonly');
+  const entry = await promisifyRequest(transaction.objectStore(STORE).get(id));
+  return entry || null;
+}
+
+/**
+ * Get the key range of the timestamp index for a time range
+ * @param {string|null} from - Earliest timestamp (ISO string)
+ * @param {string|null} to - Latest timestamp (ISO string)
+ * @returns {IDBKeyRange|null} Key range, or null for all entries
+ */
+function getTimeRange(from, to) {
+  if (from && to) {
+    return IDBKeyRange.bound(from, to);
+  }
+  if (from) {
+    return IDBKeyRange.lowerBound(from);
+  }
+  if (to) {
+    return IDBKeyRange.upperBound(to);
+  }
+  return null;
+}
+
+/**
+ * Read history entries, newest first
+ * @param {Object} range - Optional time range
+ * @param {string} range.from - Earliest timestamp (ISO string)
+ * @param {string} range.to - Latest timestamp (ISO string)
+ * @returns {Promise<Array<Object>>} History entries
+ */
+export async function getHistoryEntries({ from = null, to = null } = {}) {
+  const db = await openHistoryDb();
+  const transaction = db.transaction(STORE, 'readonly');
+  const index = transaction.objectStore(STORE).index('timestamp');
+
+  const entries = await promisifyRequest(index.getAll(getTimeRange(from, to)));
+  return entries.reverse();
+}
+
+/**
+ * Pick the index that narrows a query the most. Every index is ordered by time.
+ * @param {Object} query - Query: { status, ruleId, from, to }
+ * @returns {Object} { name, range } - index name and key range
+ */
+function getQueryIndex({ status, ruleId, from, to }) {
+  // ISO timestamps sort below '\uffff', so it stands in for "no upper limit"
+  const lower = from || '';
+  const upper = to || '\uffff';
+  if (status) {
+    return { name: 'status_timestamp', range: IDBKeyRange.bound([status, lower], [status, upper]) };
+  }
+  if (ruleId) {
+    return { name: 'ruleId_timestamp', range: IDBKeyRange.bound([ruleId, lower], [ruleId, upper]) };
+  }
+  return { name: 'timestamp', range: getTimeRange(from, to) };
+}
+
+/**
+ * Read a page of an index without looking at the entries before it
+ * @param {IDBIndex} index - Index
+ * @param {IDBKeyRange|null} range - Key range
+ * @param {string} direction - Cursor direction ('next' or 'prev')
+ * @param {number} offset - Entries to skip
+ * @param {number} limit - Most entries to return
+ * @returns {Promise<Array<Object>>} Entries
+ */
+function readIndexPage(index, range, direction, offset, limit) {
+  return new Promise((resolve, reject) => {
+    const items = [];
+    let skipped = offset === 0;
+    const request = index.openCursor(range, direction);
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor || items.length >= limit) {
+        resolve(items);
+        return;
+      }
+      if (!skipped) {
+        skipped = true;
+        cursor.advance(offset);
+        return;
+      }
+      items.push(cursor.value);
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Walk an index with a cursor
+ * @param {IDBIndex} index - Index
+ * @param {IDBKeyRange|null} range - Key range
+ * @param {string} direction - Cursor direction ('next' or 'prev')
+ * @param {Function} visit - Called with each entry
+ * @returns {Promise<void>}
+ */
+function walkIndex(index, range, direction, visit) {
+  return new Promise((resolve, reject) => {
+    const request = index.openCursor(range, direction);
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        resolve();
+        return;
+      }
+      visit(cursor.value);
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Check whether an entry matches a filename search
+ * @param {Object} entry - History entry
+ * @param {string} search - Lowercase search text
+ * @returns {boolean} True if the filename, a file printed with it or its archive contains the text
+ */
+function matchesSearch(entry, search) {
+  const names = [entry.filename, entry.archive?.archiveFilename, ...(entry.groupedFiles || [])];
+  return names.some(name => typeof name === 'string' && name.toLowerCase().includes(search));
+}
+
+/**
+ * Search, filter, sort and page the history
+ * @param {Object} query - Query
+ * @param {string} query.search - Text the filename must contain
+ * @param {string} query.status - History status, or empty for any
+ * @param {string} query.ruleId - Matched rule, or empty for any
+ * @param {string} query.from - Earliest timestamp (ISO string)
+ * @param {string} query.to - Latest timestamp (ISO string)
+ * @param {string} query.sortBy - Field to sort by (timestamp, filename, ruleName, domain, status)
+ * @param {string} query.sortDirection - 'asc' or 'desc'
+ * @param {number} query.offset - Entries to skip
+ * @param {number} query.limit - Entries to return
+ * @returns {Promise<Object>} { items, total } - the page of entries and how many match in all
+ */
+export async function queryHistoryEntries({
+  search = '',
+  status = '',
+  ruleId = '',
+  from = null,
+  to = null,
+  sortBy = 'timestamp',
+  sortDirection = 'desc',
+  offset = 0,
+  limit = CONFIG.HISTORY.PAGE_SIZE
+} = {}) {
+  const text = search.trim().toLowerCase();
+  const field = SORT_FIELDS.includes(sortBy) ? sortBy : 'timestamp';
+  const direction = sortDirection === 'asc' ? 1 : -1;
+
+  // The index narrows the entries to a status or rule; what it cannot is checked per entry
+  const { name, range } = getQueryIndex({ status, ruleId, from, to });
+  const needsFilter = Boolean(text) || Boolean(status && ruleId);
+  const matches = entry => (!text || matchesSearch(entry, text)) &&
+    (!status || !ruleId || entry.ruleId === ruleId);
+
+  const db = await openHistoryDb();
+  const index = db.transaction(STORE, 'readonly').objectStore(STORE).index(name);
+
+  if (field === 'timestamp') {
+    const cursorDirection = direction === 1 ? 'next' : 'prev';
+    if (!needsFilter) {
+      // The index knows the count, so only the page itself is read
+      const total = await promisifyRequest(index.count(range));
+      return { items: await readIndexPage(index, range, cursorDirection, offset, limit), total };
+    }
+
+    const items = [];
+    let total = 0;
+    await walkIndex(index, range, cursorDirection, (entry) => {
+      if (!matches(entry)) return;
+      if (total >= offset && items.length < limit) {
+        items.push(entry);
+      }
+      total++;
+    });
+    return { items, total };
+  }
+
+  // Other fields have no index: collect the matching entries, newest first, and sort them,
+  // keeping the newest first between equal values
+  const entries = [];
+  await walkIndex(index, range, 'prev', (entry) => {
+    if (!needsFilter || matches(entry)) {
+      entries.push(entry);
+    }
+  });
+  const sorted = entries
+    .map((entry, position) => ({ entry, position }))
+    .sort((a, b) => {
+      const compared = String(a.entry[field] ?? '').localeCompare(String(b.entry[field] ?? ''), undefined, { sensitivity: 'base' });
+      return compared * direction || a.position - b.position;
+    })
+    .map(({ entry }) => entry);
+
+  return { items: sorted.slice(offset, offset + limit), total: sorted.length };
+}
+
+/**
+ * Delete every history entry
+ * @returns {Promise<void>}
+ */
+export async function clearHistoryEntries() {
+  const db = await openHistoryDb();
+  const transaction = db.transaction(STORE, 'readwrite');
+  transaction.objectStore(STORE).clear();
+  await transactionDone(transaction);
+}
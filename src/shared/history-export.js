@@ -0,0 +1,118 @@
+/**
+ * AutoPrint Extension - History Export
+ * Turns print history entries into CSV or JSON for spreadsheets and scripts.
+ * Column IDs and value formats are a stable schema: new columns may be added,
+ * but existing ones keep their ID, position and format.
+ */
+
+/**
+ * Schema of exported files, raised only when existing columns change
+ */
+export const HISTORY_EXPORT_SCHEMA = 'autoprint-history';
+export const HISTORY_EXPORT_VERSION = 1;
+
+export const EXPORT_FORMATS = {
+  CSV: 'csv',
+  JSON: 'json'
+};
+
+/**
+ * Columns that can be exported, in export order. Times are ISO 8601 strings, sizes
+ * and durations numbers, lists arrays (joined with "; " in CSV); missing values are null.
+ */
+export const HISTORY_EXPORT_COLUMNS = [
+  { id: 'id', label: 'Entry ID', default: false, value: entry => entry.id ?? null },
+  { id: 'timestamp', label: 'Logged', default: true, value: entry => entry.timestamp || null },
+  { id: 'status', label: 'Status', default: true, value: entry => entry.status || null },
+  { id: 'filename', label: 'Filename', default: true, value: entry => entry.filename || null },
+  { id: 'path', label: 'Path', default: false, value: entry => entry.fullPath || null },
+  { id: 'fileSize', label: 'Size (bytes)', default: false, value: entry => entry.fileSize >= 0 ? entry.fileSize : null },
+  { id: 'archive', label: 'Archive', default: false, value: entry => entry.archive?.archiveFilename || null },
+  { id: 'groupedFiles', label: 'Printed with', default: false, value: entry => entry.groupedFiles?.length > 1 ? entry.groupedFiles : null },
+  { id: 'rule', label: 'Rule', default: true, value: entry => entry.ruleName || null },
+  { id: 'ruleId', label: 'Rule ID', default: false, value: entry => entry.ruleId || null },
+  { id: 'domain', label: 'Source domain', default: true, value: entry => entry.domain || null },
+  { id: 'url', label: 'Source URL', default: false, value: entry => entry.url || null },
+  { id: 'mime', label: 'MIME type', default: false, value: entry => entry.mime || null },
+  { id: 'detectedType', label: 'Detected type', default: false, value: entry => entry.detectedType || null },
+  { id: 'downloadedAt', label: 'Downloaded', default: false, value: entry => entry.downloadedAt || null },
+  { id: 'printSentAt', label: 'Sent to printer', default: false, value: entry => entry.printSentAt || null },
+  { id: 'downloadToPrintMs', label: 'Download to print (ms)', default: false, value: entry => entry.downloadToPrintMs ?? null },
+  { id: 'retries', label: 'Retries', default: false, value: entry => entry.retries ?? null },
+  { id: 'printMode', label: 'Print mode', default: false, value: entry => entry.printMode || null },
+  { id: 'printer', label: 'Printer', default: false, value: entry => entry.printer || null },
+  { id: 'reprintOf', label: 'Reprint of entry', default: false, value: entry => entry.reprintOf?.id ?? null },
+  { id: 'error', label: 'Error', default: true, value: entry => entry.error || null }
+];
+
+// Spreadsheets run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Get the IDs of the columns exported unless others are picked
+ * @returns {Array<string>} Column IDs
+ */
+export function getDefaultExportColumns() {
+  return HISTORY_EXPORT_COLUMNS.filter(column => column.default).map(column => column.id);
+}
+
+/**
+ * Get the columns to export, in schema order
+ * @param {Array<string>} columnIds - Picked column IDs
+ * @returns {Array<Object>} Columns; all of them if none of the IDs are known
+ */
+function getExportColumns(columnIds) {
+  const columns = HISTORY_EXPORT_COLUMNS.filter(column => columnIds.includes(column.id));
+  return columns.length > 0 ? columns : HISTORY_EXPORT_COLUMNS;
+}
+
+/**
+ * Format a value as a CSV field
+ * @param {*} value - Column value
+ * @returns {string} Field, quoted if needed
+ */
+function toCsvField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = Array.isArray(value) ? value.join('; ') : String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Export history entries as CSV (RFC 4180, with a byte order mark so spreadsheets read UTF-8).
+ * The header row holds the column IDs.
+ * @param {Array<Object>} entries - History entries
+ * @param {Array<string>} columnIds - Columns to export
+ * @returns {string} CSV text
+ */
+export function exportHistoryCsv(entries, columnIds) {
+  const columns = getExportColumns(columnIds);
+  const rows = [
+    columns.map(column => column.id),
+    ...entries.map(entry => columns.map(column => toCsvField(column.value(entry))))
+  ];
+  return '\uFEFF' + rows.map(row => row.join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Export history entries as JSON. Every entry has every exported column as a key.
+ * @param {Array<Object>} entries - History entries
+ * @param {Array<string>} columnIds - Columns to export
+ * @param {Object} filters - Filters the entries were picked with, recorded in the file
+ * @returns {string} JSON text
+ */
+export function exportHistoryJson(entries, columnIds, filters = {}) {
+  const columns = getExportColumns(columnIds);
+  return JSON.stringify({
+    schema: HISTORY_EXPORT_SCHEMA,
+    version: HISTORY_EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    filters,
+    columns: columns.map(column => column.id),
+    entries: entries.map(entry => Object.fromEntries(columns.map(column => [column.id, column.value(entry)])))
+  }, null, 2);
+}
@@ -0,0 +1,74 @@
+/**
+ * AutoPrint Extension - History Files
+ * Finds the downloaded files of print history entries, so they can be reprinted,
+ * opened or shown in their folder, and flags files that were deleted or moved
+ */
+
+/**
+ * Error thrown when the file of a history entry is no longer where it was downloaded to
+ */
+export class MissingFileError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MissingFileError';
+  }
+}
+
+/**
+ * List the downloads a history entry printed: the files of a grouped print, or the entry's own file.
+ * Files from an archive point to the archive's download.
+ * @param {Object} entry - History entry
+ * @returns {Array<Object>} Files as { downloadId, fullPath, filename, fileSize, archiveEntry }
+ */
+export function getHistoryEntryFiles(entry) {
+  if (entry.groupedDownloads?.length > 0) {
+    return entry.groupedDownloads;
+  }
+  return [{
+    downloadId: entry.downloadId ?? null,
+    fullPath: entry.fullPath || null,
+    filename: entry.filename,
+    fileSize: entry.fileSize,
+    archiveEntry: entry.archive || null
+  }];
+}
+
+/**
+ * Find the Chrome download of a file. Entries from before download IDs were recorded,
+ * and downloads removed from Chrome's list, are looked up by path.
+ * @param {Object} file - File from getHistoryEntryFiles()
+ * @returns {Promise<Object|null>} Download item, or null if Chrome no longer knows the file
+ */
+export async function findHistoryDownload({ downloadId, fullPath }) {
+  if (downloadId != null) {
+    const [item] = await chrome.downloads.search({ id: downloadId });
+    if (item && (!fullPath || item.filename === fullPath)) {
+      return item;
+    }
+  }
+  if (fullPath) {
+    const [item] = await chrome.downloads.search({ filename: fullPath, orderBy: ['-startTime'], limit: 1 });
+    return item || null;
+  }
+  return null;
+}
+
+/**
+ * Check whether the file of a history entry is still on disk. Chrome only notices deleted
+ * files when it is asked, so the answer can lag a moment behind.
+ * @param {Object} entry - History entry
+ * @returns {Promise<Object>} { downloadId, exists } - downloadId is null if Chrome no longer knows the file
+ */
+export async function checkHistoryFile(entry) {
+  const [file] = getHistoryEntryFiles(entry);
+  try {
+    const item = await findHistoryDownload(file);
+    return {
+      downloadId: item ? item.id : null,
+      exists: Boolean(item?.exists && item.state === 'complete')
+    };
+  } catch (error) {
+    console.warn('[AutoPrint] Could not check history file:', error);
+    return { downloadId: null, exists: false };
+  }
+}
@@ -0,0 +1,138 @@
+/**
+ * AutoPrint Extension - History Statistics
+ * Sums up the print history: prints per day or week, outcomes, the most printed
+ * file types, sites and rules, and how long files waited between download and print.
+ */
+
+import { CONFIG } from './config.js';
+import { getFileExtension } from './rules.js';
+
+const { PRINTED, SENT_TO_DIALOG, ERROR } = CONFIG.HISTORY_STATUS;
+
+/**
+ * Check whether an entry went to a printer or a print dialog
+ * @param {Object} entry - History entry
+ * @returns {boolean} True if it counts as a print
+ */
+function isPrint(entry) {
+  return entry.status === PRINTED || entry.status === SENT_TO_DIALOG;
+}
+
+export const STATS_PERIODS = {
+  DAY: 'day',
+  WEEK: 'week'
+};
+
+/**
+ * Get the local date of a time as YYYY-MM-DD
+ * @param {Date} date - Time
+ * @returns {string} Date key
+ */
+function toDateKey(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Get the start (local midnight) of the day or week (starting Monday) a time falls in
+ * @param {Date} date - Time
+ * @param {string} period - 'day' or 'week'
+ * @returns {Date} Start of the period
+ */
+function getPeriodStart(date, period) {
+  const start = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  if (period === STATS_PERIODS.WEEK) {
+    start.setDate(start.getDate() - (start.getDay() + 6) % 7);
+  }
+  return start;
+}
+
+/**
+ * Count prints (printed or sent to the print dialog) and errors per day or week,
+ * including periods without any
+ * @param {Array<Object>} entries - History entries
+ * @param {string} period - 'day' or 'week'
+ * @param {Date} from - Start of the first period
+ * @param {Date} to - Time in the last period
+ * @returns {Array<Object>} Periods in order as { start (YYYY-MM-DD), printed, error }
+ */
+function countPerPeriod(entries, period, from, to) {
+  const buckets = new Map();
+  const last = getPeriodStart(to, period);
+  const step = period === STATS_PERIODS.WEEK ? 7 : 1;
+  for (const start = getPeriodStart(from, period); start <= last; start.setDate(start.getDate() + step)) {
+    buckets.set(toDateKey(start), { start: toDateKey(start), printed: 0, error: 0 });
+  }
+
+  for (const entry of entries) {
+    if (!isPrint(entry) && entry.status !== ERROR) {
+      continue;
+    }
+    const bucket = buckets.get(toDateKey(getPeriodStart(new Date(entry.timestamp), period)));
+    if (bucket) {
+      bucket[isPrint(entry) ? 'printed' : 'error']++;
+    }
+  }
+  return [...buckets.values()];
+}
+
+/**
+ * List the most frequent values
+ * @param {Array<string>} values - Values, one per occurrence
+ * @returns {Array<Object>} Up to STATS_TOP_ITEMS values as { name, count }, most frequent first
+ */
+function countTop(values) {
+  const counts = new Map();
+  for (const value of values) {
+    counts.set(value, (counts.get(value) || 0) + 1);
+  }
+  return [...counts]
+    .map(([name, count]) => ({ name, count }))
+    .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name))
+    .slice(0, CONFIG.HISTORY.STATS_TOP_ITEMS);
+}
+
+/**
+ * Sum up history entries. Top lists and timings only count files that were printed or
+ * sent to the print dialog.
+ * @param {Array<Object>} entries - History entries
+ * @param {Object} options - Options
+ * @param {string} options.period - Count prints per 'day' or 'week'
+ * @param {string} options.from - Start of the range (ISO string); defaults to the oldest entry
+ * @param {string} options.to - End of the range (ISO string); defaults to now
+ * @returns {Object} Statistics:
+ *   timeline - prints and errors per period ({ start, printed, error })
+ *   outcomes - entries per history status
+ *   successRate - share of prints among printed, sent to the dialog and failed files (0–1), or null
+ *   topExtensions, topDomains, topRules - { name, count } lists
+ *   downloadToPrint - { averageMs, count } over prints with a recorded time
+ */
+export function computeHistoryStats(entries, { period = STATS_PERIODS.DAY, from = null, to = null } = {}) {
+  const outcomes = Object.fromEntries(Object.values(CONFIG.HISTORY_STATUS).map(status => [status, 0]));
+  for (const entry of entries) {
+    outcomes[entry.status] = (outcomes[entry.status] || 0) + 1;
+  }
+  const sent = outcomes[PRINTED] + outcomes[SENT_TO_DIALOG];
+  const attempted = sent + outcomes[ERROR];
+
+  const oldest = entries.reduce((min, entry) => entry.timestamp < min ? entry.timestamp : min, new Date().toISOString());
+  const printed = entries.filter(isPrint);
+  // A reprint's download was long before it, so it says nothing about the queue
+  const timed = printed.filter(entry => typeof entry.downloadToPrintMs === 'number' && !entry.reprintOf);
+
+  return {
+    timeline: countPerPeriod(entries, period, new Date(from || oldest), to ? new Date(to) : new Date()),
+    outcomes,
+    successRate: attempted > 0 ? sent / attempted : null,
+    topExtensions: countTop(printed
+      .flatMap(entry => entry.groupedFiles?.length > 0 ? entry.groupedFiles : [entry.filename])
+      .map(filename => getFileExtension(filename || '') || '(none)')),
+    topDomains: countTop(printed.map(entry => entry.domain).filter(Boolean)),
+    topRules: countTop(printed.map(entry => entry.ruleName || '(no rule)')),
+    downloadToPrint: {
+      averageMs: timed.length > 0 ? timed.reduce((sum, entry) => sum + entry.downloadToPrintMs, 0) / timed.length : null,
+      count: timed.length
+    }
+  };
+}
@@ -0,0 +1,145 @@
+/**
+ * AutoPrint Extension - Native Print Host Client
+ * Talks to a local native messaging host that prints files without a print dialog.
+ *
+ * Protocol (one JSON request, one JSON response per message):
+ *   { type: 'print', jobId, path, filename, printer, options } -> { success, hostJobId, printer, status, error }
+ *   { type: 'jobStatus', hostJobId, printer } -> { success, status, error }
+ *   { type: 'listPrinters' } -> { success, printers: [{ name, isDefault }], error }
+ *
+ * Job statuses are submitted, pending, printing, completed, failed and cancelled
+ * (CONFIG.HOST_JOB_STATUS); the last three are final.
+ */
+
+import { CONFIG } from './config.js';
+
+/**
+ * Error thrown when the native host cannot be reached (not installed, no permission)
+ */
+export class NativeHostUnavailableError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'NativeHostUnavailableError';
+  }
+}
+
+/**
+ * Check whether native messaging can be used
+ * @returns {Promise<boolean>} True if the API is present and the permission is granted
+ */
+export async function isNativeMessagingAvailable() {
+  if (typeof chrome === 'undefined' || !chrome.permissions) {
+    return false;
+  }
+  try {
+    return await chrome.permissions.contains({ permissions: ['nativeMessaging'] });
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Ask for the native messaging permission. Must be called from a user gesture.
+ * @returns {Promise<boolean>} True if granted
+ */
+export async function requestNativeMessagingPermission() {
+  try {
+    return await chrome.permissions.request({ permissions: ['nativeMessaging'] });
+  } catch (error) {
+    console.error('[AutoPrint] Permission request error:', error);
+    return false;
+  }
+}
+
+/**
+ * Send one message to the native host
+ * @param {string} hostName - Native host name (e.g. com.autoprint.host)
+ * @param {Object} message - Request
+ * @returns {Promise<Object>} Host response
+ * @throws {NativeHostUnavailableError} If the host cannot be reached
+ * @throws {Error} If the host reports an error
+ */
+async function sendToHost(hostName, message) {
+  if (!chrome.runtime.sendNativeMessage || !(await isNativeMessagingAvailable())) {
+    throw new NativeHostUnavailableError('Native messaging permission not granted');
+  }
+
+  let response;
+  try {
+    response = await chrome.runtime.sendNativeMessage(hostName, message);
+  } catch (error) {
+    throw new NativeHostUnavailableError(`Native host "${hostName}" is not available: ${error.message}`);
+  }
+
+  if (!response) {
+    throw new NativeHostUnavailableError(`Native host "${hostName}" did not respond`);
+  }
+  if (!response.success) {
+    throw new Error(response.error || 'Native host reported an error');
+  }
+  return response;
+}
+
+/**
+ * Print a file through the native host
+ * @param {string} hostName - Native host name
+ * @param {Object} request - Print request
+ * @param {string} request.jobId - Extension job ID
+ * @param {string} request.path - Local file path
+ * @param {string} request.filename - Filename
+ * @param {string} request.printer - Printer name; empty for the default printer
+ * @param {Object} request.options - Job options passed through to the host
+ * @returns {Promise<Object>} { hostJobId, printer, status } as reported by the host
+ */
+export async function printWithHost(hostName, { jobId, path, filename, printer, options = {} }) {
+  const response = await sendToHost(hostName, {
+    type: 'print',
+    jobId,
+    path,
+    filename,
+    printer: printer || null,
+    options
+  });
+
+  return {
+    hostJobId: response.hostJobId ?? null,
+    printer: response.printer || printer || null,
+    status: response.status || 'submitted'
+  };
+}
+
+/**
+ * Check whether a host job status is final
+ * @param {string|null} status - Status reported by the host
+ * @returns {boolean} True if the job completed, failed or was cancelled
+ */
+export function isFinalHostStatus(status) {
+  const { COMPLETED, FAILED, CANCELLED } = CONFIG.HOST_JOB_STATUS;
+  return status === COMPLETED || status === FAILED || status === CANCELLED;
+}
+
+/**
+ * Ask the native host how a submitted job is doing
+ * @param {string} hostName - Native host name
+ * @param {Object} request - Status request
+ * @param {string} request.hostJobId - Job ID the host returned for the print
+ * @param {string|null} request.printer - Printer the job was sent to
+ * @returns {Promise<Object>} { status, error } as reported by the host
+ */
+export async function getHostJobStatus(hostName, { hostJobId, printer }) {
+  const response = await sendToHost(hostName, { type: 'jobStatus', hostJobId, printer: printer || null });
+  return {
+    status: response.status || CONFIG.HOST_JOB_STATUS.SUBMITTED,
+    error: response.error || null
+  };
+}
+
+/**
+ * List the printers known to the native host
+ * @param {string} hostName - Native host name
+ * @returns {Promise<Array<Object>>} Printers as { name, isDefault }
+ */
+export async function listPrinters(hostName) {
+  const response = await sendToHost(hostName, { type: 'listPrinters' });
+  return Array.isArray(response.printers) ? response.printers : [];
+}
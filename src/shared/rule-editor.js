@@ -0,0 +1,466 @@
+/**
+ * AutoPrint Extension - Rule List Editor
+ * Renders an editable, ordered list of filter rules for the popup and options page
+ */
+
+import {
+  createRule,
+  validateRules,
+  parseExtensionList,
+  parseHostList,
+  parseMimeList,
+  describeRule,
+  getRuleErrors,
+  describePrintOptions,
+  describeImageLayout,
+  PATTERN_TYPES,
+  ORIENTATIONS,
+  DUPLEX_MODES,
+  PAPER_SIZES,
+  MAX_COPIES,
+  IMAGE_LAYOUTS
+} from './rules.js';
+import { findStampTemplate } from './stamps.js';
+import { getSupportedPrintOptions } from './config.js';
+
+// Example patterns shown as placeholders for each pattern type
+const PATTERN_PLACEHOLDERS = {
+  [PATTERN_TYPES.GLOB]: '*_LABEL_[0-9]*.pdf',
+  [PATTERN_TYPES.REGEX]: '^PO-\\d{6}'
+};
+
+/**
+ * Escape HTML for safe rendering, in text and in quoted attribute values
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text ?? '';
+  return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+/**
+ * Render a text condition field
+ * @param {string} field - Rule field name
+ * @param {string} label - Field label
+ * @param {string} value - Current value
+ * @param {string} placeholder - Placeholder text
+ * @returns {string} HTML
+ */
+function renderField(field, label, value, placeholder) {
+  return `
+    <label class="rule-field">
+      <span class="rule-field-label">${label}</span>
+      <input type="text" data-field="${field}" value="${escapeHtml(value)}" placeholder="${placeholder}" spellcheck="false" autocomplete="off">
+    </label>
+  `;
+}
+
+/**
+ * Render a select for a print option
+ * @param {string} option - Print option name
+ * @param {string} label - Field label
+ * @param {string} value - Current value
+ * @param {Array<Array<string>>} choices - Choices as [value, label]
+ * @returns {string} HTML
+ */
+function renderOptionSelect(option, label, value, choices) {
+  return `
+    <label class="rule-field">
+      <span class="rule-field-label">${label}</span>
+      <select data-option="${option}">
+        ${choices.map(([choice, text]) => `<option value="${choice}" ${choice === value ? 'selected' : ''}>${text}</option>`).join('')}
+      </select>
+    </label>
+  `;
+}
+
+/**
+ * Summarize the print options, image layout and stamp of a rule for the collapsed section
+ * @param {Object} rule - Validated rule
+ * @param {Array<Object>} stampTemplates - Stamp templates
+ * @returns {string} Summary
+ */
+function summarizePrintOptions(rule, stampTemplates) {
+  const stamp = findStampTemplate(stampTemplates, rule.stampTemplate);
+  return [
+    describePrintOptions(rule.printOptions),
+    describeImageLayout(rule.imageLayout),
+    stamp ? `stamped "${stamp.name}"` : ''
+  ].filter(Boolean).join(', ') || 'printer defaults';
+}
+
+/**
+ * Render the print options of a rule
+ * @param {Object} rule - Rule
+ * @param {boolean} open - Whether the section is expanded
+ * @param {Array<Object>} stampTemplates - Stamp templates the rule can choose from
+ * @returns {string} HTML
+ */
+function renderPrintOptions(rule, open, stampTemplates) {
+  const options = rule.printOptions;
+  const layouts = [
+    [IMAGE_LAYOUTS.FIT, 'Fit to page'],
+    [IMAGE_LAYOUTS.ACTUAL_SIZE, 'Actual size'],
+    [IMAGE_LAYOUTS.TWO_UP, '2 per sheet'],
+    [IMAGE_LAYOUTS.FOUR_UP, '4 per sheet'],
+    [IMAGE_LAYOUTS.CONTACT_SHEET, 'Contact sheet']
+  ];
+
+  return `
+    <details class="rule-print" ${open ? 'open' : ''}>
+      <summary>Print options <span class="rule-print-summary">${escapeHtml(summarizePrintOptions(rule, stampTemplates))}</span></summary>
+      <div class="rule-fields">
+        <label class="rule-field">
+          <span class="rule-field-label">Copies</span>
+          <input type="number" data-option="copies" value="${options.copies}" min="1" max="${MAX_COPIES}">
+        </label>
+        <label class="rule-field">
+          <span class="rule-field-label">Printer</span>
+          <input type="text" data-option="printer" value="${escapeHtml(options.printer)}" placeholder="Default printer" spellcheck="false" autocomplete="off">
+        </label>
+        ${renderOptionSelect('orientation', 'Orientation', options.orientation, [
+          [ORIENTATIONS.AUTO, 'Auto'],
+          [ORIENTATIONS.PORTRAIT, 'Portrait'],
+          [ORIENTATIONS.LANDSCAPE, 'Landscape']
+        ])}
+        ${renderOptionSelect('paperSize', 'Paper size', options.paperSize, [
+          ['', 'Default'],
+          ...PAPER_SIZES.map(size => [size, size])
+        ])}
+        ${renderOptionSelect('duplex', 'Two-sided', options.duplex, [
+          [DUPLEX_MODES.AUTO, 'Default'],
+          [DUPLEX_MODES.ONE_SIDED, 'One-sided'],
+          [DUPLEX_MODES.LONG_EDGE, 'Long edge'],
+          [DUPLEX_MODES.SHORT_EDGE, 'Short edge']
+        ])}
+        <label class="rule-field">
+          <span class="rule-field-label">Pages</span>
+          <input type="text" data-option="pageRanges" data-field="pageRanges" value="${escapeHtml(options.pageRanges)}" placeholder="1-3, 5" spellcheck="false" autocomplete="off">
+        </label>
+        <label class="rule-field" title="Images arriving within a few seconds of each other are printed together by the 2 and 4 per sheet and contact sheet layouts">
+          <span class="rule-field-label">Images</span>
+          <select data-field="imageLayout">
+            ${layouts.map(([layout, text]) => `<option value="${layout}" ${layout === rule.imageLayout ? 'selected' : ''}>${text}</option>`).join('')}
+          </select>
+        </label>
+        <label class="rule-field" title="Header, footer and watermark printed on images, text and office documents; edit stamps on the options page">
+          <span class="rule-field-label">Stamp</span>
+          <select data-field="stampTemplate">
+            <option value="">None</option>
+            ${stampTemplates.map(template => `<option value="${escapeHtml(template.id)}" ${template.id === rule.stampTemplate ? 'selected' : ''}>${escapeHtml(template.name)}</option>`).join('')}
+          </select>
+        </label>
+      </div>
+    </details>
+  `;
+}
+
+/**
+ * Mark the print options the current print mode cannot apply
+ * @param {HTMLElement} root - Element containing rendered rules
+ * @param {string|null} printMode - Print mode, or null when unknown
+ */
+function markSupportedOptions(root, printMode) {
+  const supported = printMode ? getSupportedPrintOptions(printMode) : null;
+
+  root.querySelectorAll('[data-option]').forEach(input => {
+    const field = input.closest('.rule-field');
+    const unsupported = supported !== null && !supported.includes(input.dataset.option);
+    field.classList.toggle('unsupported', unsupported);
+    field.title = unsupported ? 'Not applied in the current print mode - choose it in the print dialog' : '';
+  });
+}
+
+/**
+ * Render a single rule
+ * @param {Object} rule - Rule
+ * @param {number} index - Rule position
+ * @param {number} count - Total number of rules
+ * @param {boolean} printOptionsOpen - Whether the print options are expanded
+ * @param {Array<Object>} stampTemplates - Stamp templates the rule can choose from
+ * @returns {string} HTML
+ */
+function renderRule(rule, index, count, printOptionsOpen, stampTemplates) {
+  return `
+    <li class="rule-item ${rule.enabled ? '' : 'disabled'}" data-index="${index}">
+      <div class="rule-header">
+        <input type="checkbox" class="rule-enabled" data-field="enabled" title="Enable rule" ${rule.enabled ? 'checked' : ''}>
+        <span class="rule-order">${index + 1}</span>
+        <input type="text" class="rule-name" data-field="name" value="${escapeHtml(rule.name)}" placeholder="Rule name" spellcheck="false" autocomplete="off">
+        <div class="rule-controls">
+          <button type="button" class="rule-btn" data-action="up" title="Move up" ${index === 0 ? 'disabled' : ''}>&uarr;</button>
+          <button type="button" class="rule-btn" data-action="down" title="Move down" ${index === count - 1 ? 'disabled' : ''}>&darr;</button>
+          <button type="button" class="rule-btn rule-btn-danger" data-action="remove" title="Remove rule">&times;</button>
+        </div>
+      </div>
+      <div class="rule-fields">
+        ${renderField('prefix', 'Prefix', rule.prefix, 'invoice_')}
+        ${renderField('suffix', 'Suffix', rule.suffix, '_final')}
+        ${renderField('contains', 'Contains', rule.contains, 'label')}
+        ${renderField('extensions', 'Extensions', rule.extensions.join(', '), 'pdf, png')}
+        ${renderField('mimeTypes', 'MIME types', rule.mimeTypes.join(', '), 'application/pdf, image/*')}
+        ${renderField('allowHosts', 'Allowed hosts', rule.allowHosts.join(', '), 'erp.example.com, *.carrier.com')}
+        ${renderField('denyHosts', 'Blocked hosts', rule.denyHosts.join(', '), 'mail.example.com')}
+      </div>
+      <div class="rule-pattern">
+        <select data-field="patternType" title="Pattern type">
+          <option value="${PATTERN_TYPES.GLOB}" ${rule.patternType === PATTERN_TYPES.GLOB ? 'selected' : ''}>Glob</option>
+          <option value="${PATTERN_TYPES.REGEX}" ${rule.patternType === PATTERN_TYPES.REGEX ? 'selected' : ''}>Regex</option>
+        </select>
+        <input type="text" data-field="pattern" value="${escapeHtml(rule.pattern)}" placeholder="${PATTERN_PLACEHOLDERS[rule.patternType]}" spellcheck="false" autocomplete="off">
+        <label class="rule-case" title="Apply prefix, suffix, contains and pattern with exact letter case">
+          <input type="checkbox" data-field="caseSensitive" ${rule.caseSensitive ? 'checked' : ''}>
+          Aa
+        </label>
+        <label class="rule-case" title="Detect PDF, PNG, JPEG and GIF files from their first bytes and match extensions and MIME types against the real type">
+          <input type="checkbox" data-field="sniffContent" ${rule.sniffContent ? 'checked' : ''}>
+          Sniff
+        </label>
+        <label class="rule-case" title="Ask with a notification before printing files matched by this rule">
+          <input type="checkbox" data-field="requireApproval" ${rule.requireApproval ? 'checked' : ''}>
+          Ask
+        </label>
+        <label class="rule-case" title="Print the files inside ZIP archives matched by this rule; each file is checked against the rules again">
+          <input type="checkbox" data-field="expandArchives" ${rule.expandArchives ? 'checked' : ''}>
+          Unzip
+        </label>
+        <label class="rule-case" title="Count a re-downloaded file as a duplicate whatever link it came from, for sites whose download links carry one-time tokens">
+          <input type="checkbox" data-field="duplicateIgnoreUrl" ${rule.duplicateIgnoreUrl ? 'checked' : ''}>
+          Any URL
+        </label>
+      </div>
+      ${renderPrintOptions(rule, printOptionsOpen, stampTemplates)}
+      <p class="rule-error" hidden></p>
+      <p class="rule-summary">Matches ${escapeHtml(describeRule(rule))}</p>
+    </li>
+  `;
+}
+
+/**
+ * Show or clear the error messages of a rendered rule
+ * @param {HTMLElement} item - Rule list item
+ * @param {Array<Object>} errors - Errors as { field, message }; empty to clear
+ */
+function setRuleErrors(item, errors) {
+  const error = item.querySelector('.rule-error');
+  error.textContent = errors.map(entry => entry.message).join('\n');
+  error.hidden = errors.length === 0;
+
+  item.querySelectorAll('input[type="text"]').forEach(input => {
+    input.classList.toggle('invalid', errors.some(entry => entry.field === input.dataset.field));
+  });
+
+  // Print option errors are hidden while the section is collapsed
+  if (errors.some(entry => entry.field === 'pageRanges')) {
+    item.querySelector('.rule-print').open = true;
+  }
+}
+
+/**
+ * Check whether downloaded files can be read from disk for sniffing, which needs
+ * "Allow access to file URLs"
+ * @returns {Promise<boolean>} True if files can be read
+ */
+async function canReadDownloads() {
+  if (typeof chrome === 'undefined' || !chrome.extension?.isAllowedFileSchemeAccess) {
+    return true;
+  }
+
+  try {
+    return await chrome.extension.isAllowedFileSchemeAccess();
+  } catch (error) {
+    console.error('[AutoPrint] File access check error:', error);
+    return false;
+  }
+}
+
+/**
+ * Create a rule list editor inside a container element
+ * @param {HTMLElement} container - Element to render into
+ * @param {Object} options - Editor options
+ * @param {Function} options.onChange - Called with the rule list after every edit
+ * @param {string} options.printMode - Print mode used to mark print options it cannot apply
+ * @param {Array<Object>} options.stampTemplates - Stamp templates rules can choose from
+ * @returns {Object} Editor API with setRules(), getRules(), showErrors(), setPrintMode() and setStampTemplates()
+ */
+export function createRuleEditor(container, { onChange, printMode = null, stampTemplates = [] } = {}) {
+  let rules = [];
+  let currentPrintMode = printMode;
+  let currentStampTemplates = stampTemplates;
+  // Rules whose print options are expanded, kept across re-renders
+  const openPrintOptions = new Set();
+
+  const notify = () => {
+    if (onChange) {
+      onChange(getRules());
+    }
+  };
+
+  function render() {
+    const items = rules
+      .map((rule, index) => renderRule(rule, index, rules.length, openPrintOptions.has(rule.id), currentStampTemplates))
+      .join('');
+
+    container.innerHTML = `
+      <ul class="rule-list">
+        ${items || '<li class="rule-empty">No rules - every downloaded file will be printed</li>'}
+      </ul>
+      <button type="button" class="rule-add" data-action="add">+ Add rule</button>
+    `;
+
+    getRules().forEach((rule, index) => {
+      setRuleErrors(container.querySelector(`.rule-item[data-index="${index}"]`), getRuleErrors([rule]));
+    });
+    markSupportedOptions(container, currentPrintMode);
+  }
+
+  function getRules() {
+    return validateRules(rules);
+  }
+
+  function setRules(newRules) {
+    rules = validateRules(newRules);
+    render();
+  }
+
+  /**
+   * Mark the print options a print mode cannot apply
+   * @param {string} mode - Print mode from CONFIG.PRINT_MODES
+   */
+  function setPrintMode(mode) {
+    currentPrintMode = mode;
+    markSupportedOptions(container, currentPrintMode);
+  }
+
+  /**
+   * Change the stamp templates rules can choose from
+   * @param {Array<Object>} templates - Stamp templates
+   */
+  function setStampTemplates(templates) {
+    currentStampTemplates = templates;
+    render();
+  }
+
+  /**
+   * Highlight validation errors returned by validateSettings()
+   * @param {Array<Object>} errors - Errors as { ruleId, field, message }
+   */
+  function showErrors(errors) {
+    rules.forEach((rule, index) => {
+      const ruleErrors = errors.filter(error => error.ruleId === rule.id);
+      const item = container.querySelector(`.rule-item[data-index="${index}"]`);
+      setRuleErrors(item, ruleErrors);
+    });
+
+    const first = errors[0];
+    const index = first ? rules.findIndex(rule => rule.id === first.ruleId) : -1;
+    container.querySelector(`.rule-item[data-index="${index}"] [data-field="${first?.field}"]`)?.focus();
+  }
+
+  container.addEventListener('click', (event) => {
+    const button = event.target.closest('[data-action]');
+    if (!button) return;
+
+    const item = button.closest('.rule-item');
+    const index = item ? parseInt(item.dataset.index, 10) : -1;
+
+    switch (button.dataset.action) {
+      case 'add':
+        rules.push(createRule({ name: `Rule ${rules.length + 1}` }));
+        break;
+      case 'remove':
+        rules.splice(index, 1);
+        break;
+      case 'up':
+        if (index > 0) {
+          [rules[index - 1], rules[index]] = [rules[index], rules[index - 1]];
+        }
+        break;
+      case 'down':
+        if (index < rules.length - 1) {
+          [rules[index + 1], rules[index]] = [rules[index], rules[index + 1]];
+        }
+        break;
+      default:
+        return;
+    }
+
+    render();
+    notify();
+
+    if (button.dataset.action === 'add') {
+      container.querySelector('.rule-item:last-child .rule-name')?.select();
+    }
+  });
+
+  const handleFieldChange = (event) => {
+    const input = event.target;
+    const field = input.dataset.field;
+    const option = input.dataset.option;
+    const item = input.closest('.rule-item');
+    if (!(field || option) || !item) return;
+
+    const rule = rules[parseInt(item.dataset.index, 10)];
+
+    if (option) {
+      rule.printOptions = { ...rule.printOptions, [option]: input.value };
+    } else if (field === 'enabled') {
+      rule.enabled = input.checked;
+      item.classList.toggle('disabled', !rule.enabled);
+    } else if (field === 'caseSensitive' || field === 'requireApproval' || field === 'expandArchives' || field === 'duplicateIgnoreUrl') {
+      rule[field] = input.checked;
+    } else if (field === 'sniffContent') {
+      rule.sniffContent = input.checked;
+      if (input.checked) {
+        canReadDownloads().then((allowed) => {
+          if (!allowed) {
+            rule.sniffContent = false;
+            input.checked = false;
+            setRuleErrors(item, [{ field: 'sniffContent', message: 'Content sniffing reads downloaded files: turn on "Allow access to file URLs" for AutoPrint on chrome://extensions' }]);
+            notify();
+          }
+        });
+      }
+    } else if (field === 'mimeTypes') {
+      rule.mimeTypes = parseMimeList(input.value);
+    } else if (field === 'extensions') {
+      rule.extensions = parseExtensionList(input.value);
+    } else if (field === 'allowHosts' || field === 'denyHosts') {
+      rule[field] = parseHostList(input.value);
+    } else {
+      rule[field] = input.value;
+    }
+
+    if (field === 'patternType') {
+      item.querySelector('[data-field="pattern"]').placeholder = PATTERN_PLACEHOLDERS[rule.patternType];
+    }
+
+    const validatedRule = getRules()[parseInt(item.dataset.index, 10)];
+    item.querySelector('.rule-summary').textContent = 'Matches ' + describeRule(validatedRule);
+    item.querySelector('.rule-print-summary').textContent = summarizePrintOptions(validatedRule, currentStampTemplates);
+    setRuleErrors(item, getRuleErrors([validatedRule]));
+
+    notify();
+  };
+
+  container.addEventListener('input', handleFieldChange);
+
+  // "toggle" does not bubble, so listen while capturing
+  container.addEventListener('toggle', (event) => {
+    const item = event.target.closest('.rule-item');
+    if (!event.target.matches('.rule-print') || !item) return;
+
+    const rule = rules[parseInt(item.dataset.index, 10)];
+    if (event.target.open) {
+      openPrintOptions.add(rule.id);
+    } else {
+      openPrintOptions.delete(rule.id);
+    }
+  }, true);
+
+  render();
+
+  return { setRules, getRules, showErrors, setPrintMode, setStampTemplates };
+}
@@ -0,0 +1,735 @@
+/**
+ * AutoPrint Extension - Filter Rules
+ * Rule model and matching engine shared by the service worker and the settings pages
+ */
+
+import { normalizeMimeType, isValidMimePattern, mimeMatches } from './file-types.js';
+
+/**
+ * Supported filename pattern types
+ */
+export const PATTERN_TYPES = {
+  GLOB: 'glob',
+  REGEX: 'regex'
+};
+
+/**
+ * Page orientations a rule can ask for
+ */
+export const ORIENTATIONS = {
+  AUTO: 'auto',
+  PORTRAIT: 'portrait',
+  LANDSCAPE: 'landscape'
+};
+
+/**
+ * Duplex (two-sided) modes a rule can ask for
+ */
+export const DUPLEX_MODES = {
+  AUTO: 'auto',
+  ONE_SIDED: 'one_sided',
+  LONG_EDGE: 'long_edge',
+  SHORT_EDGE: 'short_edge'
+};
+
+/**
+ * Paper sizes a rule can ask for (names understood by CSS @page and CUPS)
+ */
+export const PAPER_SIZES = ['A3', 'A4', 'A5', 'Letter', 'Legal'];
+
+/**
+ * Highest number of copies a rule can ask for
+ */
+export const MAX_COPIES = 99;
+
+/**
+ * How images matched by a rule are laid out on paper
+ */
+export const IMAGE_LAYOUTS = {
+  FIT: 'fit',
+  ACTUAL_SIZE: 'actual_size',
+  TWO_UP: 'two_up',
+  FOUR_UP: 'four_up',
+  CONTACT_SHEET: 'contact_sheet'
+};
+
+// Images printed together by the layouts that put several images on paper
+const IMAGES_PER_LAYOUT = {
+  [IMAGE_LAYOUTS.TWO_UP]: 2,
+  [IMAGE_LAYOUTS.FOUR_UP]: 4,
+  [IMAGE_LAYOUTS.CONTACT_SHEET]: 24
+};
+
+const IMAGE_LAYOUT_DESCRIPTIONS = {
+  [IMAGE_LAYOUTS.ACTUAL_SIZE]: 'images at actual size',
+  [IMAGE_LAYOUTS.TWO_UP]: 'images 2 per sheet',
+  [IMAGE_LAYOUTS.FOUR_UP]: 'images 4 per sheet',
+  [IMAGE_LAYOUTS.CONTACT_SHEET]: 'images on a contact sheet'
+};
+
+/**
+ * Generate a unique rule identifier
+ * @returns {string} Rule ID
+ */
+export function generateRuleId() {
+  return 'rule_' + Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+}
+
+/**
+ * Extract file extension from filename
+ * @param {string} filename - Filename
+ * @returns {string} Extension without dot, lowercase
+ */
+export function getFileExtension(filename) {
+  const parts = filename.split('.');
+  if (parts.length > 1) {
+    return parts[parts.length - 1].toLowerCase();
+  }
+  return '';
+}
+
+/**
+ * Parse a list of extensions from user input
+ * @param {string|Array} value - Comma/space separated string or array of extensions
+ * @returns {Array<string>} Unique extensions without dots, lowercase
+ */
+export function parseExtensionList(value) {
+  const items = Array.isArray(value) ? value : String(value || '').split(/[\s,;]+/);
+  const extensions = items
+    .filter(item => typeof item === 'string')
+    .map(item => item.trim().toLowerCase().replace(/^\.+/, ''))
+    .filter(Boolean);
+  return [...new Set(extensions)];
+}
+
+/**
+ * Parse a list of MIME type patterns from user input
+ * @param {string|Array} value - Comma/space separated string or array of MIME types
+ * @returns {Array<string>} Unique normalized MIME patterns
+ */
+export function parseMimeList(value) {
+  const items = Array.isArray(value) ? value : String(value || '').split(/[\s,]+/);
+  const types = items
+    .map(normalizeMimeType)
+    .filter(Boolean);
+  return [...new Set(types)];
+}
+
+/**
+ * Parse a list of host patterns from user input
+ * @param {string|Array} value - Comma/space separated string or array of hosts
+ * @returns {Array<string>} Unique lowercase host patterns (URLs are reduced to their host)
+ */
+export function parseHostList(value) {
+  const items = Array.isArray(value) ? value : String(value || '').split(/[\s,;]+/);
+  const hosts = items
+    .filter(item => typeof item === 'string')
+    .map(item => item.trim().toLowerCase()
+      .replace(/^[a-z][a-z0-9+.-]*:\/\//, '')
+      .replace(/[/?#].*$/, '')
+      .replace(/\.$/, ''))
+    .filter(Boolean);
+  return [...new Set(hosts)];
+}
+
+/**
+ * Check whether a host pattern is well formed
+ * @param {string} pattern - Host pattern such as "erp.example.com" or "*.example.com"
+ * @returns {boolean} True if valid
+ */
+export function isValidHostPattern(pattern) {
+  return /^(\*\.)?[a-z0-9_-]+(\.[a-z0-9_-]+)*(:\d{1,5})?$/.test(pattern) || /^\[[0-9a-f:.]+\](:\d{1,5})?$/.test(pattern);
+}
+
+/**
+ * Get the host of a URL
+ * @param {string} url - URL (blob: URLs resolve to the host that created them)
+ * @returns {string} Lowercase host, or empty string when the URL has none
+ */
+export function getUrlHost(url) {
+  if (!url) {
+    return '';
+  }
+
+  try {
+    const parsed = new URL(url);
+    if (parsed.protocol === 'blob:') {
+      return getUrlHost(parsed.pathname);
+    }
+    return parsed.host.toLowerCase();
+  } catch (error) {
+    return '';
+  }
+}
+
+/**
+ * Check whether a host matches a host pattern.
+ * "example.com" matches only that host; "*.example.com" matches example.com and all its subdomains.
+ * A pattern without a port matches the host on any port.
+ * @param {string} host - Host, optionally with port
+ * @param {string} pattern - Host pattern
+ * @returns {boolean} True if the host matches
+ */
+export function hostMatches(host, pattern) {
+  if (!host) {
+    return false;
+  }
+
+  const target = /:\d+$/.test(pattern) ? host : host.replace(/:\d+$/, '');
+
+  if (pattern.startsWith('*.')) {
+    const domain = pattern.slice(2);
+    return target === domain || target.endsWith('.' + domain);
+  }
+  return target === pattern;
+}
+
+/**
+ * Collect the distinct hosts a download came from
+ * @param {Object} file - File descriptor with finalUrl, url and referrer
+ * @returns {Array<string>} Hosts, most specific source first
+ */
+export function getSourceHosts(file) {
+  const hosts = [file.finalUrl, file.url, file.referrer].map(getUrlHost).filter(Boolean);
+  return [...new Set(hosts)];
+}
+
+/**
+ * Create a new rule with default values
+ * @param {Object} overrides - Fields to override
+ * @returns {Object} New rule
+ */
+export function createRule(overrides = {}) {
+  return validateRule({
+    id: generateRuleId(),
+    name: 'New rule',
+    enabled: true,
+    ...overrides
+  });
+}
+
+/**
+ * Validate the print options of a rule
+ * @param {Object} options - Print options to validate
+ * @returns {Object} Validated options: { copies, printer, orientation, paperSize, duplex, pageRanges }
+ */
+export function validatePrintOptions(options) {
+  const copies = parseInt(options?.copies, 10);
+
+  return {
+    copies: Number.isFinite(copies) ? Math.min(Math.max(copies, 1), MAX_COPIES) : 1,
+    printer: typeof options?.printer === 'string' ? options.printer.trim() : '',
+    orientation: Object.values(ORIENTATIONS).includes(options?.orientation) ? options.orientation : ORIENTATIONS.AUTO,
+    paperSize: PAPER_SIZES.includes(options?.paperSize) ? options.paperSize : '',
+    duplex: Object.values(DUPLEX_MODES).includes(options?.duplex) ? options.duplex : DUPLEX_MODES.AUTO,
+    pageRanges: typeof options?.pageRanges === 'string' ? options.pageRanges.replace(/\s+/g, '') : ''
+  };
+}
+
+/**
+ * Parse page ranges such as "1", "1-3" or "1,4-6"
+ * @param {string} value - Page ranges
+ * @returns {Array<Array<number>>} Ranges as [first, last]; empty for all pages
+ * @throws {Error} If the ranges are malformed
+ */
+export function parsePageRanges(value) {
+  if (!value) {
+    return [];
+  }
+
+  return value.split(',').map((part) => {
+    const match = part.match(/^(\d+)(?:-(\d+))?$/);
+    if (!match) {
+      throw new Error(`"${part}" is not a page or page range`);
+    }
+    const first = Number(match[1]);
+    const last = match[2] ? Number(match[2]) : first;
+    if (first < 1 || last < first) {
+      throw new Error(`"${part}" is not a valid page range`);
+    }
+    return [first, last];
+  });
+}
+
+/**
+ * List the print options of a rule that differ from the printer defaults
+ * @param {Object} options - Validated print options
+ * @returns {Array<string>} Names of the options that are set
+ */
+export function getSetPrintOptions(options) {
+  const defaults = validatePrintOptions({});
+  return Object.keys(defaults).filter(key => options && options[key] !== defaults[key]);
+}
+
+/**
+ * Describe print options in plain words
+ * @param {Object} options - Validated print options
+ * @returns {string} Description, or empty string when every option is the default
+ */
+export function describePrintOptions(options) {
+  const parts = [];
+  if (!options) {
+    return '';
+  }
+  if (options.copies > 1) {
+    parts.push(`${options.copies} copies`);
+  }
+  if (options.orientation !== ORIENTATIONS.AUTO) {
+    parts.push(options.orientation);
+  }
+  if (options.paperSize) {
+    parts.push(options.paperSize);
+  }
+  if (options.duplex !== DUPLEX_MODES.AUTO) {
+    parts.push(options.duplex === DUPLEX_MODES.ONE_SIDED ? 'one-sided' : `two-sided (${options.duplex === DUPLEX_MODES.LONG_EDGE ? 'long' : 'short'} edge)`);
+  }
+  if (options.pageRanges) {
+    parts.push(`pages ${options.pageRanges}`);
+  }
+  if (options.printer) {
+    parts.push(`on ${options.printer}`);
+  }
+  return parts.join(', ');
+}
+
+/**
+ * Get how many images an image layout prints together
+ * @param {string} layout - Image layout
+ * @returns {number} Images per print; 1 for layouts that print each image on its own
+ */
+export function getImagesPerLayout(layout) {
+  return IMAGES_PER_LAYOUT[layout] || 1;
+}
+
+/**
+ * Describe an image layout in plain words
+ * @param {string} layout - Image layout
+ * @returns {string} Description, or empty string for the default layout
+ */
+export function describeImageLayout(layout) {
+  return IMAGE_LAYOUT_DESCRIPTIONS[layout] || '';
+}
+
+/**
+ * Validate a single rule
+ * @param {Object} rule - Rule to validate
+ * @param {number} index - Position of the rule in the list (used for the default name)
+ * @returns {Object} Validated rule with defaults for missing fields
+ */
+export function validateRule(rule, index = 0) {
+  const text = (value) => typeof value === 'string' ? value.trim() : '';
+
+  return {
+    id: typeof rule?.id === 'string' && rule.id ? rule.id : generateRuleId(),
+    name: text(rule?.name) || `Rule ${index + 1}`,
+    enabled: typeof rule?.enabled === 'boolean' ? rule.enabled : true,
+    prefix: text(rule?.prefix),
+    suffix: text(rule?.suffix),
+    contains: text(rule?.contains),
+    extensions: parseExtensionList(rule?.extensions),
+    mimeTypes: parseMimeList(rule?.mimeTypes),
+    sniffContent: typeof rule?.sniffContent === 'boolean' ? rule.sniffContent : false,
+    allowHosts: parseHostList(rule?.allowHosts),
+    denyHosts: parseHostList(rule?.denyHosts),
+    pattern: text(rule?.pattern),
+    patternType: Object.values(PATTERN_TYPES).includes(rule?.patternType) ? rule.patternType : PATTERN_TYPES.GLOB,
+    caseSensitive: typeof rule?.caseSensitive === 'boolean' ? rule.caseSensitive : false,
+    requireApproval: typeof rule?.requireApproval === 'boolean' ? rule.requireApproval : false,
+    expandArchives: typeof rule?.expandArchives === 'boolean' ? rule.expandArchives : false,
+    duplicateIgnoreUrl: typeof rule?.duplicateIgnoreUrl === 'boolean' ? rule.duplicateIgnoreUrl : false,
+    printOptions: validatePrintOptions(rule?.printOptions),
+    imageLayout: Object.values(IMAGE_LAYOUTS).includes(rule?.imageLayout) ? rule.imageLayout : IMAGE_LAYOUTS.FIT,
+    stampTemplate: typeof rule?.stampTemplate === 'string' ? rule.stampTemplate : ''
+  };
+}
+
+/**
+ * Validate a list of rules
+ * @param {Array} rules - Rules to validate
+ * @returns {Array} Validated rules
+ */
+export function validateRules(rules) {
+  if (!Array.isArray(rules)) {
+    return [];
+  }
+  return rules.map((rule, index) => validateRule(rule, index));
+}
+
+/**
+ * Build rules from the legacy single prefix/extension filter settings
+ * @param {Object} settings - Stored settings that may contain prefixFilter/extensionFilter
+ * @returns {Array} Rules (empty when no legacy filter was set)
+ */
+export function migrateLegacyFilters(settings) {
+  const prefix = typeof settings?.prefixFilter === 'string' ? settings.prefixFilter.trim() : '';
+  const extension = typeof settings?.extensionFilter === 'string' ? settings.extensionFilter.trim() : '';
+
+  if (!prefix && !extension) {
+    return [];
+  }
+
+  return [validateRule({ id: 'rule_default', name: 'Default', prefix, extensions: extension })];
+}
+
+/**
+ * Convert a glob pattern to a regular expression source.
+ * Supports `*` (any run of characters), `?` (one character) and `[...]` / `[!...]` character classes.
+ * The whole filename must match.
+ * @param {string} glob - Glob pattern
+ * @returns {string} Regular expression source
+ * @throws {Error} If the glob is malformed
+ */
+export function globToRegExpSource(glob) {
+  let source = '';
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+
+    if (char === '*') {
+      source += '.*';
+    } else if (char === '?') {
+      source += '.';
+    } else if (char === '[') {
+      const end = glob.indexOf(']', i + 1);
+      if (end === -1) {
+        throw new Error(`unclosed "[" at position ${i + 1}`);
+      }
+
+      let content = glob.slice(i + 1, end);
+      if (content.startsWith('!')) {
+        content = '^' + content.slice(1);
+      }
+      if (content === '' || content === '^') {
+        throw new Error(`empty character class at position ${i + 1}`);
+      }
+
+      source += '[' + content.replace(/\\/g, '\\\\') + ']';
+      i = end;
+    } else {
+      source += char.replace(/[.+^${}()|\\\]]/g, '\\$&');
+    }
+  }
+
+  return '^' + source + '$';
+}
+
+/**
+ * Compile the filename pattern of a rule
+ * @param {Object} rule - Validated rule
+ * @returns {RegExp|null} Compiled pattern, or null when the rule has no pattern
+ * @throws {Error} If the pattern is invalid
+ */
+export function compilePattern(rule) {
+  if (!rule.pattern) {
+    return null;
+  }
+
+  const flags = rule.caseSensitive ? '' : 'i';
+  const source = rule.patternType === PATTERN_TYPES.REGEX
+    ? rule.pattern
+    : globToRegExpSource(rule.pattern);
+
+  return new RegExp(source, flags);
+}
+
+/**
+ * Get a readable error for an invalid rule pattern
+ * @param {Object} rule - Validated rule
+ * @returns {string|null} Error message, or null when the pattern is valid
+ */
+export function getPatternError(rule) {
+  try {
+    compilePattern(rule);
+    return null;
+  } catch (error) {
+    const kind = rule.patternType === PATTERN_TYPES.REGEX ? 'regular expression' : 'glob pattern';
+    const reason = error.message.replace(/^Invalid regular expression: (\/.*\/[a-z]*: )?/, '');
+    return `Invalid ${kind} "${rule.pattern}": ${reason}`;
+  }
+}
+
+/**
+ * Collect validation errors for a rule list
+ * @param {Array} rules - Validated rules
+ * @returns {Array<Object>} Errors as { ruleId, ruleName, field, message }
+ */
+export function getRuleErrors(rules) {
+  const errors = [];
+
+  for (const rule of rules) {
+    const invalidTypes = rule.mimeTypes.filter(type => !isValidMimePattern(type));
+    if (invalidTypes.length > 0) {
+      errors.push({
+        ruleId: rule.id,
+        ruleName: rule.name,
+        field: 'mimeTypes',
+        message: `Invalid MIME type ${invalidTypes.map(type => `"${type}"`).join(', ')} - use a type like application/pdf or image/*`
+      });
+    }
+
+    for (const field of ['allowHosts', 'denyHosts']) {
+      const invalid = rule[field].filter(host => !isValidHostPattern(host));
+      if (invalid.length > 0) {
+        errors.push({
+          ruleId: rule.id,
+          ruleName: rule.name,
+          field,
+          message: `Invalid host ${invalid.map(host => `"${host}"`).join(', ')} - use a host like erp.example.com or *.example.com`
+        });
+      }
+    }
+
+    const patternError = getPatternError(rule);
+    if (patternError) {
+      errors.push({
+        ruleId: rule.id,
+        ruleName: rule.name,
+        field: 'pattern',
+        message: patternError
+      });
+    }
+
+    try {
+      parsePageRanges(rule.printOptions.pageRanges);
+    } catch (error) {
+      errors.push({
+        ruleId: rule.id,
+        ruleName: rule.name,
+        field: 'pageRanges',
+        message: `Invalid page ranges: ${error.message} - use pages like 1 or 1-3,5`
+      });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Check whether a rule has any condition set
+ * @param {Object} rule - Rule
+ * @returns {boolean} True if at least one condition is set
+ */
+function hasConditions(rule) {
+  return Boolean(
+    rule.prefix || rule.suffix || rule.contains || rule.extensions.length || rule.pattern ||
+    rule.mimeTypes.length || rule.allowHosts.length || rule.denyHosts.length
+  );
+}
+
+/**
+ * Check a file against a single rule. All conditions set on the rule must match.
+ * When the rule sniffs content and the file type was detected, the detected type
+ * is used for the extension and MIME conditions instead of the name and server type.
+ * @param {Object} rule - Validated rule
+ * @param {Object} file - File descriptor: { filename, url, finalUrl, referrer, mime, detectedType }
+ * @returns {Object} Match result with details and the matched source domain
+ */
+export function matchRule(rule, file) {
+  const { filename } = file;
+  const hosts = getSourceHosts(file);
+  const result = {
+    matches: true,
+    domain: hosts[0] || null,
+    details: []
+  };
+
+  const normalize = (value) => rule.caseSensitive ? value : value.toLowerCase();
+  const name = normalize(filename);
+  const extension = getFileExtension(filename);
+  const baseName = extension ? name.slice(0, -(extension.length + 1)) : name;
+  const realType = rule.sniffContent ? file.detectedType : null;
+  const typeExtensions = realType ? realType.extensions : [extension];
+  const mime = realType ? realType.mime : normalizeMimeType(file.mime);
+
+  if (rule.prefix && !name.startsWith(normalize(rule.prefix))) {
+    result.matches = false;
+    result.details.push(`Prefix "${rule.prefix}" not matched`);
+  }
+
+  if (rule.suffix) {
+    const suffix = normalize(rule.suffix);
+    if (!baseName.endsWith(suffix) && !name.endsWith(suffix)) {
+      result.matches = false;
+      result.details.push(`Suffix "${rule.suffix}" not matched`);
+    }
+  }
+
+  if (rule.contains && !name.includes(normalize(rule.contains))) {
+    result.matches = false;
+    result.details.push(`Text "${rule.contains}" not found`);
+  }
+
+  if (rule.pattern) {
+    try {
+      if (!compilePattern(rule).test(filename)) {
+        result.matches = false;
+        result.details.push(`Pattern "${rule.pattern}" not matched`);
+      }
+    } catch (error) {
+      result.matches = false;
+      result.details.push(getPatternError(rule));
+    }
+  }
+
+  if (rule.extensions.length && !typeExtensions.some(ext => rule.extensions.includes(ext))) {
+    result.matches = false;
+    result.details.push(realType
+      ? `Extension not in ${rule.extensions.map(ext => '.' + ext).join(', ')} (content is ${realType.label})`
+      : `Extension not in ${rule.extensions.map(ext => '.' + ext).join(', ')} (file has ".${extension}")`);
+  }
+
+  if (rule.mimeTypes.length && !rule.mimeTypes.some(pattern => mimeMatches(mime, pattern))) {
+    result.matches = false;
+    result.details.push(`MIME type ${mime || '(unknown)'} not in ${rule.mimeTypes.join(', ')}`);
+  }
+
+  if (rule.allowHosts.length) {
+    const allowed = hosts.find(host => rule.allowHosts.some(pattern => hostMatches(host, pattern)));
+    if (allowed) {
+      result.domain = allowed;
+    } else {
+      result.matches = false;
+      result.details.push(`Source ${hosts.join(', ') || '(unknown)'} not in allowed hosts`);
+    }
+  }
+
+  if (rule.denyHosts.length) {
+    const denied = hosts.find(host => rule.denyHosts.some(pattern => hostMatches(host, pattern)));
+    if (denied) {
+      result.matches = false;
+      result.details.push(`Source ${denied} is blocked`);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Check whether any enabled rule needs the file content to be sniffed
+ * @param {Array} rules - Validated rules
+ * @returns {boolean} True if sniffing is needed
+ */
+export function rulesNeedSniffing(rules) {
+  return Boolean(rules?.some(rule => rule.enabled && rule.sniffContent));
+}
+
+/**
+ * Find the first enabled rule matching a file.
+ * An empty rule list matches every file.
+ * @param {Array} rules - Validated rules in priority order
+ * @param {Object} file - File descriptor: { filename, url, finalUrl, referrer, mime, detectedType }
+ * @returns {Object} Match result with the matched rule (or null), source domain and details
+ */
+export function findMatchingRule(rules, file) {
+  const result = {
+    matches: false,
+    rule: null,
+    domain: getSourceHosts(file)[0] || null,
+    details: []
+  };
+
+  if (!rules || rules.length === 0) {
+    result.matches = true;
+    return result;
+  }
+
+  for (const rule of rules) {
+    if (!rule.enabled) {
+      result.details.push(`[${rule.name}] disabled`);
+      continue;
+    }
+    if (rule.invalid) {
+      result.details.push(`[${rule.name}] has errors, ignored`);
+      continue;
+    }
+
+    const ruleResult = matchRule(rule, file);
+    if (ruleResult.matches) {
+      result.matches = true;
+      result.rule = rule;
+      result.domain = ruleResult.domain;
+      return result;
+    }
+
+    result.details.push(`[${rule.name}] ${ruleResult.details.join(', ')}`);
+  }
+
+  return result;
+}
+
+/**
+ * Describe the conditions of a rule in plain words
+ * @param {Object} rule - Rule
+ * @returns {string} Description
+ */
+export function describeRule(rule) {
+  const parts = [];
+  if (!hasConditions(rule)) {
+    parts.push('all files');
+  } else if (rule.extensions.length) {
+    parts.push(rule.extensions.map(ext => '.' + ext).join('/') + ' files');
+  } else {
+    parts.push('files');
+  }
+  if (rule.prefix) {
+    parts.push(`starting with "${rule.prefix}"`);
+  }
+  if (rule.contains) {
+    parts.push(`containing "${rule.contains}"`);
+  }
+  if (rule.suffix) {
+    parts.push(`ending with "${rule.suffix}"`);
+  }
+  if (rule.mimeTypes.length) {
+    parts.push(`of type ${rule.mimeTypes.join(', ')}`);
+  }
+  if (rule.pattern) {
+    const kind = rule.patternType === PATTERN_TYPES.REGEX ? 'regex' : 'glob';
+    parts.push(`matching ${kind} ${rule.pattern}`);
+  }
+  if (rule.allowHosts.length) {
+    parts.push(`from ${rule.allowHosts.join(', ')}`);
+  }
+  if (rule.denyHosts.length) {
+    parts.push(`not from ${rule.denyHosts.join(', ')}`);
+  }
+  if (rule.caseSensitive) {
+    parts.push('(case-sensitive)');
+  }
+  if (rule.sniffContent) {
+    parts.push('(type checked from content)');
+  }
+  if (rule.requireApproval) {
+    parts.push('(asks before printing)');
+  }
+  if (rule.expandArchives) {
+    parts.push('(prints the files inside ZIP archives)');
+  }
+  const printOptions = [describePrintOptions(rule.printOptions), describeImageLayout(rule.imageLayout)]
+    .filter(Boolean)
+    .join(', ');
+  if (printOptions) {
+    parts.push(`- prints ${printOptions}`);
+  }
+  return parts.join(' ');
+}
+
+/**
+ * Describe a rule list for the filter preview
+ * @param {Array} rules - Rules
+ * @returns {string} Preview text
+ */
+export function describeRules(rules) {
+  if (!rules || rules.length === 0) {
+    return 'Printing all downloaded files';
+  }
+
+  const enabledRules = rules.filter(rule => rule.enabled);
+  if (enabledRules.length === 0) {
+    return 'All rules are disabled - nothing will be printed';
+  }
+
+  return enabledRules
+    .map((rule, index) => `${index + 1}. ${rule.name}: ${describeRule(rule)}`)
+    .join('\n');
+}
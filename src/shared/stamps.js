@@ -0,0 +1,185 @@
+/**
+ * AutoPrint Extension - Page Stamps
+ * Header, footer and watermark templates stamped onto pages the extension renders.
+ * Templates contain placeholders such as {filename} that are filled in per file.
+ */
+
+/**
+ * Placeholders a template can use, with what they are replaced by
+ */
+export const STAMP_PLACEHOLDERS = {
+  filename: 'Filename',
+  date: 'Download date',
+  time: 'Download time',
+  domain: 'Source domain',
+  rule: 'Matched rule',
+  page: 'Page number (headers and footers)',
+  pages: 'Page count (headers and footers)'
+};
+
+/**
+ * Longest text a header, footer or watermark may have
+ */
+export const MAX_STAMP_LENGTH = 200;
+
+// Placeholders filled in by the printed page itself
+const PAGE_PLACEHOLDERS = ['page', 'pages'];
+
+const PLACEHOLDER_PATTERN = /\{([a-z]+)\}/g;
+
+/**
+ * Generate a unique template identifier
+ * @returns {string} Template ID
+ */
+function generateStampId() {
+  return 'stamp_' + Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+}
+
+/**
+ * Get the template shipped with the extension
+ * @returns {Array<Object>} Default templates
+ */
+export function getDefaultStampTemplates() {
+  return [{
+    id: 'stamp_audit',
+    name: 'Audit',
+    header: '{filename} · downloaded {date} {time}',
+    footer: '{domain} · {rule} · page {page} of {pages}',
+    watermark: 'AUTO-PRINTED'
+  }];
+}
+
+/**
+ * Create a new, empty template
+ * @param {Object} overrides - Fields to set
+ * @returns {Object} Validated template
+ */
+export function createStampTemplate(overrides = {}) {
+  return validateStampTemplate({ id: generateStampId(), name: 'New stamp', ...overrides });
+}
+
+/**
+ * Validate a single template
+ * @param {Object} template - Template to validate
+ * @param {number} index - Position of the template in the list (used for the default name)
+ * @returns {Object} Validated template
+ */
+export function validateStampTemplate(template, index = 0) {
+  const text = (value) => typeof value === 'string' ? value.trim().slice(0, MAX_STAMP_LENGTH) : '';
+
+  return {
+    id: typeof template?.id === 'string' && template.id ? template.id : generateStampId(),
+    name: text(template?.name) || `Stamp ${index + 1}`,
+    header: text(template?.header),
+    footer: text(template?.footer),
+    watermark: text(template?.watermark)
+  };
+}
+
+/**
+ * Validate a list of templates
+ * @param {Array} templates - Templates to validate
+ * @returns {Array} Validated templates
+ */
+export function validateStampTemplates(templates) {
+  if (!Array.isArray(templates)) {
+    return [];
+  }
+  return templates.map((template, index) => validateStampTemplate(template, index));
+}
+
+/**
+ * Find the placeholders in a text that templates do not know
+ * @param {string} text - Template text
+ * @param {boolean} allowPage - Whether {page} and {pages} may be used
+ * @returns {Array<string>} Unknown placeholders, as written
+ */
+function findUnknownPlaceholders(text, allowPage) {
+  return [...text.matchAll(PLACEHOLDER_PATTERN)]
+    .filter(([, name]) => !(name in STAMP_PLACEHOLDERS) || (!allowPage && PAGE_PLACEHOLDERS.includes(name)))
+    .map(([placeholder]) => placeholder);
+}
+
+/**
+ * Check templates for problems that validation cannot fix
+ * @param {Array<Object>} templates - Validated templates
+ * @returns {Array<Object>} Errors as { templateId, field, message }
+ */
+export function getStampTemplateErrors(templates) {
+  const errors = [];
+  for (const template of templates) {
+    for (const field of ['header', 'footer', 'watermark']) {
+      const unknown = findUnknownPlaceholders(template[field], field !== 'watermark');
+      if (unknown.length === 0) continue;
+
+      const pageOnly = unknown.every(placeholder => PAGE_PLACEHOLDERS.includes(placeholder.slice(1, -1)));
+      errors.push({
+        templateId: template.id,
+        field,
+        message: pageOnly
+          ? `Stamp "${template.name}": page numbers can only be used in the header and footer`
+          : `Stamp "${template.name}": ${field} uses unknown placeholder ${unknown.join(', ')}`
+      });
+    }
+  }
+  return errors;
+}
+
+/**
+ * Get the values placeholders are replaced with for a print job
+ * @param {Object} job - Print job (or sample values for a preview)
+ * @returns {Object} Values by placeholder name
+ */
+export function getStampValues(job) {
+  const downloadedAt = job.downloadedAt ? new Date(job.downloadedAt) : new Date();
+  return {
+    filename: job.filename || '',
+    date: downloadedAt.toLocaleDateString(),
+    time: downloadedAt.toLocaleTimeString(),
+    domain: job.domain || '',
+    rule: job.ruleName || ''
+  };
+}
+
+/**
+ * Split a template into literal text and placeholders, with the file's values filled in.
+ * {page} and {pages} are left as parts for the printed page to fill.
+ * @param {string} text - Template text
+ * @param {Object} values - Values from getStampValues()
+ * @returns {Array<Object>} Parts as { text } or { counter: 'page' | 'pages' }
+ */
+export function fillStampTemplate(text, values) {
+  const parts = [];
+  let literal = '';
+  let last = 0;
+
+  for (const match of text.matchAll(PLACEHOLDER_PATTERN)) {
+    const [placeholder, name] = match;
+    literal += text.slice(last, match.index);
+    last = match.index + placeholder.length;
+
+    if (PAGE_PLACEHOLDERS.includes(name)) {
+      parts.push({ text: literal }, { counter: name });
+      literal = '';
+    } else {
+      literal += name in values ? values[name] : placeholder;
+    }
+  }
+
+  parts.push({ text: literal + text.slice(last) });
+  return parts.filter(part => part.counter || part.text);
+}
+
+/**
+ * Find the template a rule stamps its files with
+ * @param {Array<Object>} templates - Templates from the settings
+ * @param {string} templateId - Template ID of the rule; empty for none
+ * @returns {Object|null} Template, or null when the rule does not stamp its files
+ *   or its template has errors
+ */
+export function findStampTemplate(templates, templateId) {
+  if (!templateId) {
+    return null;
+  }
+  return (templates || []).find(template => template.id === templateId && !template.invalid) || null;
+}
@@ -1,9 +1,19 @@
 /**
  * AutoPrint Extension - Storage Manager
- * Handles all chrome.storage operations with cross-browser compatibility
+ * Handles all chrome.storage operations with cross-browser compatibility, and the print
+ * history kept in IndexedDB
  */
 
-import { CONFIG, validateSettings, getDefaultSettings } from './config.js';
+import { CONFIG, validateSettings, validateStoredSettings, getDefaultSettings } from './config.js';
+import {
+  appendHistoryEntry,
+  updateHistoryEntry,
+  putHistoryEntries,
+  getHistoryEntry,
+  getHistoryEntries,
+  queryHistoryEntries,
+  clearHistoryEntries
+} from './history-db.js';
 
 /**
  * Get the storage API (works for Chrome and other browsers)
@@ -20,7 +30,22 @@ function getStorageAPI() {
 }
 
 /**
- * Load settings from storage
+ * Get the storage change event (works for Chrome and other browsers)
+ * @returns {Object} Storage onChanged event
+ */
+function getStorageChangeEvent() {
+  if (typeof chrome !== 'undefined' && chrome.storage) {
+    return chrome.storage.onChanged;
+  }
+  if (typeof browser !== 'undefined' && browser.storage) {
+    return browser.storage.onChanged;
+  }
+  throw new Error('No compatible storage API found');
+}
+
+/**
+ * Load settings from storage. Rules with errors are marked invalid rather than
+ * rejected (see validateStoredSettings()).
  * @returns {Promise<Object>} Current settings
  */
 export async function loadSettings() {
@@ -28,7 +53,7 @@ export async function loadSettings() {
     const storage = getStorageAPI();
     const result = await storage.get(CONFIG.STORAGE_KEYS.SETTINGS);
     const settings = result[CONFIG.STORAGE_KEYS.SETTINGS] || {};
-    return validateSettings(settings);
+    return validateStoredSettings(settings);
   } catch (error) {
     console.error('[AutoPrint] Error loading settings:', error);
     return getDefaultSettings();
@@ -64,68 +89,317 @@ export async function updateSettings(partialSettings) {
   return saveSettings(newSettings);
 }
 
+let historyMigration = null;
+
+/**
+ * Move the print history older versions kept in storage into the history database.
+ * Entries keep their IDs, so a migration repeated by another page changes nothing.
+ * @returns {Promise<void>}
+ */
+function migrateLegacyHistory() {
+  if (!historyMigration) {
+    historyMigration = (async () => {
+      const storage = getStorageAPI();
+      const result = await storage.get(CONFIG.STORAGE_KEYS.PRINT_HISTORY);
+      const legacy = result[CONFIG.STORAGE_KEYS.PRINT_HISTORY];
+      if (legacy === undefined) {
+        return;
+      }
+      
+      if (Array.isArray(legacy) && legacy.length > 0) {
+        // Old IDs were timestamps and can repeat; repeats get a new ID
+        const seen = new Set();
+        const entries = legacy.slice().reverse().map(({ id, ...entry }) => {
+          if (typeof id !== 'number' || seen.has(id)) {
+            return entry;
+          }
+          seen.add(id);
+          return { id, ...entry };
+        });
+        await putHistoryEntries(entries);
+        console.log('[AutoPrint] Moved', entries.length, 'print history entries to the history database');
+      }
+      await storage.remove(CONFIG.STORAGE_KEYS.PRINT_HISTORY);
+    })().catch((error) => {
+      historyMigration = null;
+      throw error;
+    });
+  }
+  return historyMigration;
+}
+
+/**
+ * Tell open extension pages that the print history changed; IndexedDB, unlike
+ * chrome.storage, has no change events
+ */
+function notifyPrintHistoryChange() {
+  if (typeof chrome === 'undefined' || !chrome.runtime?.sendMessage) {
+    return;
+  }
+  chrome.runtime.sendMessage({ type: 'printHistoryChanged' }).catch(() => {
+    // No page is open to listen
+  });
+}
+
 /**
  * Load print history
- * @returns {Promise<Array>} Print history array
+ * @param {Object} filters - Optional filters (search, status, ruleId, from, to; see queryHistoryEntries)
+ * @returns {Promise<Array>} Print history, newest first
+ * @throws {Error} If the history database cannot be read, so callers never mistake it for an empty history
  */
-export async function loadPrintHistory() {
+export async function loadPrintHistory({ search = '', status = '', ruleId = '', from = null, to = null } = {}) {
   try {
-    const storage = getStorageAPI();
-    const result = await storage.get(CONFIG.STORAGE_KEYS.PRINT_HISTORY);
-    return result[CONFIG.STORAGE_KEYS.PRINT_HISTORY] || [];
+    await migrateLegacyHistory();
+    if (!search && !status && !ruleId) {
+      return await getHistoryEntries({ from, to });
+    }
+    const { items } = await queryHistoryEntries({ search, status, ruleId, from, to, limit: Infinity });
+    return items;
   } catch (error) {
     console.error('[AutoPrint] Error loading print history:', error);
-    return [];
+    throw error;
+  }
+}
+
+/**
+ * Load one print history entry
+ * @param {number} id - Entry ID
+ * @returns {Promise<Object|null>} History entry, or null if it was removed
+ */
+export async function loadPrintHistoryEntry(id) {
+  try {
+    await migrateLegacyHistory();
+    return await getHistoryEntry(id);
+  } catch (error) {
+    console.error('[AutoPrint] Error loading print history entry:', error);
+    return null;
+  }
+}
+
+/**
+ * Search, filter, sort and page the print history
+ * @param {Object} query - Query (see queryHistoryEntries)
+ * @returns {Promise<Object>} { items, total }
+ */
+export async function queryPrintHistory(query) {
+  try {
+    await migrateLegacyHistory();
+    return await queryHistoryEntries(query);
+  } catch (error) {
+    console.error('[AutoPrint] Error querying print history:', error);
+    return { items: [], total: 0 };
   }
 }
 
 /**
  * Add item to print history
  * @param {Object} item - History item to add
- * @returns {Promise<void>}
+ * @returns {Promise<Object>} Stored item
  */
 export async function addToPrintHistory(item) {
   try {
+    await migrateLegacyHistory();
     const settings = await loadSettings();
-    const history = await loadPrintHistory();
     
-    const newItem = {
-      id: Date.now(),
+    const stored = await appendHistoryEntry({
       timestamp: new Date().toISOString(),
       ...item
-    };
-    
-    history.unshift(newItem);
-    
-    // Trim history if it exceeds max items
-    while (history.length > settings.maxHistoryItems) {
-      history.pop();
-    }
-    
-    const storage = getStorageAPI();
-    await storage.set({ [CONFIG.STORAGE_KEYS.PRINT_HISTORY]: history });
-    
-    return newItem;
+    }, settings.maxHistoryItems);
+    notifyPrintHistoryChange();
+    return stored;
   } catch (error) {
     console.error('[AutoPrint] Error adding to print history:', error);
     throw error;
   }
 }
 
+/**
+ * Change fields of a print history entry
+ * @param {number} id - Entry ID
+ * @param {Object} changes - Fields to set
+ * @returns {Promise<Object|null>} Updated entry, or null if it was removed
+ */
+export async function updatePrintHistoryEntry(id, changes) {
+  try {
+    await migrateLegacyHistory();
+    const updated = await updateHistoryEntry(id, changes);
+    notifyPrintHistoryChange();
+    return updated;
+  } catch (error) {
+    console.error('[AutoPrint] Error updating print history:', error);
+    throw error;
+  }
+}
+
 /**
  * Clear print history
  * @returns {Promise<void>}
  */
 export async function clearPrintHistory() {
   try {
-    const storage = getStorageAPI();
-    await storage.set({ [CONFIG.STORAGE_KEYS.PRINT_HISTORY]: [] });
+    await migrateLegacyHistory();
+    await clearHistoryEntries();
+    notifyPrintHistoryChange();
   } catch (error) {
     console.error('[AutoPrint] Error clearing print history:', error);
     throw error;
   }
 }
 
+/**
+ * Load the print queue
+ * @returns {Promise<Array>} Print jobs in queue order
+ */
+export async function loadPrintQueue() {
+  try {
+    const storage = getStorageAPI();
+    const result = await storage.get(CONFIG.STORAGE_KEYS.PRINT_QUEUE);
+    return result[CONFIG.STORAGE_KEYS.PRINT_QUEUE] || [];
+  } catch (error) {
+    console.error('[AutoPrint] Error loading print queue:', error);
+    return [];
+  }
+}
+
+/**
+ * Save the print queue
+ * @param {Array} queue - Print jobs in queue order
+ * @returns {Promise<void>}
+ */
+export async function savePrintQueue(queue) {
+  try {
+    const storage = getStorageAPI();
+    await storage.set({ [CONFIG.STORAGE_KEYS.PRINT_QUEUE]: queue });
+  } catch (error) {
+    console.error('[AutoPrint] Error saving print queue:', error);
+    throw error;
+  }
+}
+
+/**
+ * Load the ledger of completed downloads the worker has handled
+ * @returns {Promise<Object>} Ledger: { checkpoint, downloads: { [downloadId]: { state, at } } }
+ */
+export async function loadDownloadLedger() {
+  try {
+    const storage = getStorageAPI();
+    const result = await storage.get(CONFIG.STORAGE_KEYS.DOWNLOAD_LEDGER);
+    return result[CONFIG.STORAGE_KEYS.DOWNLOAD_LEDGER] || { checkpoint: null, downloads: {} };
+  } catch (error) {
+    console.error('[AutoPrint] Error loading download ledger:', error);
+    return { checkpoint: null, downloads: {} };
+  }
+}
+
+/**
+ * Save the download ledger
+ * @param {Object} ledger - Ledger to save
+ * @returns {Promise<void>}
+ */
+export async function saveDownloadLedger(ledger) {
+  try {
+    const storage = getStorageAPI();
+    await storage.set({ [CONFIG.STORAGE_KEYS.DOWNLOAD_LEDGER]: ledger });
+  } catch (error) {
+    console.error('[AutoPrint] Error saving download ledger:', error);
+    throw error;
+  }
+}
+
+/**
+ * Load the files printed recently, used to detect duplicate prints
+ * @returns {Promise<Array>} Recent print fingerprints, oldest first
+ */
+export async function loadRecentPrints() {
+  try {
+    const storage = getStorageAPI();
+    const result = await storage.get(CONFIG.STORAGE_KEYS.RECENT_PRINTS);
+    return result[CONFIG.STORAGE_KEYS.RECENT_PRINTS] || [];
+  } catch (error) {
+    console.error('[AutoPrint] Error loading recent prints:', error);
+    return [];
+  }
+}
+
+/**
+ * Save the recently printed files
+ * @param {Array} prints - Recent print fingerprints
+ * @returns {Promise<void>}
+ */
+export async function saveRecentPrints(prints) {
+  try {
+    const storage = getStorageAPI();
+    await storage.set({ [CONFIG.STORAGE_KEYS.RECENT_PRINTS]: prints });
+  } catch (error) {
+    console.error('[AutoPrint] Error saving recent prints:', error);
+    throw error;
+  }
+}
+
+/**
+ * Load the native host jobs whose final status is still awaited
+ * @returns {Promise<Array>} Tracked host jobs
+ */
+export async function loadHostJobs() {
+  try {
+    const storage = getStorageAPI();
+    const result = await storage.get(CONFIG.STORAGE_KEYS.HOST_JOBS);
+    return result[CONFIG.STORAGE_KEYS.HOST_JOBS] || [];
+  } catch (error) {
+    console.error('[AutoPrint] Error loading host jobs:', error);
+    return [];
+  }
+}
+
+/**
+ * Save the tracked native host jobs
+ * @param {Array} jobs - Tracked host jobs
+ * @returns {Promise<void>}
+ */
+export async function saveHostJobs(jobs) {
+  try {
+    const storage = getStorageAPI();
+    await storage.set({ [CONFIG.STORAGE_KEYS.HOST_JOBS]: jobs });
+  } catch (error) {
+    console.error('[AutoPrint] Error saving host jobs:', error);
+    throw error;
+  }
+}
+
+/**
+ * Listen for print queue changes
+ * @param {Function} callback - Called with the new queue
+ * @returns {Function} Unsubscribe function
+ */
+export function onPrintQueueChange(callback) {
+  const listener = (changes, areaName) => {
+    if (areaName === 'local' && changes[CONFIG.STORAGE_KEYS.PRINT_QUEUE]) {
+      callback(changes[CONFIG.STORAGE_KEYS.PRINT_QUEUE].newValue || []);
+    }
+  };
+  
+  const changeEvent = getStorageChangeEvent();
+  changeEvent.addListener(listener);
+  return () => changeEvent.removeListener(listener);
+}
+
+/**
+ * Listen for print history changes made by other extension pages or the service worker
+ * @param {Function} callback - Called after each change
+ * @returns {Function} Unsubscribe function
+ */
+export function onPrintHistoryChange(callback) {
+  const listener = (message) => {
+    if (message?.type === 'printHistoryChanged') {
+      callback();
+    }
+    return false;
+  };
+  
+  chrome.runtime.onMessage.addListener(listener);
+  return () => chrome.runtime.onMessage.removeListener(listener);
+}
+
 /**
  * Listen for storage changes
  * @param {Function} callback - Callback function for changes
@@ -134,7 +408,7 @@ export async function clearPrintHistory() {
 export function onSettingsChange(callback) {
   const listener = (changes, areaName) => {
     if (areaName === 'local' && changes[CONFIG.STORAGE_KEYS.SETTINGS]) {
-      const newSettings = validateSettings(changes[CONFIG.STORAGE_KEYS.SETTINGS].newValue);
+      const newSettings = validateStoredSettings(changes[CONFIG.STORAGE_KEYS.SETTINGS].newValue);
       callback(newSettings);
     }
   };
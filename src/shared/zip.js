@@ -0,0 +1,176 @@
+/**
+ * AutoPrint Extension - ZIP Reader
+ * Minimal reader for ZIP packages (stored and deflated entries), used for office
+ * documents and archives. Decompression uses the browser's DecompressionStream.
+ */
+
+// Record signatures
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+// Compression methods
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+
+// The end record is 22 bytes plus a comment of up to 65535 bytes
+const MAX_END_RECORD_SEARCH = 22 + 0xFFFF;
+
+/**
+ * Error thrown for files that are not ZIP packages or use unsupported ZIP features
+ */
+export class ZipError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ZipError';
+  }
+}
+
+/**
+ * Find the end of central directory record
+ * @param {DataView} view - File data
+ * @returns {number} Offset of the record
+ * @throws {ZipError} If the file is not a ZIP package
+ */
+function findEndRecord(view) {
+  const stop = Math.max(0, view.byteLength - MAX_END_RECORD_SEARCH);
+  for (let offset = view.byteLength - 22; offset >= stop; offset--) {
+    if (view.getUint32(offset, true) === END_OF_CENTRAL_DIRECTORY) {
+      return offset;
+    }
+  }
+  throw new ZipError('Not a ZIP file');
+}
+
+/**
+ * Decompress raw deflate data, stopping as soon as it grows beyond the size the
+ * directory declared (so a forged entry cannot fill memory)
+ * @param {Uint8Array} data - Compressed bytes
+ * @param {number} size - Declared uncompressed size
+ * @param {string} name - Entry path, for errors
+ * @returns {Promise<Uint8Array>} Decompressed bytes
+ * @throws {ZipError} If the data is larger than declared
+ */
+async function inflate(data, size, name) {
+  const reader = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw')).getReader();
+  const chunks = [];
+  let length = 0;
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) {
+      break;
+    }
+    length += value.length;
+    if (length > size) {
+      await reader.cancel();
+      throw new ZipError(`"${name}" is larger than the archive says`);
+    }
+    chunks.push(value);
+  }
+
+  const result = new Uint8Array(length);
+  let offset = 0;
+  for (const chunk of chunks) {
+    result.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return result;
+}
+
+/**
+ * Open a ZIP package
+ * @param {ArrayBuffer|Uint8Array} content - File content
+ * @returns {Object} Package with entries ({ name, size, compressedSize, directory }),
+ *   has(name), read(name) and readText(name)
+ * @throws {ZipError} If the file is not a ZIP package or uses ZIP64
+ */
+export function openZip(content) {
+  const bytes = content instanceof Uint8Array ? content : new Uint8Array(content);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const decoder = new TextDecoder('utf-8');
+
+  if (bytes.byteLength < 22) {
+    throw new ZipError('Not a ZIP file');
+  }
+
+  const end = findEndRecord(view);
+  const count = view.getUint16(end + 10, true);
+  let offset = view.getUint32(end + 16, true);
+  if (count === 0xFFFF || offset === 0xFFFFFFFF) {
+    throw new ZipError('ZIP64 archives are not supported');
+  }
+
+  const entries = [];
+  const byName = new Map();
+
+  for (let i = 0; i < count; i++) {
+    if (offset + 46 > bytes.byteLength || view.getUint32(offset, true) !== CENTRAL_DIRECTORY_HEADER) {
+      throw new ZipError('Damaged ZIP directory');
+    }
+
+    const nameLength = view.getUint16(offset + 28, true);
+    const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+    const entry = {
+      name,
+      size: view.getUint32(offset + 24, true),
+      compressedSize: view.getUint32(offset + 20, true),
+      directory: name.endsWith('/'),
+      encrypted: (view.getUint16(offset + 8, true) & 0x1) !== 0,
+      method: view.getUint16(offset + 10, true),
+      headerOffset: view.getUint32(offset + 42, true)
+    };
+
+    entries.push(entry);
+    byName.set(name, entry);
+    offset += 46 + nameLength + view.getUint16(offset + 30, true) + view.getUint16(offset + 32, true);
+  }
+
+  /**
+   * Read an entry's content
+   * @param {string} name - Entry path
+   * @returns {Promise<Uint8Array|null>} Content, or null if there is no such entry
+   * @throws {ZipError} If the entry is encrypted or compressed with an unsupported method
+   */
+  async function read(name) {
+    const entry = byName.get(name);
+    if (!entry) {
+      return null;
+    }
+    if (entry.encrypted) {
+      throw new ZipError(`"${name}" is encrypted`);
+    }
+
+    const header = entry.headerOffset;
+    if (view.getUint32(header, true) !== LOCAL_FILE_HEADER) {
+      throw new ZipError(`Damaged ZIP entry "${name}"`);
+    }
+    const start = header + 30 + view.getUint16(header + 26, true) + view.getUint16(header + 28, true);
+    const data = bytes.subarray(start, start + entry.compressedSize);
+
+    if (entry.method === METHOD_STORED) {
+      return data;
+    }
+    if (entry.method === METHOD_DEFLATE) {
+      return inflate(data, entry.size, name);
+    }
+    throw new ZipError(`"${name}" uses an unsupported compression method (${entry.method})`);
+  }
+
+  /**
+   * Read an entry as UTF-8 text
+   * @param {string} name - Entry path
+   * @returns {Promise<string|null>} Text, or null if there is no such entry
+   */
+  async function readText(name) {
+    const data = await read(name);
+    return data ? decoder.decode(data) : null;
+  }
+
+  return {
+    entries: entries.map(({ name, size, compressedSize, directory }) => ({ name, size, compressedSize, directory })),
+    has: name => byName.has(name),
+    read,
+    readText
+  };
+}
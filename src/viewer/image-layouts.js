@@ -0,0 +1,116 @@
+/**
+ * AutoPrint Extension - Image Layouts
+ * Lays images out on paper: one per page fitted or at actual size, several per sheet,
+ * or as a contact sheet of captioned thumbnails
+ */
+
+import { IMAGE_LAYOUTS, getImagesPerLayout } from '../shared/rules.js';
+
+/**
+ * Create an element with a class
+ * @param {string} tag - Tag name
+ * @param {string} className - Class name
+ * @returns {HTMLElement} Element
+ */
+function createElement(tag, className) {
+  const element = document.createElement(tag);
+  element.className = className;
+  return element;
+}
+
+/**
+ * Split a list into chunks
+ * @param {Array} items - Items
+ * @param {number} size - Chunk size
+ * @returns {Array<Array>} Chunks in order
+ */
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+/**
+ * Put each image on its own page
+ * @param {Array<Object>} images - Images as { image, filename }
+ * @param {boolean} actualSize - Keep the image's own size instead of fitting it to the page
+ * @returns {Array<HTMLElement>} Pages
+ */
+function renderPages(images, actualSize) {
+  return images.map(({ image }) => {
+    const page = createElement('div', `image-page ${actualSize ? 'image-actual' : 'image-fit'}`);
+    if (actualSize) {
+      image.style.width = `${image.naturalWidth}px`;
+    }
+    page.appendChild(image);
+    return page;
+  });
+}
+
+/**
+ * Put several images on each sheet, in a grid of equal cells
+ * @param {Array<Object>} images - Images as { image, filename }
+ * @param {number} perSheet - Images per sheet (2 or 4)
+ * @returns {Array<HTMLElement>} Sheets
+ */
+function renderSheets(images, perSheet) {
+  return chunk(images, perSheet).map((sheetImages) => {
+    const sheet = createElement('div', `image-page image-sheet image-sheet-${perSheet}`);
+    for (const { image } of sheetImages) {
+      const cell = createElement('div', 'image-cell');
+      cell.appendChild(image);
+      sheet.appendChild(cell);
+    }
+    return sheet;
+  });
+}
+
+/**
+ * Put the images on a contact sheet: thumbnails with their filenames
+ * @param {Array<Object>} images - Images as { image, filename }
+ * @returns {HTMLElement} Contact sheet
+ */
+function renderContactSheet(images) {
+  const sheet = createElement('div', 'contact-sheet');
+  for (const { image, filename } of images) {
+    const figure = createElement('figure', 'contact-item');
+    const caption = createElement('figcaption', 'contact-caption');
+    caption.textContent = filename;
+    figure.appendChild(image);
+    figure.appendChild(caption);
+    sheet.appendChild(figure);
+  }
+  return sheet;
+}
+
+/**
+ * Lay loaded images out for printing
+ * @param {Array<Object>} images - Decoded images in print order, as { image, filename }
+ * @param {string|null} layout - Image layout from the matched rule; fit to page when not set
+ * @returns {HTMLElement} Laid out document
+ */
+export function renderImageLayout(images, layout) {
+  const container = createElement('div', 'image-layout');
+  let pages;
+
+  switch (layout) {
+    case IMAGE_LAYOUTS.ACTUAL_SIZE:
+      pages = renderPages(images, true);
+      break;
+    case IMAGE_LAYOUTS.TWO_UP:
+    case IMAGE_LAYOUTS.FOUR_UP:
+      pages = renderSheets(images, getImagesPerLayout(layout));
+      break;
+    case IMAGE_LAYOUTS.CONTACT_SHEET:
+      pages = [renderContactSheet(images)];
+      break;
+    default:
+      pages = renderPages(images, false);
+      break;
+  }
+
+  pages.forEach(page => container.appendChild(page));
+  return container;
+}
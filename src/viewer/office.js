@@ -0,0 +1,1048 @@
+/**
+ * AutoPrint Extension - Office Document Converters
+ * Converts Word/Excel (DOCX, XLSX) and OpenDocument (ODT, ODS) packages to printable HTML.
+ * Paragraphs, headings, lists, tables, images and sheet cells are kept; features that
+ * cannot be shown are reported as conversion warnings.
+ */
+
+import { openZip, ZipError } from '../shared/zip.js';
+
+// XML namespaces
+const NS = {
+  W: 'http://schemas.openxmlformats.org/wordprocessingml/2006/main',
+  R: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships',
+  A: 'http://schemas.openxmlformats.org/drawingml/2006/main',
+  S: 'http://schemas.openxmlformats.org/spreadsheetml/2006/main',
+  PR: 'http://schemas.openxmlformats.org/package/2006/relationships',
+  TEXT: 'urn:oasis:names:tc:opendocument:xmlns:text:1.0',
+  TABLE: 'urn:oasis:names:tc:opendocument:xmlns:table:1.0',
+  OFFICE: 'urn:oasis:names:tc:opendocument:xmlns:office:1.0',
+  DRAW: 'urn:oasis:names:tc:opendocument:xmlns:drawing:1.0',
+  XLINK: 'http://www.w3.org/1999/xlink'
+};
+
+// Office formats by extension and by MIME type
+const OFFICE_EXTENSIONS = ['docx', 'xlsx', 'odt', 'ods'];
+
+const OFFICE_TYPES = {
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'xlsx',
+  'application/vnd.oasis.opendocument.text': 'odt',
+  'application/vnd.oasis.opendocument.spreadsheet': 'ods'
+};
+
+// Sheets are cut off after this many rows and columns to keep the page responsive
+const MAX_SHEET_ROWS = 5000;
+const MAX_SHEET_COLUMNS = 100;
+
+// Built-in Excel number formats that show dates
+const EXCEL_DATE_FORMATS = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 45, 46, 47]);
+
+// Image types by file extension, for images embedded in packages
+const IMAGE_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  bmp: 'image/bmp',
+  svg: 'image/svg+xml',
+  webp: 'image/webp'
+};
+
+/**
+ * Get the office format of a file
+ * @param {Object} file - File details: { filename, mime, detectedType }
+ * @returns {string|null} 'docx', 'xlsx', 'odt' or 'ods', or null if it is not a supported office file
+ */
+export function getOfficeFormat({ filename, mime, detectedType }) {
+  const match = /\.([^./\\]+)$/.exec(filename || '');
+  const extension = match ? match[1].toLowerCase() : '';
+  if (OFFICE_EXTENSIONS.includes(extension)) {
+    return extension;
+  }
+  return OFFICE_TYPES[(detectedType || mime || '').split(';')[0].trim().toLowerCase()] || null;
+}
+
+/**
+ * Parse an XML part of a package
+ * @param {Object} zip - Package from openZip()
+ * @param {string} path - Part path
+ * @returns {Promise<Document|null>} Parsed XML, or null if the part is missing or malformed
+ */
+async function readXml(zip, path) {
+  const text = await zip.readText(path);
+  if (text === null) {
+    return null;
+  }
+  const xml = new DOMParser().parseFromString(text, 'application/xml');
+  return xml.getElementsByTagName('parsererror').length > 0 ? null : xml;
+}
+
+/**
+ * Get the child elements of a node in a namespace
+ * @param {Element} node - Parent
+ * @param {string} namespace - Namespace URI
+ * @param {string} localName - Element name; omit for all elements in the namespace
+ * @returns {Array<Element>} Children
+ */
+function children(node, namespace, localName) {
+  return [...node.children].filter(child =>
+    child.namespaceURI === namespace && (!localName || child.localName === localName));
+}
+
+/**
+ * Get the first child element of a node in a namespace
+ * @param {Element} node - Parent
+ * @param {string} namespace - Namespace URI
+ * @param {string} localName - Element name
+ * @returns {Element|null} Child
+ */
+function child(node, namespace, localName) {
+  return children(node, namespace, localName)[0] || null;
+}
+
+/**
+ * Resolve a package-relative path
+ * @param {string} base - Path of the part the reference is in
+ * @param {string} target - Referenced path
+ * @returns {string} Path inside the package
+ */
+function resolvePath(base, target) {
+  if (target.startsWith('/')) {
+    return target.slice(1);
+  }
+  const parts = base.split('/').slice(0, -1);
+  for (const part of target.split('/')) {
+    if (part === '..') {
+      parts.pop();
+    } else if (part !== '.') {
+      parts.push(part);
+    }
+  }
+  return parts.join('/');
+}
+
+/**
+ * Read the relationships of an OOXML part
+ * @param {Object} zip - Package
+ * @param {string} partPath - Part path, e.g. word/document.xml
+ * @returns {Promise<Map<string,string>>} Relationship ID to package path
+ */
+async function readRelationships(zip, partPath) {
+  const slash = partPath.lastIndexOf('/');
+  const relsPath = `${partPath.slice(0, slash + 1)}_rels/${partPath.slice(slash + 1)}.rels`;
+  const xml = await readXml(zip, relsPath);
+  const relationships = new Map();
+  if (!xml) {
+    return relationships;
+  }
+
+  for (const rel of xml.getElementsByTagNameNS(NS.PR, 'Relationship')) {
+    if (rel.getAttribute('TargetMode') !== 'External') {
+      relationships.set(rel.getAttribute('Id'), resolvePath(partPath, rel.getAttribute('Target')));
+    }
+  }
+  return relationships;
+}
+
+/**
+ * Create an image element for a picture stored in the package
+ * @param {Object} zip - Package
+ * @param {string} path - Picture path
+ * @param {Set<string>} warnings - Conversion warnings
+ * @returns {Promise<HTMLElement|null>} Image, or null if the picture cannot be shown
+ */
+async function createImage(zip, path, warnings) {
+  const extension = path.split('.').pop().toLowerCase();
+  const data = path ? await zip.read(path) : null;
+  if (!data || !IMAGE_TYPES[extension]) {
+    warnings.add(`Some images could not be shown (${extension ? extension.toUpperCase() : 'missing'})`);
+    return null;
+  }
+
+  const image = document.createElement('img');
+  image.src = URL.createObjectURL(new Blob([data], { type: IMAGE_TYPES[extension] }));
+  return image;
+}
+
+/**
+ * Append a text node to an element
+ * @param {HTMLElement} parent - Element
+ * @param {string} text - Text
+ */
+function appendText(parent, text) {
+  parent.appendChild(document.createTextNode(text));
+}
+
+// --- DOCX -----------------------------------------------------------------
+
+/**
+ * Convert a Word run (w:r) to inline HTML
+ * @param {Element} run - Run
+ * @param {Object} context - { zip, relationships, warnings }
+ * @returns {Promise<HTMLElement>} Inline element
+ */
+async function convertDocxRun(run, context) {
+  const properties = child(run, NS.W, 'rPr');
+  let target = document.createElement('span');
+  const outer = target;
+
+  const wrap = (tag) => {
+    const element = document.createElement(tag);
+    target.appendChild(element);
+    target = element;
+  };
+
+  const isOn = (name) => {
+    const flag = properties && child(properties, NS.W, name);
+    return Boolean(flag) && !['0', 'false'].includes(flag.getAttributeNS(NS.W, 'val'));
+  };
+
+  if (isOn('b')) wrap('strong');
+  if (isOn('i')) wrap('em');
+  const underline = properties && child(properties, NS.W, 'u');
+  if (underline && underline.getAttributeNS(NS.W, 'val') !== 'none') wrap('u');
+  if (isOn('strike')) wrap('s');
+  const vertical = properties && child(properties, NS.W, 'vertAlign')?.getAttributeNS(NS.W, 'val');
+  if (vertical === 'superscript') wrap('sup');
+  if (vertical === 'subscript') wrap('sub');
+
+  for (const node of run.children) {
+    if (node.namespaceURI === NS.W) {
+      switch (node.localName) {
+        case 't':
+          appendText(target, node.textContent);
+          break;
+        case 'tab':
+          appendText(target, '\t');
+          break;
+        case 'br':
+        case 'cr':
+          target.appendChild(document.createElement('br'));
+          break;
+        case 'noBreakHyphen':
+          appendText(target, '‑');
+          break;
+        case 'drawing':
+        case 'pict':
+          await appendDocxDrawing(target, node, context);
+          break;
+        case 'rPr':
+        case 'lastRenderedPageBreak':
+          break;
+        case 'footnoteReference':
+        case 'endnoteReference':
+          context.warnings.add('Footnotes and endnotes are not printed');
+          break;
+        default:
+          context.warnings.add(`Some content was left out (${node.localName})`);
+      }
+    } else if (node.localName === 'AlternateContent') {
+      // Use the fallback of newer drawing features
+      const fallback = [...node.children].find(item => item.localName === 'Fallback');
+      if (fallback) {
+        for (const item of fallback.children) {
+          await appendDocxDrawing(target, item, context);
+        }
+      }
+    }
+  }
+
+  return outer;
+}
+
+/**
+ * Append the pictures of a drawing
+ * @param {HTMLElement} parent - Element to append to
+ * @param {Element} drawing - w:drawing or w:pict element
+ * @param {Object} context - { zip, relationships, warnings }
+ */
+async function appendDocxDrawing(parent, drawing, context) {
+  const blips = [...drawing.getElementsByTagNameNS(NS.A, 'blip')];
+  const legacy = [...drawing.getElementsByTagNameNS('urn:schemas-microsoft-com:vml', 'imagedata')];
+
+  if (blips.length === 0 && legacy.length === 0) {
+    context.warnings.add('Shapes, charts and text boxes are not printed');
+    return;
+  }
+
+  for (const blip of [...blips, ...legacy]) {
+    const id = blip.getAttributeNS(NS.R, 'embed') || blip.getAttributeNS(NS.R, 'id');
+    const image = await createImage(context.zip, context.relationships.get(id) || '', context.warnings);
+    if (image) {
+      image.className = 'office-image';
+      parent.appendChild(image);
+    }
+  }
+}
+
+/**
+ * Convert the inline content of a paragraph (runs, hyperlinks, tracked insertions)
+ * @param {HTMLElement} parent - Element to append to
+ * @param {Element} node - Paragraph or inline container
+ * @param {Object} context - { zip, relationships, warnings }
+ */
+async function appendDocxInline(parent, node, context) {
+  for (const item of children(node, NS.W)) {
+    switch (item.localName) {
+      case 'r':
+        parent.appendChild(await convertDocxRun(item, context));
+        break;
+      case 'hyperlink':
+      case 'ins':
+      case 'smartTag':
+      case 'fldSimple':
+        await appendDocxInline(parent, item, context);
+        break;
+      case 'sdt': {
+        const content = child(item, NS.W, 'sdtContent');
+        if (content) {
+          await appendDocxInline(parent, content, context);
+        }
+        break;
+      }
+      case 'del':
+        context.warnings.add('Tracked deletions are not printed');
+        break;
+      case 'pPr':
+      case 'bookmarkStart':
+      case 'bookmarkEnd':
+      case 'proofErr':
+      case 'commentRangeStart':
+      case 'commentRangeEnd':
+        break;
+      default:
+        context.warnings.add(`Some content was left out (${item.localName})`);
+    }
+  }
+}
+
+/**
+ * Convert a Word paragraph to a heading, list item or paragraph
+ * @param {Element} paragraph - w:p element
+ * @param {Object} context - { zip, relationships, warnings, styles }
+ * @returns {Promise<HTMLElement>} Block element
+ */
+async function convertDocxParagraph(paragraph, context) {
+  const properties = child(paragraph, NS.W, 'pPr');
+  const styleId = properties && child(properties, NS.W, 'pStyle')?.getAttributeNS(NS.W, 'val');
+  const styleName = (context.styles.get(styleId) || styleId || '').toLowerCase();
+  const headingLevel = /^heading\s*(\d)$/.exec(styleName)?.[1] || (styleName === 'title' ? '1' : null);
+  const listLevel = properties && child(properties, NS.W, 'numPr')
+    ? Number(child(child(properties, NS.W, 'numPr'), NS.W, 'ilvl')?.getAttributeNS(NS.W, 'val') || 0)
+    : null;
+
+  let block;
+  if (headingLevel) {
+    block = document.createElement(`h${Math.min(Number(headingLevel), 6)}`);
+  } else if (listLevel !== null) {
+    // Numbering definitions are not read, so every list is shown with bullets
+    block = document.createElement('p');
+    block.className = 'office-list-item';
+    block.style.marginLeft = `${(listLevel + 1) * 1.5}em`;
+    context.warnings.add('List numbering is shown as bullets');
+  } else {
+    block = document.createElement('p');
+  }
+
+  const alignment = properties && child(properties, NS.W, 'jc')?.getAttributeNS(NS.W, 'val');
+  if (alignment === 'center' || alignment === 'right') {
+    block.style.textAlign = alignment;
+  } else if (alignment === 'both') {
+    block.style.textAlign = 'justify';
+  }
+
+  await appendDocxInline(block, paragraph, context);
+  if (!block.textContent && !block.querySelector('img')) {
+    block.appendChild(document.createElement('br'));
+  }
+  return block;
+}
+
+/**
+ * Convert a Word table
+ * @param {Element} table - w:tbl element
+ * @param {Object} context - { zip, relationships, warnings, styles }
+ * @returns {Promise<HTMLElement>} Table
+ */
+async function convertDocxTable(table, context) {
+  const result = document.createElement('table');
+  result.className = 'office-table';
+
+  for (const row of children(table, NS.W, 'tr')) {
+    const tr = result.insertRow();
+    for (const cell of children(row, NS.W, 'tc')) {
+      const properties = child(cell, NS.W, 'tcPr');
+      const merge = properties && child(properties, NS.W, 'vMerge');
+      if (merge && merge.getAttributeNS(NS.W, 'val') !== 'restart') {
+        // Continuation of a vertically merged cell
+        context.warnings.add('Vertically merged table cells are shown separately');
+        tr.insertCell();
+        continue;
+      }
+
+      const td = tr.insertCell();
+      const span = Number(properties && child(properties, NS.W, 'gridSpan')?.getAttributeNS(NS.W, 'val'));
+      if (span > 1) {
+        td.colSpan = span;
+      }
+      await appendDocxBlocks(td, cell, context);
+    }
+  }
+  return result;
+}
+
+/**
+ * Convert the block content of a body, table cell or content control
+ * @param {HTMLElement} parent - Element to append to
+ * @param {Element} node - Container element
+ * @param {Object} context - { zip, relationships, warnings, styles }
+ */
+async function appendDocxBlocks(parent, node, context) {
+  for (const item of children(node, NS.W)) {
+    switch (item.localName) {
+      case 'p':
+        parent.appendChild(await convertDocxParagraph(item, context));
+        break;
+      case 'tbl':
+        parent.appendChild(await convertDocxTable(item, context));
+        break;
+      case 'sdt': {
+        const content = child(item, NS.W, 'sdtContent');
+        if (content) {
+          await appendDocxBlocks(parent, content, context);
+        }
+        break;
+      }
+      case 'sectPr':
+      case 'tcPr':
+      case 'bookmarkStart':
+      case 'bookmarkEnd':
+        break;
+      default:
+        context.warnings.add(`Some content was left out (${item.localName})`);
+    }
+  }
+}
+
+/**
+ * Read the style names of a Word document, used to recognize headings
+ * @param {Object} zip - Package
+ * @returns {Promise<Map<string,string>>} Style ID to style name
+ */
+async function readDocxStyles(zip) {
+  const styles = new Map();
+  const xml = await readXml(zip, 'word/styles.xml');
+  if (xml) {
+    for (const style of xml.getElementsByTagNameNS(NS.W, 'style')) {
+      const name = child(style, NS.W, 'name')?.getAttributeNS(NS.W, 'val');
+      if (name) {
+        styles.set(style.getAttributeNS(NS.W, 'styleId'), name);
+      }
+    }
+  }
+  return styles;
+}
+
+/**
+ * Convert a DOCX package
+ * @param {Object} zip - Package
+ * @param {Set<string>} warnings - Conversion warnings
+ * @returns {Promise<HTMLElement>} Document
+ */
+async function convertDocx(zip, warnings) {
+  const xml = await readXml(zip, 'word/document.xml');
+  const body = xml && xml.getElementsByTagNameNS(NS.W, 'body')[0];
+  if (!body) {
+    throw new Error('The document has no readable content');
+  }
+
+  const context = {
+    zip,
+    warnings,
+    relationships: await readRelationships(zip, 'word/document.xml'),
+    styles: await readDocxStyles(zip)
+  };
+
+  if (zip.entries.some(entry => /^word\/(header|footer)\d*\.xml$/.test(entry.name))) {
+    warnings.add('Page headers and footers are not printed');
+  }
+  if (zip.has('word/comments.xml')) {
+    warnings.add('Comments are not printed');
+  }
+
+  const result = document.createElement('article');
+  result.className = 'office-document';
+  await appendDocxBlocks(result, body, context);
+  return result;
+}
+
+// --- XLSX -----------------------------------------------------------------
+
+/**
+ * Convert a column reference ("A", "AB") to a zero-based index
+ * @param {string} letters - Column letters
+ * @returns {number} Column index
+ */
+function columnIndex(letters) {
+  let index = 0;
+  for (const letter of letters) {
+    index = index * 26 + (letter.charCodeAt(0) - 64);
+  }
+  return index - 1;
+}
+
+/**
+ * Convert an Excel date serial number to a readable date
+ * @param {number} serial - Days since 1899-12-30 (fraction is the time of day)
+ * @returns {string} Date text
+ */
+function excelDateToText(serial) {
+  const date = new Date(Date.UTC(1899, 11, 30) + Math.round(serial * 86400000));
+  const hasTime = serial % 1 !== 0;
+  return hasTime
+    ? date.toISOString().slice(0, 16).replace('T', ' ')
+    : date.toISOString().slice(0, 10);
+}
+
+/**
+ * Read the shared strings of a workbook
+ * @param {Object} zip - Package
+ * @returns {Promise<Array<string>>} Strings by index
+ */
+async function readSharedStrings(zip) {
+  const xml = await readXml(zip, 'xl/sharedStrings.xml');
+  if (!xml) {
+    return [];
+  }
+  return [...xml.getElementsByTagNameNS(NS.S, 'si')].map(item =>
+    [...item.getElementsByTagNameNS(NS.S, 't')]
+      .filter(text => text.parentNode.localName !== 'rPh')
+      .map(text => text.textContent)
+      .join(''));
+}
+
+/**
+ * Find which cell styles of a workbook show dates
+ * @param {Object} zip - Package
+ * @returns {Promise<Set<number>>} Indexes of date cell styles
+ */
+async function readDateStyles(zip) {
+  const dateStyles = new Set();
+  const xml = await readXml(zip, 'xl/styles.xml');
+  if (!xml) {
+    return dateStyles;
+  }
+
+  const customDates = new Set();
+  for (const format of xml.getElementsByTagNameNS(NS.S, 'numFmt')) {
+    // Date codes use d, m or y outside of quoted text and brackets
+    const code = format.getAttribute('formatCode').replace(/"[^"]*"|\[[^\]]*\]/g, '');
+    if (/[dy]|m(?!ss)/i.test(code) && !/0\.0|#/.test(code)) {
+      customDates.add(Number(format.getAttribute('numFmtId')));
+    }
+  }
+
+  const cellFormats = xml.getElementsByTagNameNS(NS.S, 'cellXfs')[0];
+  if (cellFormats) {
+    children(cellFormats, NS.S, 'xf').forEach((format, index) => {
+      const id = Number(format.getAttribute('numFmtId'));
+      if (EXCEL_DATE_FORMATS.has(id) || customDates.has(id)) {
+        dateStyles.add(index);
+      }
+    });
+  }
+  return dateStyles;
+}
+
+/**
+ * Get the displayed text of a worksheet cell
+ * @param {Element} cell - c element
+ * @param {Object} context - { sharedStrings, dateStyles, warnings }
+ * @returns {string} Cell text
+ */
+function getXlsxCellText(cell, context) {
+  const type = cell.getAttribute('t');
+  const value = child(cell, NS.S, 'v')?.textContent ?? '';
+
+  switch (type) {
+    case 's':
+      return context.sharedStrings[Number(value)] ?? '';
+    case 'inlineStr':
+      return [...cell.getElementsByTagNameNS(NS.S, 't')].map(text => text.textContent).join('');
+    case 'b':
+      return value === '1' ? 'TRUE' : 'FALSE';
+    case 'e':
+    case 'str':
+      return value;
+    default:
+      if (value === '' && child(cell, NS.S, 'f')) {
+        context.warnings.add('Some formulas have no saved result and are shown empty');
+      }
+      if (value !== '' && context.dateStyles.has(Number(cell.getAttribute('s')))) {
+        return excelDateToText(Number(value));
+      }
+      return value;
+  }
+}
+
+/**
+ * Build a table from a grid of cell texts
+ * @param {Array<Array<string>>} grid - Rows of cell texts
+ * @returns {HTMLElement} Table
+ */
+function createSheetTable(grid) {
+  const table = document.createElement('table');
+  table.className = 'office-table office-sheet';
+  const columns = Math.max(0, ...grid.map(row => row.length));
+
+  for (const row of grid) {
+    const tr = table.insertRow();
+    for (let i = 0; i < columns; i++) {
+      const td = tr.insertCell();
+      td.textContent = row[i] ?? '';
+      if (/^-?[\d.,]+%?$/.test(td.textContent)) {
+        td.className = 'office-number';
+      }
+    }
+  }
+  return table;
+}
+
+/**
+ * Create the heading and table of a sheet
+ * @param {string} name - Sheet name
+ * @param {Array<Array<string>>} grid - Rows of cell texts
+ * @returns {HTMLElement} Sheet section
+ */
+function createSheetSection(name, grid) {
+  const section = document.createElement('section');
+  section.className = 'office-sheet-section';
+  const heading = document.createElement('h2');
+  heading.textContent = name;
+  section.appendChild(heading);
+
+  if (grid.some(row => row.some(Boolean))) {
+    section.appendChild(createSheetTable(grid));
+  } else {
+    const empty = document.createElement('p');
+    empty.textContent = '(empty sheet)';
+    section.appendChild(empty);
+  }
+  return section;
+}
+
+/**
+ * Remove trailing empty rows and columns from a sheet grid
+ * @param {Array<Array<string>>} grid - Rows of cell texts (mutated)
+ * @returns {Array<Array<string>>} Trimmed grid
+ */
+function trimGrid(grid) {
+  for (const row of grid) {
+    while (row.length > 0 && !row[row.length - 1]) {
+      row.pop();
+    }
+  }
+  while (grid.length > 0 && grid[grid.length - 1].length === 0) {
+    grid.pop();
+  }
+  return grid;
+}
+
+/**
+ * Convert an XLSX package, one table per sheet
+ * @param {Object} zip - Package
+ * @param {Set<string>} warnings - Conversion warnings
+ * @returns {Promise<HTMLElement>} Document
+ */
+async function convertXlsx(zip, warnings) {
+  const workbook = await readXml(zip, 'xl/workbook.xml');
+  if (!workbook) {
+    throw new Error('The workbook has no readable content');
+  }
+
+  const relationships = await readRelationships(zip, 'xl/workbook.xml');
+  const context = {
+    warnings,
+    sharedStrings: await readSharedStrings(zip),
+    dateStyles: await readDateStyles(zip)
+  };
+
+  const result = document.createElement('article');
+  result.className = 'office-document';
+
+  for (const sheet of workbook.getElementsByTagNameNS(NS.S, 'sheet')) {
+    if (sheet.getAttribute('state') === 'hidden' || sheet.getAttribute('state') === 'veryHidden') {
+      warnings.add('Hidden sheets are not printed');
+      continue;
+    }
+
+    const path = relationships.get(sheet.getAttributeNS(NS.R, 'id'));
+    const xml = path && await readXml(zip, path);
+    if (!xml) {
+      warnings.add(`Sheet "${sheet.getAttribute('name')}" could not be read`);
+      continue;
+    }
+
+    const grid = [];
+    for (const row of xml.getElementsByTagNameNS(NS.S, 'row')) {
+      const rowIndex = Number(row.getAttribute('r') || grid.length + 1) - 1;
+      if (rowIndex >= MAX_SHEET_ROWS) {
+        warnings.add(`Only the first ${MAX_SHEET_ROWS} rows of each sheet are printed`);
+        break;
+      }
+
+      const cells = [];
+      for (const cell of children(row, NS.S, 'c')) {
+        const reference = /^([A-Z]+)/.exec(cell.getAttribute('r') || '');
+        const index = reference ? columnIndex(reference[1]) : cells.length;
+        if (index >= MAX_SHEET_COLUMNS) {
+          warnings.add(`Only the first ${MAX_SHEET_COLUMNS} columns of each sheet are printed`);
+          continue;
+        }
+        cells[index] = getXlsxCellText(cell, context);
+      }
+      grid[rowIndex] = Array.from(cells, value => value ?? '');
+    }
+
+    if (xml.getElementsByTagNameNS(NS.S, 'mergeCell').length > 0) {
+      warnings.add('Merged cells are shown unmerged');
+    }
+    if (xml.getElementsByTagNameNS(NS.S, 'drawing').length > 0) {
+      warnings.add('Charts and pictures in sheets are not printed');
+    }
+
+    result.appendChild(createSheetSection(sheet.getAttribute('name'), trimGrid(Array.from(grid, row => row || []))));
+  }
+  return result;
+}
+
+// --- ODT / ODS ------------------------------------------------------------
+
+/**
+ * Convert the inline content of an OpenDocument paragraph or heading
+ * @param {HTMLElement} parent - Element to append to
+ * @param {Element} node - Paragraph, heading or span
+ * @param {Object} context - { zip, warnings }
+ */
+async function appendOdfInline(parent, node, context) {
+  for (const item of node.childNodes) {
+    if (item.nodeType === Node.TEXT_NODE) {
+      appendText(parent, item.nodeValue);
+      continue;
+    }
+    if (item.nodeType !== Node.ELEMENT_NODE) {
+      continue;
+    }
+
+    if (item.namespaceURI === NS.TEXT) {
+      switch (item.localName) {
+        case 's':
+          appendText(parent, ' '.repeat(Number(item.getAttributeNS(NS.TEXT, 'c') || 1)));
+          break;
+        case 'tab':
+          appendText(parent, '\t');
+          break;
+        case 'line-break':
+          parent.appendChild(document.createElement('br'));
+          break;
+        case 'span':
+        case 'a':
+        case 'bookmark-ref':
+        case 'reference-ref':
+          await appendOdfInline(parent, item, context);
+          break;
+        case 'note':
+          context.warnings.add('Footnotes and endnotes are not printed');
+          break;
+        case 'bookmark':
+        case 'bookmark-start':
+        case 'bookmark-end':
+        case 'soft-page-break':
+          break;
+        default:
+          // Fields (dates, page numbers) carry their last shown value as text
+          appendText(parent, item.textContent);
+      }
+    } else if (item.namespaceURI === NS.DRAW && item.localName === 'frame') {
+      await appendOdfFrame(parent, item, context);
+    } else if (item.namespaceURI === NS.OFFICE && item.localName === 'annotation') {
+      context.warnings.add('Comments are not printed');
+    }
+  }
+}
+
+/**
+ * Append the picture of a drawing frame
+ * @param {HTMLElement} parent - Element to append to
+ * @param {Element} frame - draw:frame element
+ * @param {Object} context - { zip, warnings }
+ */
+async function appendOdfFrame(parent, frame, context) {
+  const image = child(frame, NS.DRAW, 'image');
+  const href = image?.getAttributeNS(NS.XLINK, 'href');
+  if (!href) {
+    context.warnings.add('Shapes, charts and text boxes are not printed');
+    return;
+  }
+
+  const element = await createImage(context.zip, href.replace(/^\.\//, ''), context.warnings);
+  if (element) {
+    element.className = 'office-image';
+    parent.appendChild(element);
+  }
+}
+
+/**
+ * Convert an OpenDocument list
+ * @param {Element} list - text:list element
+ * @param {Object} context - { zip, warnings }
+ * @returns {Promise<HTMLElement>} List
+ */
+async function convertOdfList(list, context) {
+  const result = document.createElement('ul');
+  for (const item of children(list, NS.TEXT)) {
+    if (item.localName === 'list-item' || item.localName === 'list-header') {
+      const li = document.createElement('li');
+      await appendOdfBlocks(li, item, context);
+      result.appendChild(li);
+    }
+  }
+  return result;
+}
+
+/**
+ * Collect the rows of an OpenDocument table, including rows inside header rows and row groups
+ * (rows of tables nested in cells are not included)
+ * @param {Element} node - table:table or a row group
+ * @returns {Array<Element>} table:table-row elements in order
+ */
+function collectOdfRows(node) {
+  return children(node, NS.TABLE).flatMap((item) => {
+    if (item.localName === 'table-row') {
+      return [item];
+    }
+    if (['table-header-rows', 'table-rows', 'table-row-group'].includes(item.localName)) {
+      return collectOdfRows(item);
+    }
+    return [];
+  });
+}
+
+/**
+ * Read the rows of an OpenDocument table, expanding repeated rows and cells.
+ * Covered cells (hidden under a merged cell) are left out.
+ * @param {Element} table - table:table element
+ * @param {Function} getCell - Converts a cell to its content
+ * @param {Set<string>} warnings - Conversion warnings
+ * @returns {Promise<Array<Array<Object>>>} Rows of { content, span }
+ */
+async function readOdfRows(table, getCell, warnings) {
+  const rows = [];
+
+  for (const row of collectOdfRows(table)) {
+    const cells = [];
+    for (const cell of children(row, NS.TABLE, 'table-cell')) {
+
+      const repeat = Number(cell.getAttributeNS(NS.TABLE, 'number-columns-repeated') || 1);
+      const span = Number(cell.getAttributeNS(NS.TABLE, 'number-columns-spanned') || 1);
+      const content = await getCell(cell);
+      for (let i = 0; i < repeat && cells.length < MAX_SHEET_COLUMNS; i++) {
+        cells.push({ content, span });
+      }
+      if (cells.length >= MAX_SHEET_COLUMNS && repeat > 1 && content) {
+        warnings.add(`Only the first ${MAX_SHEET_COLUMNS} columns of each sheet are printed`);
+      }
+    }
+
+    const repeat = Number(row.getAttributeNS(NS.TABLE, 'number-rows-repeated') || 1);
+    for (let i = 0; i < repeat && rows.length < MAX_SHEET_ROWS; i++) {
+      rows.push(cells);
+    }
+    if (rows.length >= MAX_SHEET_ROWS) {
+      if (cells.some(cell => cell.content)) {
+        warnings.add(`Only the first ${MAX_SHEET_ROWS} rows of each sheet are printed`);
+      }
+      break;
+    }
+  }
+  return rows;
+}
+
+/**
+ * Convert an OpenDocument text table
+ * @param {Element} table - table:table element
+ * @param {Object} context - { zip, warnings }
+ * @returns {Promise<HTMLElement>} Table
+ */
+async function convertOdfTable(table, context) {
+  const result = document.createElement('table');
+  result.className = 'office-table';
+
+  const rows = await readOdfRows(table, async (cell) => {
+    const container = document.createElement('div');
+    await appendOdfBlocks(container, cell, context);
+    return container;
+  }, context.warnings);
+
+  for (const row of rows) {
+    const tr = result.insertRow();
+    for (const { content, span } of row) {
+      const td = tr.insertCell();
+      if (span > 1) {
+        td.colSpan = span;
+      }
+      td.appendChild(content.cloneNode(true));
+    }
+  }
+  return result;
+}
+
+/**
+ * Convert the block content of an OpenDocument text body, list item or cell
+ * @param {HTMLElement} parent - Element to append to
+ * @param {Element} node - Container element
+ * @param {Object} context - { zip, warnings }
+ */
+async function appendOdfBlocks(parent, node, context) {
+  for (const item of node.children) {
+    if (item.namespaceURI === NS.TEXT) {
+      switch (item.localName) {
+        case 'h': {
+          const level = Number(item.getAttributeNS(NS.TEXT, 'outline-level') || 1);
+          const heading = document.createElement(`h${Math.min(Math.max(level, 1), 6)}`);
+          await appendOdfInline(heading, item, context);
+          parent.appendChild(heading);
+          break;
+        }
+        case 'p': {
+          const paragraph = document.createElement('p');
+          await appendOdfInline(paragraph, item, context);
+          if (!paragraph.textContent && !paragraph.querySelector('img')) {
+            paragraph.appendChild(document.createElement('br'));
+          }
+          parent.appendChild(paragraph);
+          break;
+        }
+        case 'list':
+          parent.appendChild(await convertOdfList(item, context));
+          break;
+        case 'section':
+          await appendOdfBlocks(parent, item, context);
+          break;
+        case 'table-of-content':
+        case 'alphabetical-index':
+        case 'bibliography': {
+          const body = child(item, NS.TEXT, 'index-body');
+          if (body) {
+            await appendOdfBlocks(parent, body, context);
+          }
+          break;
+        }
+        case 'sequence-decls':
+        case 'variable-decls':
+        case 'user-field-decls':
+        case 'soft-page-break':
+          break;
+        default:
+          context.warnings.add(`Some content was left out (${item.localName})`);
+      }
+    } else if (item.namespaceURI === NS.TABLE && item.localName === 'table') {
+      parent.appendChild(await convertOdfTable(item, context));
+    } else if (item.namespaceURI === NS.DRAW && item.localName === 'frame') {
+      await appendOdfFrame(parent, item, context);
+    }
+  }
+}
+
+/**
+ * Get the office:body content element of an OpenDocument package
+ * @param {Object} zip - Package
+ * @param {string} kind - 'text' or 'spreadsheet'
+ * @returns {Promise<Element>} Body content element
+ */
+async function readOdfBody(zip, kind) {
+  const xml = await readXml(zip, 'content.xml');
+  const body = xml && xml.getElementsByTagNameNS(NS.OFFICE, 'body')[0];
+  const content = body && child(body, NS.OFFICE, kind);
+  if (!content) {
+    throw new Error('The document has no readable content');
+  }
+  return content;
+}
+
+/**
+ * Convert an ODT package
+ * @param {Object} zip - Package
+ * @param {Set<string>} warnings - Conversion warnings
+ * @returns {Promise<HTMLElement>} Document
+ */
+async function convertOdt(zip, warnings) {
+  const content = await readOdfBody(zip, 'text');
+  const result = document.createElement('article');
+  result.className = 'office-document';
+
+  warnings.add('Character and paragraph formatting is not kept');
+  await appendOdfBlocks(result, content, { zip, warnings });
+  return result;
+}
+
+/**
+ * Convert an ODS package, one table per sheet
+ * @param {Object} zip - Package
+ * @param {Set<string>} warnings - Conversion warnings
+ * @returns {Promise<HTMLElement>} Document
+ */
+async function convertOds(zip, warnings) {
+  const content = await readOdfBody(zip, 'spreadsheet');
+  const result = document.createElement('article');
+  result.className = 'office-document';
+
+  for (const table of children(content, NS.TABLE, 'table')) {
+    const rows = await readOdfRows(table, async (cell) => {
+      if (cell.getElementsByTagNameNS(NS.DRAW, 'frame').length > 0) {
+        warnings.add('Charts and pictures in sheets are not printed');
+      }
+      return children(cell, NS.TEXT, 'p').map(paragraph => paragraph.textContent).join('\n');
+    }, warnings);
+
+    if (rows.some(row => row.some(cell => cell.span > 1))) {
+      warnings.add('Merged cells are shown unmerged');
+    }
+
+    const grid = rows.map(row => row.map(cell => cell.content));
+    result.appendChild(createSheetSection(table.getAttributeNS(NS.TABLE, 'name'), trimGrid(grid)));
+  }
+  return result;
+}
+
+/**
+ * Convert an office document to printable HTML
+ * @param {ArrayBuffer} content - File content
+ * @param {string} format - Format from getOfficeFormat()
+ * @returns {Promise<Object>} { element, warnings } - converted document and conversion warnings
+ * @throws {Error} If the file cannot be converted
+ */
+export async function convertOfficeDocument(content, format) {
+  let zip;
+  try {
+    zip = openZip(content);
+  } catch (error) {
+    // Password-protected Office files and the old binary formats are not ZIP packages
+    if (error instanceof ZipError) {
+      throw new Error(`Not a readable ${format.toUpperCase()} file (it may be password-protected): ${error.message}`);
+    }
+    throw error;
+  }
+
+  const warnings = new Set();
+  const converters = {
+    docx: convertDocx,
+    xlsx: convertXlsx,
+    odt: convertOdt,
+    ods: convertOds
+  };
+
+  const element = await converters[format](zip, warnings);
+  return { element, warnings: [...warnings] };
+}
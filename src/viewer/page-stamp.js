@@ -0,0 +1,79 @@
+/**
+ * AutoPrint Extension - Page Stamp
+ * Prints a stamp template's header and footer in the page margins and its
+ * watermark across every printed page. PDFs print without the page's styles, so
+ * their stamp is drawn into the PDF instead (see pdf-merge.js).
+ */
+
+import { getStampValues, fillStampTemplate } from '../shared/stamps.js';
+
+/**
+ * Quote text as a CSS string
+ * @param {string} text - Text
+ * @returns {string} CSS string literal
+ */
+function toCssString(text) {
+  return `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\A ')}"`;
+}
+
+/**
+ * Build the CSS content value of a header or footer; {page} and {pages}
+ * become page counters
+ * @param {string} text - Template text
+ * @param {Object} values - Values from getStampValues()
+ * @returns {string} CSS content value
+ */
+function toCssContent(text, values) {
+  return fillStampTemplate(text, values)
+    .map(part => part.counter ? `counter(${part.counter})` : toCssString(part.text))
+    .join(' ');
+}
+
+/**
+ * Stamp the pages of the rendered document. Headers and footers go into the @page
+ * margin boxes; the watermark is a fixed element, which the browser repeats on every page.
+ * @param {Object} template - Stamp template
+ * @param {Object} job - Print job the values are taken from
+ */
+export function applyPageStamp(template, job) {
+  const values = getStampValues(job);
+  const marginBoxes = [];
+
+  if (template.header) {
+    marginBoxes.push(`@top-center { content: ${toCssContent(template.header, values)}; font-size: 8pt; color: #444444; }`);
+  }
+  if (template.footer) {
+    marginBoxes.push(`@bottom-center { content: ${toCssContent(template.footer, values)}; font-size: 8pt; color: #444444; }`);
+  }
+  if (marginBoxes.length > 0) {
+    const style = document.createElement('style');
+    style.textContent = `@page { margin: 15mm 10mm; ${marginBoxes.join(' ')} }`;
+    document.head.appendChild(style);
+  }
+
+  if (template.watermark) {
+    const watermark = document.createElement('div');
+    watermark.className = 'page-watermark';
+    watermark.textContent = fillStampTemplate(template.watermark, values).map(part => part.text || '').join('');
+    document.body.appendChild(watermark);
+  }
+}
+
+/**
+ * Get the stamp texts of each page of a PDF, for mergePdfs()
+ * @param {Object} template - Stamp template
+ * @param {Object} job - Print job the values are taken from
+ * @returns {Function} Called with (page, pages); returns { header, footer, watermark }
+ */
+export function getPdfStamp(template, job) {
+  const values = getStampValues(job);
+  const header = fillStampTemplate(template.header, values);
+  const footer = fillStampTemplate(template.footer, values);
+  const watermark = fillStampTemplate(template.watermark, values).map(part => part.text || '').join('');
+
+  return (page, pages) => {
+    const numbers = { page: String(page), pages: String(pages) };
+    const toText = parts => parts.map(part => part.counter ? numbers[part.counter] : part.text).join('');
+    return { header: toText(header), footer: toText(footer), watermark };
+  };
+}
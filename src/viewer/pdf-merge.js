@@ -0,0 +1,969 @@
+/**
+ * AutoPrint Extension - PDF Merger
+ * Combines PDF files into one PDF by copying their pages, optionally with a separator
+ * page before each file and a stamp drawn over every page. Reads cross-reference tables and streams (with PNG predictors)
+ * and Flate-compressed object streams; encrypted files are not supported.
+ */
+
+const WHITESPACE = new Set([0x00, 0x09, 0x0A, 0x0C, 0x0D, 0x20]);
+const DELIMITERS = new Set([...'()<>[]{}/%'].map(char => char.charCodeAt(0)));
+
+// Page attributes a page inherits from its parents in the page tree
+const INHERITED_KEYS = ['Resources', 'MediaBox', 'CropBox', 'Rotate'];
+
+// A4 in points, for separator pages without a following page to match
+const DEFAULT_MEDIA_BOX = [0, 0, 595, 842];
+
+// Widths of the Helvetica characters from space to tilde, in 1/1000 of the font size
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+
+// Stamp text sizes and placement, matching the viewer's stamp on other documents
+const STAMP_TEXT_SIZE = 8;
+const STAMP_TEXT_GRAY = 0.267;
+const STAMP_MARGIN = 21;
+const WATERMARK_SIZE = 64;
+const WATERMARK_OPACITY = 0.12;
+const WATERMARK_ANGLE = 35 * Math.PI / 180;
+
+const latin1 = new TextDecoder('latin1');
+const encoder = new TextEncoder();
+
+/**
+ * Error thrown for files that are not PDFs or use PDF features the merger cannot read
+ */
+export class PdfMergeError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PdfMergeError';
+  }
+}
+
+/**
+ * Create a PDF name
+ * @param {string} value - Name without the slash
+ * @returns {Object} Name
+ */
+function pdfName(value) {
+  return { type: 'name', value };
+}
+
+/**
+ * Create a PDF indirect reference
+ * @param {number} num - Object number
+ * @param {number} gen - Generation number
+ * @returns {Object} Reference
+ */
+function pdfRef(num, gen = 0) {
+  return { type: 'ref', num, gen };
+}
+
+/**
+ * Check whether a value is a dictionary (not a name, reference, string or stream)
+ * @param {*} value - Parsed value
+ * @returns {boolean} True for dictionaries
+ */
+function isDict(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !value.type;
+}
+
+/**
+ * Get the name stored in a value
+ * @param {*} value - Parsed value
+ * @returns {string|null} Name, or null if the value is not a name
+ */
+function nameOf(value) {
+  return value?.type === 'name' ? value.value : null;
+}
+
+/**
+ * Inflate zlib (Flate) data
+ * @param {Uint8Array} data - Compressed bytes
+ * @returns {Promise<Uint8Array>} Decompressed bytes
+ */
+async function inflate(data) {
+  const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Undo a PNG predictor (as used by cross-reference streams)
+ * @param {Uint8Array} data - Predicted rows, each starting with its filter type
+ * @param {number} columns - Bytes per row
+ * @returns {Uint8Array} Original bytes
+ */
+function unpredictPng(data, columns) {
+  const rows = Math.floor(data.length / (columns + 1));
+  const output = new Uint8Array(rows * columns);
+  const paeth = (a, b, c) => {
+    const p = a + b - c;
+    const pa = Math.abs(p - a);
+    const pb = Math.abs(p - b);
+    const pc = Math.abs(p - c);
+    return pa <= pb && pa <= pc ? a : (pb <= pc ? b : c);
+  };
+
+  for (let row = 0; row < rows; row++) {
+    const filter = data[row * (columns + 1)];
+    const input = row * (columns + 1) + 1;
+    const start = row * columns;
+    for (let i = 0; i < columns; i++) {
+      const raw = data[input + i];
+      const left = i > 0 ? output[start + i - 1] : 0;
+      const up = row > 0 ? output[start - columns + i] : 0;
+      const upLeft = row > 0 && i > 0 ? output[start - columns + i - 1] : 0;
+      const predicted = [0, left, up, (left + up) >> 1, paeth(left, up, upLeft)][filter] ?? 0;
+      output[start + i] = (raw + predicted) & 0xFF;
+    }
+  }
+  return output;
+}
+
+/**
+ * Decode a stream's data (FlateDecode with an optional PNG predictor, or no filter)
+ * @param {Object} stream - Parsed stream
+ * @returns {Promise<Uint8Array>} Decoded bytes
+ * @throws {PdfMergeError} If the stream uses another filter
+ */
+async function decodeStream(stream) {
+  const filters = [].concat(stream.dict.Filter ?? []).map(nameOf);
+  if (filters.length === 0) {
+    return stream.data;
+  }
+  if (filters.length > 1 || filters[0] !== 'FlateDecode') {
+    throw new PdfMergeError(`Unsupported stream filter ${filters.join(', ')}`);
+  }
+
+  const data = await inflate(stream.data);
+  const params = [].concat(stream.dict.DecodeParms ?? [])[0];
+  if (isDict(params) && params.Predictor >= 10) {
+    return unpredictPng(data, params.Columns || 1);
+  }
+  return data;
+}
+
+/**
+ * Create a tokenizer over PDF bytes
+ * @param {Uint8Array} bytes - File content
+ * @returns {Object} Parser with pos, skipWhitespace(), readKeyword() and readValue()
+ */
+function createParser(bytes) {
+  const parser = { pos: 0 };
+
+  parser.skipWhitespace = () => {
+    while (parser.pos < bytes.length) {
+      const byte = bytes[parser.pos];
+      if (WHITESPACE.has(byte)) {
+        parser.pos++;
+      } else if (byte === 0x25) {
+        // Comment up to the end of the line
+        while (parser.pos < bytes.length && bytes[parser.pos] !== 0x0A && bytes[parser.pos] !== 0x0D) {
+          parser.pos++;
+        }
+      } else {
+        break;
+      }
+    }
+  };
+
+  const readRegular = () => {
+    const start = parser.pos;
+    while (parser.pos < bytes.length && !WHITESPACE.has(bytes[parser.pos]) && !DELIMITERS.has(bytes[parser.pos])) {
+      parser.pos++;
+    }
+    return latin1.decode(bytes.subarray(start, parser.pos));
+  };
+
+  parser.readKeyword = () => {
+    parser.skipWhitespace();
+    return readRegular();
+  };
+
+  const readLiteralString = () => {
+    const output = [];
+    let depth = 1;
+    parser.pos++;
+
+    while (parser.pos < bytes.length) {
+      let byte = bytes[parser.pos++];
+      if (byte === 0x28) {
+        depth++;
+      } else if (byte === 0x29 && --depth === 0) {
+        break;
+      } else if (byte === 0x5C) {
+        byte = bytes[parser.pos++];
+        const escapes = { 0x6E: 0x0A, 0x72: 0x0D, 0x74: 0x09, 0x62: 0x08, 0x66: 0x0C };
+        if (escapes[byte] !== undefined) {
+          byte = escapes[byte];
+        } else if (byte >= 0x30 && byte <= 0x37) {
+          let octal = byte - 0x30;
+          for (let i = 0; i < 2 && bytes[parser.pos] >= 0x30 && bytes[parser.pos] <= 0x37; i++) {
+            octal = octal * 8 + bytes[parser.pos++] - 0x30;
+          }
+          byte = octal & 0xFF;
+        } else if (byte === 0x0D || byte === 0x0A) {
+          // Escaped line break continues the string
+          if (byte === 0x0D && bytes[parser.pos] === 0x0A) {
+            parser.pos++;
+          }
+          continue;
+        }
+      }
+      output.push(byte);
+    }
+    return { type: 'string', bytes: Uint8Array.from(output) };
+  };
+
+  const readHexString = () => {
+    const end = bytes.indexOf(0x3E, parser.pos);
+    const hex = latin1.decode(bytes.subarray(parser.pos + 1, end)).replace(/[^0-9a-fA-F]/g, '');
+    parser.pos = end + 1;
+    const padded = hex.length % 2 ? hex + '0' : hex;
+    return { type: 'string', bytes: Uint8Array.from(padded.match(/../g) || [], pair => parseInt(pair, 16)) };
+  };
+
+  parser.readValue = () => {
+    parser.skipWhitespace();
+    const byte = bytes[parser.pos];
+
+    if (byte === 0x2F) {
+      parser.pos++;
+      return pdfName(readRegular().replace(/#([0-9a-fA-F]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16))));
+    }
+    if (byte === 0x28) {
+      return readLiteralString();
+    }
+    if (byte === 0x3C && bytes[parser.pos + 1] === 0x3C) {
+      parser.pos += 2;
+      const dict = {};
+      for (;;) {
+        parser.skipWhitespace();
+        if (bytes[parser.pos] === 0x3E && bytes[parser.pos + 1] === 0x3E) {
+          parser.pos += 2;
+          return dict;
+        }
+        if (parser.pos >= bytes.length) {
+          throw new PdfMergeError('Unterminated dictionary');
+        }
+        const key = parser.readValue();
+        if (key?.type !== 'name') {
+          throw new PdfMergeError('Damaged dictionary');
+        }
+        dict[key.value] = parser.readValue();
+      }
+    }
+    if (byte === 0x3C) {
+      return readHexString();
+    }
+    if (byte === 0x5B) {
+      parser.pos++;
+      const array = [];
+      for (;;) {
+        parser.skipWhitespace();
+        if (bytes[parser.pos] === 0x5D) {
+          parser.pos++;
+          return array;
+        }
+        if (parser.pos >= bytes.length) {
+          throw new PdfMergeError('Unterminated array');
+        }
+        array.push(parser.readValue());
+      }
+    }
+
+    const token = readRegular();
+    if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(token)) {
+      // "num gen R" is a reference
+      if (/^\d+$/.test(token)) {
+        const saved = parser.pos;
+        const gen = parser.readKeyword();
+        if (/^\d+$/.test(gen) && parser.readKeyword() === 'R') {
+          return pdfRef(Number(token), Number(gen));
+        }
+        parser.pos = saved;
+      }
+      return Number(token);
+    }
+    if (token === 'true' || token === 'false') {
+      return token === 'true';
+    }
+    if (token === 'null') {
+      return null;
+    }
+    if (!token) {
+      throw new PdfMergeError(`Unexpected character at byte ${parser.pos}`);
+    }
+    return { type: 'keyword', value: token };
+  };
+
+  return parser;
+}
+
+/**
+ * Open a PDF for reading its objects
+ * @param {Uint8Array} bytes - File content
+ * @returns {Promise<Object>} Document with trailer and getObject(num)
+ * @throws {PdfMergeError} If the file is not a readable PDF
+ */
+async function openPdf(bytes) {
+  if (latin1.decode(bytes.subarray(0, 1024)).indexOf('%PDF-') === -1) {
+    throw new PdfMergeError('Not a PDF file');
+  }
+
+  const parser = createParser(bytes);
+  const entries = new Map();
+  const cache = new Map();
+  const objectStreams = new Map();
+
+  /**
+   * Parse the object at a byte offset
+   * @param {number} offset - Offset of "num gen obj"
+   * @returns {Promise<Object>} { num, value }
+   */
+  async function readObjectAt(offset) {
+    parser.pos = offset;
+    const num = Number(parser.readKeyword());
+    parser.readKeyword();
+    if (parser.readKeyword() !== 'obj') {
+      throw new PdfMergeError(`No object at byte ${offset}`);
+    }
+
+    const value = parser.readValue();
+    const afterValue = parser.pos;
+    if (!isDict(value) || parser.readKeyword() !== 'stream') {
+      parser.pos = afterValue;
+      return { num, value };
+    }
+
+    // Stream data starts after the end of the "stream" line
+    if (bytes[parser.pos] === 0x0D) parser.pos++;
+    if (bytes[parser.pos] === 0x0A) parser.pos++;
+    const start = parser.pos;
+
+    let length = value.Length;
+    if (length?.type === 'ref') {
+      const saved = parser.pos;
+      length = await getObject(length.num);
+      parser.pos = saved;
+    }
+    const marker = encoder.encode('endstream');
+    const endsAt = (position) => marker.every((byte, i) => bytes[position + i] === byte);
+    let end = typeof length === 'number' ? start + length : -1;
+    let check = end;
+    while (check >= 0 && WHITESPACE.has(bytes[check])) check++;
+    if (end < 0 || !endsAt(check)) {
+      // Wrong or missing length: the data ends at the next "endstream"
+      end = latin1.decode(bytes).indexOf('endstream', start);
+      if (end === -1) {
+        throw new PdfMergeError('Unterminated stream');
+      }
+      while (end > start && (bytes[end - 1] === 0x0A || bytes[end - 1] === 0x0D)) end--;
+    }
+
+    return { num, value: { type: 'stream', dict: value, data: bytes.subarray(start, end) } };
+  }
+
+  /**
+   * Read an object from an object stream
+   * @param {number} streamNum - Object number of the object stream
+   * @param {number} index - Index of the object in the stream
+   * @returns {Promise<*>} Object value
+   */
+  async function readFromObjectStream(streamNum, index) {
+    let objectStream = objectStreams.get(streamNum);
+    if (!objectStream) {
+      const stream = await getObject(streamNum);
+      if (stream?.type !== 'stream') {
+        throw new PdfMergeError(`Object stream ${streamNum} is missing`);
+      }
+      const data = await decodeStream(stream);
+      const header = createParser(data);
+      const offsets = [];
+      for (let i = 0; i < stream.dict.N; i++) {
+        const num = header.readValue();
+        offsets.push({ num, offset: stream.dict.First + header.readValue() });
+      }
+      objectStream = { data, offsets };
+      objectStreams.set(streamNum, objectStream);
+    }
+
+    const entry = objectStream.offsets[index];
+    if (!entry) {
+      return null;
+    }
+    const reader = createParser(objectStream.data);
+    reader.pos = entry.offset;
+    return reader.readValue();
+  }
+
+  /**
+   * Get an object by number
+   * @param {number} num - Object number
+   * @returns {Promise<*>} Object value, or null if there is no such object
+   */
+  async function getObject(num) {
+    if (cache.has(num)) {
+      return cache.get(num);
+    }
+    const entry = entries.get(num);
+    let value = null;
+    if (entry?.offset !== undefined) {
+      value = (await readObjectAt(entry.offset)).value;
+    } else if (entry?.stream !== undefined) {
+      value = await readFromObjectStream(entry.stream, entry.index);
+    }
+    cache.set(num, value);
+    return value;
+  }
+
+  /**
+   * Read a classic cross-reference table and its trailer
+   * @returns {Object} Trailer
+   */
+  function readXrefTable() {
+    for (;;) {
+      const saved = parser.pos;
+      const token = parser.readKeyword();
+      if (token === 'trailer') {
+        return parser.readValue();
+      }
+      if (!/^\d+$/.test(token)) {
+        parser.pos = saved;
+        throw new PdfMergeError('Damaged cross-reference table');
+      }
+
+      const first = Number(token);
+      const count = Number(parser.readKeyword());
+      for (let i = 0; i < count; i++) {
+        const offset = Number(parser.readKeyword());
+        parser.readKeyword();
+        const inUse = parser.readKeyword() === 'n';
+        if (inUse && !entries.has(first + i)) {
+          entries.set(first + i, { offset });
+        }
+      }
+    }
+  }
+
+  /**
+   * Read a cross-reference stream
+   * @param {Object} stream - Parsed stream with /Type /XRef
+   * @returns {Promise<Object>} Trailer (the stream dictionary)
+   */
+  async function readXrefStream(stream) {
+    const data = await decodeStream(stream);
+    const widths = stream.dict.W;
+    const index = stream.dict.Index || [0, stream.dict.Size];
+    const rowLength = widths.reduce((sum, width) => sum + width, 0);
+    const field = (offset, width) => {
+      let value = 0;
+      for (let i = 0; i < width; i++) {
+        value = value * 256 + data[offset + i];
+      }
+      return value;
+    };
+
+    let row = 0;
+    for (let i = 0; i < index.length; i += 2) {
+      for (let j = 0; j < index[i + 1]; j++, row++) {
+        const offset = row * rowLength;
+        const type = widths[0] ? field(offset, widths[0]) : 1;
+        const second = field(offset + widths[0], widths[1]);
+        const third = field(offset + widths[0] + widths[1], widths[2]);
+        const num = index[i] + j;
+        if (entries.has(num)) continue;
+        if (type === 1) {
+          entries.set(num, { offset: second });
+        } else if (type === 2) {
+          entries.set(num, { stream: second, index: third });
+        }
+      }
+    }
+    return stream.dict;
+  }
+
+  /**
+   * Read the cross-reference sections from the newest to the oldest
+   * @returns {Promise<Object>} Newest trailer
+   */
+  async function readXref() {
+    const tail = latin1.decode(bytes.subarray(Math.max(0, bytes.length - 1024)));
+    const match = /startxref\s+(\d+)/.exec(tail.slice(tail.lastIndexOf('startxref')));
+    if (!match) {
+      throw new PdfMergeError('No cross-reference table');
+    }
+
+    let trailer = null;
+    const visited = new Set();
+    let offset = Number(match[1]);
+    while (offset !== undefined && !visited.has(offset)) {
+      visited.add(offset);
+      parser.pos = offset;
+      let sectionTrailer;
+      if (parser.readKeyword() === 'xref') {
+        sectionTrailer = readXrefTable();
+        if (typeof sectionTrailer.XRefStm === 'number') {
+          await readXrefStream((await readObjectAt(sectionTrailer.XRefStm)).value);
+        }
+      } else {
+        const { value } = await readObjectAt(offset);
+        if (value?.type !== 'stream' || nameOf(value.dict.Type) !== 'XRef') {
+          throw new PdfMergeError('Damaged cross-reference table');
+        }
+        sectionTrailer = await readXrefStream(value);
+      }
+      trailer = trailer || sectionTrailer;
+      offset = sectionTrailer.Prev;
+    }
+    return trailer;
+  }
+
+  /**
+   * Rebuild the object offsets by scanning the file, for files with a damaged
+   * cross-reference table
+   * @returns {Promise<Object>} Trailer with the document catalog as Root
+   */
+  async function reconstructXref() {
+    entries.clear();
+    cache.clear();
+    const text = latin1.decode(bytes);
+    const pattern = /(\d+)\s+(\d+)\s+obj\b/g;
+    let match;
+    while ((match = pattern.exec(text))) {
+      entries.set(Number(match[1]), { offset: match.index });
+    }
+
+    for (const num of entries.keys()) {
+      const value = await getObject(num).catch(() => null);
+      if (isDict(value) && nameOf(value.Type) === 'Catalog') {
+        return { Root: pdfRef(num) };
+      }
+    }
+    throw new PdfMergeError('No document catalog');
+  }
+
+  let trailer;
+  try {
+    trailer = await readXref();
+  } catch (error) {
+    console.warn('[AutoPrint Viewer] Rebuilding damaged PDF cross-reference table:', error.message);
+    trailer = await reconstructXref();
+  }
+  if (trailer.Encrypt) {
+    throw new PdfMergeError('Encrypted PDFs cannot be merged');
+  }
+
+  return { trailer, getObject };
+}
+
+/**
+ * Resolve a value that may be a reference
+ * @param {Object} pdf - Document from openPdf()
+ * @param {*} value - Parsed value
+ * @returns {Promise<*>} Referenced object, or the value itself
+ */
+async function resolve(pdf, value) {
+  return value?.type === 'ref' ? pdf.getObject(value.num) : value;
+}
+
+/**
+ * List the pages of a document in order, with inherited attributes filled in
+ * @param {Object} pdf - Document from openPdf()
+ * @returns {Promise<Array<Object>>} Pages as { num, dict }
+ */
+async function getPages(pdf) {
+  const catalog = await resolve(pdf, pdf.trailer.Root);
+  if (!isDict(catalog)) {
+    throw new PdfMergeError('No document catalog');
+  }
+
+  const pages = [];
+  const visited = new Set();
+  const walk = async (ref, inherited) => {
+    if (ref?.type !== 'ref' || visited.has(ref.num)) return;
+    visited.add(ref.num);
+
+    const node = await pdf.getObject(ref.num);
+    if (!isDict(node)) return;
+
+    if (Array.isArray(node.Kids)) {
+      const attributes = { ...inherited };
+      for (const key of INHERITED_KEYS) {
+        if (node[key] !== undefined) attributes[key] = node[key];
+      }
+      for (const kid of node.Kids) {
+        await walk(kid, attributes);
+      }
+      return;
+    }
+    pages.push({ num: ref.num, dict: { ...inherited, ...node } });
+  };
+
+  await walk(catalog.Pages, {});
+  return pages;
+}
+
+/**
+ * Format a number for PDF output (no exponents)
+ * @param {number} value - Number
+ * @returns {string} PDF number
+ */
+function formatNumber(value) {
+  if (Number.isInteger(value)) {
+    return String(value);
+  }
+  return value.toFixed(6).replace(/\.?0+$/, '') || '0';
+}
+
+/**
+ * Serialize a value as PDF syntax
+ * @param {*} value - Value
+ * @returns {string} PDF text (bytes as latin1 characters)
+ */
+function serialize(value) {
+  if (value === null || value === undefined) {
+    return 'null';
+  }
+  if (typeof value === 'boolean') {
+    return String(value);
+  }
+  if (typeof value === 'number') {
+    return formatNumber(value);
+  }
+  if (Array.isArray(value)) {
+    return '[' + value.map(serialize).join(' ') + ']';
+  }
+  switch (value.type) {
+    case 'name':
+      return '/' + value.value.replace(/[^!-~]|[#()<>[\]{}/%]/g, char => '#' + char.charCodeAt(0).toString(16).padStart(2, '0'));
+    case 'string':
+      return '<' + Array.from(value.bytes, byte => byte.toString(16).padStart(2, '0')).join('') + '>';
+    case 'ref':
+      return `${value.num} ${value.gen} R`;
+    case 'keyword':
+      return value.value;
+    default:
+      return '<<' + Object.entries(value).map(([key, item]) => serialize(pdfName(key)) + ' ' + serialize(item)).join(' ') + '>>';
+  }
+}
+
+/**
+ * Create a PDF writer that numbers objects and builds the file
+ * @returns {Object} Writer with allocate(), set(), get() and finish(root)
+ */
+function createWriter() {
+  const objects = [];
+
+  return {
+    allocate() {
+      objects.push(null);
+      return objects.length;
+    },
+    set(num, value) {
+      objects[num - 1] = value;
+    },
+    get(num) {
+      return objects[num - 1];
+    },
+    finish(root) {
+      const chunks = [encoder.encode('%PDF-1.7\n%âãÏÓ\n')];
+      const offsets = [];
+      let length = chunks[0].length;
+      const push = (chunk) => {
+        chunks.push(chunk);
+        length += chunk.length;
+      };
+      const pushText = text => push(Uint8Array.from(text, char => char.charCodeAt(0) & 0xFF));
+
+      objects.forEach((value, index) => {
+        offsets.push(length);
+        if (value?.type === 'stream') {
+          pushText(`${index + 1} 0 obj\n${serialize({ ...value.dict, Length: value.data.length })}\nstream\n`);
+          push(value.data);
+          pushText('\nendstream\nendobj\n');
+        } else {
+          pushText(`${index + 1} 0 obj\n${serialize(value)}\nendobj\n`);
+        }
+      });
+
+      const xrefOffset = length;
+      const rows = offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+      pushText(`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n${rows}`);
+      pushText(`trailer\n${serialize({ Size: objects.length + 1, Root: root })}\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+      const output = new Uint8Array(length);
+      let offset = 0;
+      for (const chunk of chunks) {
+        output.set(chunk, offset);
+        offset += chunk.length;
+      }
+      return output;
+    }
+  };
+}
+
+/**
+ * Encode text for a Helvetica (WinAnsi) string, replacing characters it cannot show
+ * @param {string} text - Text
+ * @returns {string} PDF literal string
+ */
+function toPdfText(text) {
+  const safe = [...text].map(char => char.charCodeAt(0) <= 0xFF ? char : '?').join('');
+  return '(' + safe.replace(/[\\()]/g, char => '\\' + char) + ')';
+}
+
+/**
+ * Measure text set in Helvetica
+ * @param {string} text - Text
+ * @param {number} size - Font size
+ * @returns {number} Width in points
+ */
+function measureText(text, size) {
+  let width = 0;
+  for (const char of text) {
+    width += HELVETICA_WIDTHS[char.charCodeAt(0) - 32] ?? 556;
+  }
+  return width * size / 1000;
+}
+
+/**
+ * Create a stream object from PDF content text
+ * @param {Object} writer - PDF writer
+ * @param {string} text - Content stream operators
+ * @returns {Object} Reference to the stream
+ */
+function addContentStream(writer, text) {
+  const num = writer.allocate();
+  writer.set(num, { type: 'stream', dict: {}, data: Uint8Array.from(text, char => char.charCodeAt(0) & 0xFF) });
+  return pdfRef(num);
+}
+
+/**
+ * Build the matrix that maps the page as it is shown (after /Rotate) to its
+ * user space, so stamps read upright on rotated pages
+ * @param {Array<number>} box - Visible page area
+ * @param {number} rotate - Page rotation in degrees
+ * @returns {Object} { matrix, width, height } - matrix and the size of the page as shown
+ */
+function getShownPage(box, rotate) {
+  const [x0, y0, x1, y1] = box;
+  const width = x1 - x0;
+  const height = y1 - y0;
+  switch (((rotate % 360) + 360) % 360) {
+    case 90:
+      return { matrix: [0, 1, -1, 0, x1, y0], width: height, height: width };
+    case 180:
+      return { matrix: [-1, 0, 0, -1, x1, y1], width, height };
+    case 270:
+      return { matrix: [0, -1, 1, 0, x0, y1], width: height, height: width };
+    default:
+      return { matrix: [1, 0, 0, 1, x0, y0], width, height };
+  }
+}
+
+/**
+ * Draw a stamp over the pages in the writer, numbering them in order. Each page's own
+ * content is wrapped in q/Q so its graphics state cannot move the stamp.
+ * @param {Object} writer - PDF writer holding the pages
+ * @param {Array<number>} pageNumbers - Object numbers of the pages, in order
+ * @param {Function} stamp - Called with (page, pages); returns { header, footer, watermark } texts
+ */
+function stampPages(writer, pageNumbers, stamp) {
+  const local = value => value?.type === 'ref' ? writer.get(value.num) : value;
+  const font = writer.allocate();
+  writer.set(font, { Type: pdfName('Font'), Subtype: pdfName('Type1'), BaseFont: pdfName('Helvetica'), Encoding: pdfName('WinAnsiEncoding') });
+  const state = writer.allocate();
+  writer.set(state, { Type: pdfName('ExtGState'), ca: WATERMARK_OPACITY });
+  const save = addContentStream(writer, 'q\n');
+  const restore = addContentStream(writer, '\nQ\n');
+
+  pageNumbers.forEach((num, index) => {
+    const page = writer.get(num);
+    const mediaBox = local(page.MediaBox);
+    const cropBox = local(page.CropBox);
+    const box = (Array.isArray(cropBox) ? cropBox : Array.isArray(mediaBox) ? mediaBox : DEFAULT_MEDIA_BOX).map(local);
+    const { matrix, width, height } = getShownPage(box, Number(local(page.Rotate)) || 0);
+    const { header, footer, watermark } = stamp(index + 1, pageNumbers.length);
+
+    const operators = [`${matrix.map(formatNumber).join(' ')} cm`];
+    const centered = (text, y) => {
+      const x = (width - measureText(text, STAMP_TEXT_SIZE)) / 2;
+      operators.push(`BT /AutoPrintStamp ${STAMP_TEXT_SIZE} Tf ${formatNumber(x)} ${formatNumber(y)} Td ${toPdfText(text)} Tj ET`);
+    };
+    operators.push(`${STAMP_TEXT_GRAY} g`);
+    if (header) centered(header, height - STAMP_MARGIN);
+    if (footer) centered(footer, STAMP_MARGIN - STAMP_TEXT_SIZE);
+    if (watermark) {
+      // Shrink long watermarks to fit across the page
+      const diagonal = Math.hypot(width, height) * 0.9;
+      const size = Math.min(WATERMARK_SIZE, WATERMARK_SIZE * diagonal / Math.max(measureText(watermark, WATERMARK_SIZE), 1));
+      const textWidth = measureText(watermark, size);
+      const cos = Math.cos(WATERMARK_ANGLE);
+      const sin = Math.sin(WATERMARK_ANGLE);
+      const x = width / 2 - cos * textWidth / 2 + sin * size * 0.35;
+      const y = height / 2 - sin * textWidth / 2 - cos * size * 0.35;
+      const textMatrix = [cos, sin, -sin, cos, x, y].map(formatNumber).join(' ');
+      operators.push(`/AutoPrintStampState gs 0 g BT /AutoPrintStamp ${formatNumber(size)} Tf ${textMatrix} Tm ${toPdfText(watermark)} Tj ET`);
+    }
+
+    const contents = local(page.Contents);
+    const resources = local(page.Resources);
+    const resourceDict = isDict(resources) ? resources : {};
+    const fonts = local(resourceDict.Font);
+    const states = local(resourceDict.ExtGState);
+    writer.set(num, {
+      ...page,
+      Resources: {
+        ...resourceDict,
+        Font: { ...(isDict(fonts) ? fonts : {}), AutoPrintStamp: pdfRef(font) },
+        ExtGState: { ...(isDict(states) ? states : {}), AutoPrintStampState: pdfRef(state) }
+      },
+      Contents: [
+        save,
+        ...(Array.isArray(contents) ? contents : page.Contents ? [page.Contents] : []),
+        restore,
+        addContentStream(writer, operators.join('\n'))
+      ]
+    });
+  });
+}
+
+/**
+ * Add a separator page naming the file that follows
+ * @param {Object} writer - PDF writer
+ * @param {number} parent - Object number of the page tree
+ * @param {Array<number>} mediaBox - Page size of the following page
+ * @param {Array<string>} lines - Text lines
+ * @returns {number} Object number of the page
+ */
+function addSeparatorPage(writer, parent, mediaBox, lines) {
+  const top = mediaBox[3] - 72;
+  const left = mediaBox[0] + 72;
+  const text = lines
+    .map((line, index) => `BT /F1 ${index === 0 ? 16 : 11} Tf ${left} ${top - index * 24} Td ${toPdfText(line)} Tj ET`)
+    .join('\n');
+
+  const font = writer.allocate();
+  writer.set(font, { Type: pdfName('Font'), Subtype: pdfName('Type1'), BaseFont: pdfName('Helvetica'), Encoding: pdfName('WinAnsiEncoding') });
+  const content = writer.allocate();
+  writer.set(content, { type: 'stream', dict: {}, data: Uint8Array.from(text, char => char.charCodeAt(0) & 0xFF) });
+
+  const page = writer.allocate();
+  writer.set(page, {
+    Type: pdfName('Page'),
+    Parent: pdfRef(parent),
+    MediaBox: mediaBox,
+    Resources: { Font: { F1: pdfRef(font) } },
+    Contents: pdfRef(content)
+  });
+  return page;
+}
+
+/**
+ * Copy the pages of one document into the writer
+ * @param {Object} writer - PDF writer
+ * @param {Object} pdf - Document from openPdf()
+ * @param {Array<Object>} pages - Pages from getPages()
+ * @param {number} parent - Object number of the new page tree
+ * @returns {Promise<Array<number>>} Object numbers of the copied pages
+ */
+async function copyPages(writer, pdf, pages, parent) {
+  const numbers = new Map();
+  const pending = [];
+
+  const refTo = (num) => {
+    if (!numbers.has(num)) {
+      numbers.set(num, writer.allocate());
+      pending.push(num);
+    }
+    return pdfRef(numbers.get(num));
+  };
+  const copy = (value) => {
+    if (Array.isArray(value)) {
+      return value.map(copy);
+    }
+    if (value?.type === 'ref') {
+      return refTo(value.num);
+    }
+    if (value?.type === 'stream') {
+      return { type: 'stream', dict: copy(value.dict), data: value.data };
+    }
+    if (isDict(value)) {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, copy(item)]));
+    }
+    return value;
+  };
+
+  // Pages are numbered first, so links between pages point at the copies
+  const pageNumbers = pages.map(page => {
+    const num = writer.allocate();
+    numbers.set(page.num, num);
+    return num;
+  });
+  pages.forEach((page, index) => {
+    const { Parent, ...dict } = page.dict;
+    writer.set(pageNumbers[index], { ...copy(dict), Parent: pdfRef(parent) });
+  });
+
+  while (pending.length > 0) {
+    const num = pending.shift();
+    writer.set(numbers.get(num), copy(await pdf.getObject(num)));
+  }
+  return pageNumbers;
+}
+
+/**
+ * Merge PDF files into one PDF, in order. Files that cannot be read are left out
+ * and reported as warnings.
+ * @param {Array<Object>} files - Files as { content, filename, separator }; separator is a list
+ *   of text lines printed on a page before the file, or null for no separator page
+ * @param {Object} options - Merge options
+ * @param {Function} options.stamp - Stamp drawn over every page, including separator pages;
+ *   called with (page, pages) and returns { header, footer, watermark } texts
+ * @returns {Promise<Object>} { data, warnings } - merged PDF bytes and the problems found
+ * @throws {PdfMergeError} If no file could be merged
+ */
+export async function mergePdfs(files, { stamp = null } = {}) {
+  const writer = createWriter();
+  const catalog = writer.allocate();
+  const pageTree = writer.allocate();
+  const kids = [];
+  const warnings = [];
+
+  for (const file of files) {
+    let pdf;
+    let pages;
+    try {
+      const bytes = file.content instanceof Uint8Array ? file.content : new Uint8Array(file.content);
+      pdf = await openPdf(bytes);
+      pages = await getPages(pdf);
+    } catch (error) {
+      console.warn('[AutoPrint Viewer] Could not merge', file.filename + ':', error);
+      warnings.push(`${file.filename} left out: ${error.message}`);
+      continue;
+    }
+
+    if (file.separator) {
+      const mediaBox = pages[0] ? await resolve(pdf, pages[0].dict.MediaBox) : null;
+      kids.push(addSeparatorPage(writer, pageTree, Array.isArray(mediaBox) ? mediaBox : DEFAULT_MEDIA_BOX, file.separator));
+    }
+    kids.push(...await copyPages(writer, pdf, pages, pageTree));
+  }
+
+  if (kids.length === 0) {
+    throw new PdfMergeError(warnings[0] || 'No pages to merge');
+  }
+  if (stamp) {
+    stampPages(writer, kids, stamp);
+  }
+
+  writer.set(pageTree, { Type: pdfName('Pages'), Kids: kids.map(num => pdfRef(num)), Count: kids.length });
+  writer.set(catalog, { Type: pdfName('Catalog'), Pages: pdfRef(pageTree) });
+  return { data: writer.finish(pdfRef(catalog)), warnings };
+}
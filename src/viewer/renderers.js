@@ -0,0 +1,359 @@
+/**
+ * AutoPrint Extension - Text Renderers
+ * Formats text downloads for printing: CSV as a table, JSON and XML pretty-printed
+ * with syntax highlighting, everything else as wrapped monospace text
+ */
+
+import { normalizeMimeType } from '../shared/file-types.js';
+import { CONFIG } from '../shared/config.js';
+
+// Text formats by MIME type and by extension
+const TEXT_FORMAT_TYPES = {
+  'text/csv': 'csv',
+  'text/tab-separated-values': 'tsv',
+  'application/json': 'json',
+  'application/xml': 'xml',
+  'text/xml': 'xml'
+};
+
+const TEXT_FORMAT_EXTENSIONS = {
+  csv: 'csv',
+  tsv: 'tsv',
+  json: 'json',
+  xml: 'xml'
+};
+
+// How many spaces each nesting level is indented by
+const INDENT = '  ';
+
+// JSON tokens; whitespace between them is dropped and replaced by the layout
+const JSON_TOKEN = /"(?:[^"\\]|\\.)*"|-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?|true|false|null|[{}[\]:,]|\s+/y;
+
+/**
+ * Decide how a text file is formatted
+ * @param {Object} file - File details: { filename, mime, detectedType }
+ * @returns {string} 'csv', 'tsv', 'json', 'xml' or 'text'
+ */
+export function getTextFormat({ filename, mime, detectedType }) {
+  const match = /\.([^./\\]+)$/.exec(filename || '');
+  const extension = match ? match[1].toLowerCase() : '';
+  if (TEXT_FORMAT_EXTENSIONS[extension]) {
+    return TEXT_FORMAT_EXTENSIONS[extension];
+  }
+  return TEXT_FORMAT_TYPES[normalizeMimeType(detectedType || mime)] || 'text';
+}
+
+/**
+ * Create an element with a class and text
+ * @param {string} tag - Tag name
+ * @param {string} className - Class name
+ * @param {string} text - Text content
+ * @returns {HTMLElement} Element
+ */
+function createElement(tag, className, text = '') {
+  const element = document.createElement(tag);
+  if (className) {
+    element.className = className;
+  }
+  element.textContent = text;
+  return element;
+}
+
+/**
+ * Append a highlighted token to a code block
+ * @param {HTMLElement} parent - Code block
+ * @param {string} text - Token text
+ * @param {string} type - Token type used as class suffix; empty for plain text
+ */
+function appendToken(parent, text, type = '') {
+  if (type) {
+    parent.appendChild(createElement('span', `token-${type}`, text));
+  } else {
+    parent.appendChild(document.createTextNode(text));
+  }
+}
+
+/**
+ * Parse delimiter-separated values (RFC 4180 quoting)
+ * @param {string} text - File text
+ * @param {string} delimiter - Field delimiter
+ * @returns {Array<Array<string>>} Rows of fields
+ */
+export function parseDelimited(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * Render CSV or TSV as a table whose header row repeats on every printed page
+ * @param {string} text - File text
+ * @param {string} delimiter - Field delimiter
+ * @returns {HTMLElement} Table
+ */
+function renderTable(text, delimiter) {
+  const rows = parseDelimited(text, delimiter);
+  const columns = Math.max(0, ...rows.map(row => row.length));
+  const table = createElement('table', 'render-table');
+
+  const fillRow = (tr, cells, tag) => {
+    for (let i = 0; i < columns; i++) {
+      tr.appendChild(createElement(tag, '', cells[i] ?? ''));
+    }
+  };
+
+  if (rows.length > 0) {
+    const head = table.createTHead();
+    fillRow(head.insertRow(), rows[0], 'th');
+  }
+
+  const body = table.createTBody();
+  for (const row of rows.slice(1)) {
+    fillRow(body.insertRow(), row, 'td');
+  }
+  return table;
+}
+
+/**
+ * Split JSON text into tokens, keeping each token as written in the file
+ * @param {string} text - JSON text (already known to be valid)
+ * @returns {Array<string>} Tokens without the whitespace between them
+ */
+function tokenizeJson(text) {
+  const tokens = [];
+  JSON_TOKEN.lastIndex = 0;
+  let match;
+  while (JSON_TOKEN.lastIndex < text.length && (match = JSON_TOKEN.exec(text))) {
+    if (match[0].trim()) {
+      tokens.push(match[0]);
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Get the highlight class of a JSON value token
+ * @param {string} token - Token
+ * @param {string|undefined} next - Token after it
+ * @returns {string} Token class
+ */
+function getJsonTokenType(token, next) {
+  if (token.startsWith('"')) {
+    return next === ':' ? 'key' : 'string';
+  }
+  if (token === 'true' || token === 'false') {
+    return 'boolean';
+  }
+  return token === 'null' ? 'null' : 'number';
+}
+
+/**
+ * Render JSON pretty-printed with syntax highlighting. Values are printed exactly as
+ * written in the file (number formats, escapes, duplicate keys and key order), since
+ * parsing and re-serializing would change what the document says.
+ * @param {string} text - File text
+ * @returns {HTMLElement|null} Code block, or null if the text is not valid JSON
+ */
+function renderJson(text) {
+  try {
+    JSON.parse(text);
+  } catch (error) {
+    return null;
+  }
+
+  const pre = createElement('pre', 'render-code');
+  const tokens = tokenizeJson(text);
+  let indent = '';
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (token === '{' || token === '[') {
+      const close = token === '{' ? '}' : ']';
+      if (tokens[i + 1] === close) {
+        appendToken(pre, token + close, 'punctuation');
+        i++;
+      } else {
+        indent += INDENT;
+        appendToken(pre, token, 'punctuation');
+        appendToken(pre, '\n' + indent);
+      }
+    } else if (token === '}' || token === ']') {
+      indent = indent.slice(INDENT.length);
+      appendToken(pre, '\n' + indent);
+      appendToken(pre, token, 'punctuation');
+    } else if (token === ',') {
+      appendToken(pre, ',', 'punctuation');
+      appendToken(pre, '\n' + indent);
+    } else if (token === ':') {
+      appendToken(pre, ': ', 'punctuation');
+    } else {
+      appendToken(pre, token, getJsonTokenType(token, tokens[i + 1]));
+    }
+  }
+  return pre;
+}
+
+/**
+ * Append an XML node to a code block, pretty-printed and highlighted
+ * @param {HTMLElement} parent - Code block
+ * @param {Node} node - XML node
+ * @param {string} indent - Current indentation
+ */
+function appendXmlNode(parent, node, indent) {
+  switch (node.nodeType) {
+    case Node.ELEMENT_NODE: {
+      appendToken(parent, indent);
+      appendToken(parent, '<', 'punctuation');
+      appendToken(parent, node.nodeName, 'tag');
+      for (const attribute of node.attributes) {
+        appendToken(parent, ' ');
+        appendToken(parent, attribute.name, 'attribute');
+        appendToken(parent, '=', 'punctuation');
+        appendToken(parent, JSON.stringify(attribute.value), 'string');
+      }
+
+      const children = [...node.childNodes].filter(child =>
+        child.nodeType !== Node.TEXT_NODE || child.nodeValue.trim());
+      if (children.length === 0) {
+        appendToken(parent, '/>', 'punctuation');
+        appendToken(parent, '\n');
+        return;
+      }
+
+      appendToken(parent, '>', 'punctuation');
+      // Keep a single text child on the same line as its tags
+      if (children.length === 1 && children[0].nodeType === Node.TEXT_NODE) {
+        appendToken(parent, children[0].nodeValue.trim());
+      } else {
+        appendToken(parent, '\n');
+        children.forEach(child => appendXmlNode(parent, child, indent + INDENT));
+        appendToken(parent, indent);
+      }
+      appendToken(parent, '</', 'punctuation');
+      appendToken(parent, node.nodeName, 'tag');
+      appendToken(parent, '>', 'punctuation');
+      appendToken(parent, '\n');
+      break;
+    }
+    case Node.TEXT_NODE:
+      appendToken(parent, indent + node.nodeValue.trim() + '\n');
+      break;
+    case Node.CDATA_SECTION_NODE:
+      appendToken(parent, `${indent}<![CDATA[${node.nodeValue}]]>\n`, 'comment');
+      break;
+    case Node.COMMENT_NODE:
+      appendToken(parent, `${indent}<!--${node.nodeValue}-->\n`, 'comment');
+      break;
+    case Node.PROCESSING_INSTRUCTION_NODE:
+      appendToken(parent, `${indent}<?${node.target} ${node.data}?>\n`, 'comment');
+      break;
+    default:
+      break;
+  }
+}
+
+/**
+ * Render XML pretty-printed with syntax highlighting
+ * @param {string} text - File text
+ * @returns {HTMLElement|null} Code block, or null if the text is not well-formed XML
+ */
+function renderXml(text) {
+  const xml = new DOMParser().parseFromString(text, 'application/xml');
+  if (xml.getElementsByTagName('parsererror').length > 0) {
+    return null;
+  }
+
+  const pre = createElement('pre', 'render-code');
+  const declaration = /^\s*(<\?xml[^?]*\?>)/.exec(text);
+  if (declaration) {
+    appendToken(pre, declaration[1] + '\n', 'comment');
+  }
+  xml.childNodes.forEach(node => appendXmlNode(pre, node, ''));
+  return pre;
+}
+
+/**
+ * Render plain text as wrapped monospace lines
+ * @param {string} text - File text
+ * @returns {HTMLElement} Text block
+ */
+function renderPlainText(text) {
+  return createElement('pre', 'render-text', text);
+}
+
+/**
+ * Render a text file in its format. JSON and XML that cannot be parsed are shown as plain text.
+ * @param {string} text - File text
+ * @param {string} format - Format from getTextFormat()
+ * @returns {HTMLElement} Rendered document
+ */
+export function renderTextDocument(text, format) {
+  switch (format) {
+    case 'csv':
+      return renderTable(text, ',');
+    case 'tsv':
+      return renderTable(text, '\t');
+    case 'json':
+      return renderJson(text) || renderPlainText(text);
+    case 'xml':
+      return renderXml(text) || renderPlainText(text);
+    default:
+      return renderPlainText(text);
+  }
+}
+
+/**
+ * Render the document header with the filename and download time
+ * @param {Object} job - Print job
+ * @param {string} headerMode - Header setting from CONFIG.DOCUMENT_HEADERS
+ * @returns {HTMLElement|null} Header, or null when the header is turned off
+ */
+export function renderDocumentHeader(job, headerMode) {
+  if (headerMode === CONFIG.DOCUMENT_HEADERS.NONE) {
+    return null;
+  }
+
+  const header = createElement('header', 'render-header');
+  header.appendChild(createElement('span', 'render-header-name', job.filename));
+  if (headerMode === CONFIG.DOCUMENT_HEADERS.FILENAME_AND_TIME && job.downloadedAt) {
+    const time = new Date(job.downloadedAt).toLocaleString();
+    header.appendChild(createElement('span', 'render-header-time', `Downloaded ${time}`));
+  }
+  return header;
+}
@@ -0,0 +1,432 @@
+/**
+ * AutoPrint Extension - Print Viewer
+ * Renders a queued file (PDF, images, text or office document) inside an extension page and prints it,
+ * so printing does not depend on access to file:// URLs. Batches of files are merged into one document.
+ */
+
+import { loadPrintQueue, loadSettings } from '../shared/storage.js';
+import { getViewerKind, normalizeMimeType } from '../shared/file-types.js';
+import { readFileContent } from '../shared/file-reader.js';
+import { getTextFormat, renderTextDocument, renderDocumentHeader } from './renderers.js';
+import { getOfficeFormat, convertOfficeDocument } from './office.js';
+import { openZip } from '../shared/zip.js';
+import { renderImageLayout } from './image-layouts.js';
+import { applyPageStamp, getPdfStamp } from './page-stamp.js';
+import { mergePdfs } from './pdf-merge.js';
+
+// DOM Elements
+const elements = {
+  title: document.getElementById('viewerTitle'),
+  status: document.getElementById('viewerStatus'),
+  document: document.getElementById('viewerDocument')
+};
+
+// Job this viewer prints
+const jobId = new URLSearchParams(location.search).get('job');
+
+/**
+ * Show a status message in the viewer bar
+ * @param {string} message - Message to show
+ * @param {string} type - '' or 'error'
+ */
+function setStatus(message, type = '') {
+  elements.status.textContent = message;
+  elements.status.className = 'viewer-status ' + type;
+}
+
+/**
+ * Find the job in the print queue
+ * @returns {Promise<Object|null>} Job, or null if it is not queued
+ */
+async function loadJob() {
+  const queue = await loadPrintQueue();
+  return queue.find(job => job.id === jobId) || null;
+}
+
+/**
+ * Read the file to print. Files from an archive are extracted from the downloaded archive again.
+ * @param {Object} job - Print job
+ * @returns {Promise<ArrayBuffer|Uint8Array>} File content
+ * @throws {FileAccessError} If the downloaded file cannot be read
+ */
+async function readJobContent(job) {
+  const content = await readFileContent(job.fullPath);
+  if (!job.archiveEntry) {
+    return content;
+  }
+  return openZip(content).read(job.archiveEntry.name);
+}
+
+/**
+ * Get the MIME type to give the file's blob
+ * @param {Object} job - Print job
+ * @param {string} kind - Viewer kind
+ * @returns {string} MIME type
+ */
+function getBlobType(job, kind) {
+  if (kind === 'pdf') {
+    return 'application/pdf';
+  }
+  const type = normalizeMimeType(job.detectedType || job.mime);
+  if (kind === 'image' && !type.startsWith('image/') && /\.svg$/i.test(job.filename)) {
+    return 'image/svg+xml';
+  }
+  return type;
+}
+
+/**
+ * Render a PDF with the browser's PDF viewer in a frame
+ * @param {string} url - Blob URL of the PDF
+ * @returns {Promise<Window>} Window to print
+ */
+function renderPdf(url) {
+  return new Promise((resolve, reject) => {
+    const frame = document.createElement('iframe');
+    frame.addEventListener('load', () => resolve(frame.contentWindow));
+    frame.addEventListener('error', () => reject(new Error('Could not display the PDF')));
+    frame.src = url;
+    elements.document.appendChild(frame);
+  });
+}
+
+/**
+ * Load and decode an image file
+ * @param {Object} file - Job or group item of the image
+ * @returns {Promise<HTMLImageElement>} Decoded image
+ */
+async function loadImage(file) {
+  const content = await readJobContent(file);
+
+  const image = document.createElement('img');
+  image.src = URL.createObjectURL(new Blob([content], { type: getBlobType(file, 'image') }));
+  try {
+    await image.decode();
+  } catch (error) {
+    throw new Error(`Could not display "${file.filename}"`);
+  }
+  return image;
+}
+
+/**
+ * Render images in an image layout
+ * @param {Array<Object>} files - Jobs or group items of the images, in print order
+ * @param {string|null} layout - Image layout of the matched rule
+ * @returns {Promise<Window>} Window to print
+ */
+async function renderImages(files, layout) {
+  const images = [];
+  for (const file of files) {
+    images.push({ image: await loadImage(file), filename: file.filename });
+  }
+  elements.document.appendChild(renderImageLayout(images, layout));
+  return window;
+}
+
+/**
+ * Add the configured document header above a rendered document
+ * @param {Object} job - Print job
+ */
+async function appendDocumentHeader(job) {
+  const settings = await loadSettings();
+  const header = renderDocumentHeader(job, settings.documentHeader);
+  if (header) {
+    elements.document.appendChild(header);
+  }
+}
+
+/**
+ * Render a text file in its format (CSV table, highlighted JSON/XML, wrapped text)
+ * below the configured document header
+ * @param {Object} job - Print job
+ * @param {ArrayBuffer} content - File content
+ * @returns {Promise<Window>} Window to print
+ */
+async function renderText(job, content) {
+  await appendDocumentHeader(job);
+  const text = new TextDecoder('utf-8').decode(content);
+  elements.document.appendChild(renderTextDocument(text, getTextFormat(job)));
+  return window;
+}
+
+/**
+ * Convert an office document to HTML below the configured document header
+ * @param {Object} job - Print job
+ * @param {ArrayBuffer} content - File content
+ * @returns {Promise<Object>} { target, warnings } - window to print and conversion warnings
+ */
+async function renderOffice(job, content) {
+  const { element, warnings } = await convertOfficeDocument(content, getOfficeFormat(job));
+  await appendDocumentHeader(job);
+  elements.document.appendChild(element);
+
+  // Let embedded pictures load before the print dialog opens
+  await Promise.all([...element.querySelectorAll('img')].map(image => image.decode().catch(() => {})));
+  return { target: window, warnings };
+}
+
+/**
+ * Get the text of the separator page printed before a file of a batch
+ * @param {Object} file - Batch item
+ * @param {number} index - Position of the file in the batch
+ * @param {number} count - Number of files in the batch
+ * @returns {Array<string>} Lines, starting with the filename
+ */
+function getSeparatorLines(file, index, count) {
+  const lines = [file.filename, `File ${index + 1} of ${count}`];
+  if (file.downloadedAt) {
+    lines.push(`Downloaded ${new Date(file.downloadedAt).toLocaleString()}`);
+  }
+  if (file.domain) {
+    lines.push(`From ${file.domain}`);
+  }
+  return lines;
+}
+
+/**
+ * Show a single PDF, with the job's stamp drawn into it. A PDF the stamp cannot be
+ * drawn into (encrypted, or using features the merger cannot read) prints without it.
+ * @param {Object} job - Print job
+ * @param {ArrayBuffer} content - File content
+ * @param {string} kind - Viewer kind
+ * @returns {Promise<Object>} { target, stamped } - window to print and whether the stamp was drawn
+ */
+async function renderSinglePdf(job, content, kind) {
+  let data = content;
+  let stamped = false;
+  if (job.stamp) {
+    try {
+      data = (await mergePdfs([{ content, filename: job.filename, separator: null }], { stamp: getPdfStamp(job.stamp, job) })).data;
+      stamped = true;
+    } catch (error) {
+      console.warn('[AutoPrint Viewer] Could not stamp the PDF:', error);
+    }
+  }
+  const target = await renderPdf(URL.createObjectURL(new Blob([data], { type: getBlobType(job, kind) })));
+  return { target, stamped };
+}
+
+/**
+ * Merge the PDFs of a batch into one PDF and show it. Files that cannot be read are left out.
+ * @param {Object} job - Batch job
+ * @param {boolean} separatorPages - Print a separator page before each file
+ * @returns {Promise<Object>} { target, warnings } - window to print and the files left out
+ */
+async function renderPdfBatch(job, separatorPages) {
+  const files = [];
+  const warnings = [];
+  for (const [index, file] of job.items.entries()) {
+    let content;
+    try {
+      content = await readJobContent(file);
+    } catch (error) {
+      warnings.push(`${file.filename} left out: ${error.message}`);
+      continue;
+    }
+    files.push({
+      content,
+      filename: file.filename,
+      separator: separatorPages ? getSeparatorLines(file, index, job.items.length) : null
+    });
+  }
+  if (files.length === 0) {
+    throw new Error('Could not read the downloaded files');
+  }
+
+  const merged = await mergePdfs(files, { stamp: job.stamp ? getPdfStamp(job.stamp, job) : null });
+  const target = await renderPdf(URL.createObjectURL(new Blob([merged.data], { type: 'application/pdf' })));
+  return { target, warnings: [...warnings, ...merged.warnings] };
+}
+
+/**
+ * Render the images, text and office documents of a batch one after another, each
+ * starting on a new page. Without separator pages, consecutive images with the same
+ * layout share their sheets. Files that cannot be rendered are left out.
+ * @param {Object} job - Batch job
+ * @param {boolean} separatorPages - Print a separator page before each file
+ * @returns {Promise<Object>} { target, warnings } - window to print and conversion warnings
+ */
+async function renderDocumentBatch(job, separatorPages) {
+  const warnings = [];
+  let rendered = 0;
+
+  for (let index = 0; index < job.items.length;) {
+    const file = job.items[index];
+    const kind = getViewerKind(file);
+    let files = [file];
+    if (kind === 'image' && !separatorPages) {
+      const next = job.items.slice(index + 1);
+      const end = next.findIndex(item => getViewerKind(item) !== 'image' || item.imageLayout !== file.imageLayout);
+      files = files.concat(end === -1 ? next : next.slice(0, end));
+    }
+
+    const start = elements.document.children.length;
+    try {
+      if (separatorPages) {
+        const separator = document.createElement('section');
+        separator.className = 'batch-separator';
+        getSeparatorLines(file, index, job.items.length).forEach((line, lineIndex) => {
+          const element = document.createElement(lineIndex === 0 ? 'h1' : 'p');
+          element.textContent = line;
+          separator.appendChild(element);
+        });
+        elements.document.appendChild(separator);
+      } else if (start > 0) {
+        const pageBreak = document.createElement('div');
+        pageBreak.className = 'batch-break';
+        elements.document.appendChild(pageBreak);
+      }
+
+      if (kind === 'image') {
+        await renderImages(files, file.imageLayout);
+      } else {
+        const content = await readJobContent(file);
+        if (kind === 'office') {
+          const office = await renderOffice(file, content);
+          warnings.push(...office.warnings.map(warning => `${file.filename}: ${warning}`));
+        } else {
+          await renderText(file, content);
+        }
+      }
+      rendered += files.length;
+    } catch (error) {
+      console.warn('[AutoPrint Viewer] Leaving out', file.filename + ':', error);
+      // Remove the separator of the file that could not be rendered
+      while (elements.document.children.length > start) {
+        elements.document.lastElementChild.remove();
+      }
+      warnings.push(`${file.filename} left out: ${error.message}`);
+    }
+    index += files.length;
+  }
+
+  if (rendered === 0) {
+    throw new Error('Could not read the downloaded files');
+  }
+  return { target: window, warnings };
+}
+
+/**
+ * Apply the rule's orientation and paper size to the printed page.
+ * The browser's PDF viewer ignores the page's @page rules, so only images and text are laid out.
+ * @param {Object|null} printOptions - Print options of the matched rule
+ * @param {string} kind - Viewer kind
+ * @returns {Array<string>} Names of the options that were applied
+ */
+function applyPageLayout(printOptions, kind) {
+  if (!printOptions || kind === 'pdf') {
+    return [];
+  }
+
+  const size = [];
+  const applied = [];
+  if (printOptions.paperSize) {
+    size.push(printOptions.paperSize);
+    applied.push('paperSize');
+  }
+  if (printOptions.orientation && printOptions.orientation !== 'auto') {
+    size.push(printOptions.orientation);
+    applied.push('orientation');
+  }
+
+  if (size.length > 0) {
+    const style = document.createElement('style');
+    style.textContent = `@page { size: ${size.join(' ')}; }`;
+    document.head.appendChild(style);
+  }
+  return applied;
+}
+
+/**
+ * Load, render and print the job
+ */
+async function run() {
+  try {
+    const job = await loadJob();
+    if (!job) {
+      throw new Error('Print job not found');
+    }
+
+    const title = job.batch ? `${job.filename} and ${job.items.length - 1} more` : job.filename;
+    document.title = title;
+    elements.title.textContent = title;
+
+    const kind = getViewerKind(job);
+    if (!kind) {
+      throw new Error('This file type cannot be shown in the viewer');
+    }
+
+    let target;
+    let conversionWarnings = [];
+    let pdfStamped = false;
+    if (job.batch) {
+      // PDF batches only hold PDFs; document batches never do
+      const settings = await loadSettings();
+      ({ target, warnings: conversionWarnings } = kind === 'pdf'
+        ? await renderPdfBatch(job, settings.batchSeparatorPages)
+        : await renderDocumentBatch(job, settings.batchSeparatorPages));
+    } else if (kind === 'image') {
+      target = await renderImages(job.items || [job], job.imageLayout);
+    } else {
+      const content = await readJobContent(job);
+
+      if (kind === 'text') {
+        target = await renderText(job, content);
+      } else if (kind === 'office') {
+        ({ target, warnings: conversionWarnings } = await renderOffice(job, content));
+      } else {
+        ({ target, stamped: pdfStamped } = await renderSinglePdf(job, content, kind));
+        if (job.stamp && !pdfStamped) {
+          conversionWarnings.push('Stamp not applied: the PDF could not be rewritten');
+        }
+      }
+    }
+
+    if (conversionWarnings.length > 0) {
+      console.warn('[AutoPrint Viewer] Conversion warnings:', conversionWarnings);
+    }
+
+    const appliedPrintOptions = applyPageLayout(job.printOptions, kind);
+
+    // The browser's PDF viewer prints the PDF alone, so PDFs carry their stamp inside
+    let stamped = Boolean(job.stamp);
+    if (kind === 'pdf') {
+      stamped = stamped && (job.batch || pdfStamped);
+    } else if (stamped) {
+      applyPageStamp(job.stamp, job);
+    }
+
+    // The service worker records that the print is starting before we open the dialog
+    const response = await chrome.runtime.sendMessage({
+      type: 'viewerReady',
+      jobId,
+      appliedPrintOptions,
+      conversionWarnings,
+      stamped
+    });
+    if (!response?.print) {
+      setStatus('Printing was cancelled');
+      return;
+    }
+
+    // Report back once the print dialog closes
+    const afterPrint = new Promise((resolve) => {
+      target.addEventListener('afterprint', resolve, { once: true });
+      if (target !== window) {
+        window.addEventListener('afterprint', resolve, { once: true });
+      }
+    });
+
+    setStatus('Printing…');
+    target.print();
+    await afterPrint;
+    setStatus('Print dialog closed');
+
+    await chrome.runtime.sendMessage({ type: 'viewerAfterPrint', jobId });
+  } catch (error) {
+    console.error('[AutoPrint Viewer] Error:', error);
+    setStatus(error.message, 'error');
+    chrome.runtime.sendMessage({ type: 'viewerFailed', jobId, error: error.message }).catch(() => {});
+  }
+}
+
+run();
@@ -0,0 +1,60 @@
+/**
+ * Tests for duplicate print detection (src/background/duplicate-guard.js)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  normalizeFilename,
+  hashContent,
+  createFingerprint,
+  fingerprintsMatch
+} from '../src/background/duplicate-guard.js';
+
+const file = overrides => ({
+  url: 'https://erp.example.com/invoice.pdf',
+  fileSize: 1024,
+  filename: 'invoice.pdf',
+  ...overrides
+});
+
+test('normalizeFilename drops case and the copy counter browsers append', () => {
+  assert.equal(normalizeFilename('Invoice (1).PDF'), 'invoice.pdf');
+  assert.equal(normalizeFilename('invoice(2).pdf'), 'invoice.pdf');
+  assert.equal(normalizeFilename('  README (3)'), 'readme');
+  assert.equal(normalizeFilename('report (2024) final.pdf'), 'report (2024) final.pdf');
+  assert.equal(normalizeFilename(null), '');
+});
+
+test('hashContent returns a SHA-256 hex digest', async () => {
+  assert.equal(
+    await hashContent(new TextEncoder().encode('abc')),
+    'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad'
+  );
+  assert.equal(await hashContent(null), null);
+});
+
+test('fingerprintsMatch compares the source URL without its fragment', () => {
+  const earlier = createFingerprint(file({}));
+  assert.equal(fingerprintsMatch(earlier, createFingerprint(file({ url: 'https://erp.example.com/invoice.pdf#page=2' }))), true);
+  assert.equal(fingerprintsMatch(earlier, createFingerprint(file({ url: 'https://erp.example.com/other/invoice.pdf' }))), false);
+});
+
+test('fingerprintsMatch ignores the URL when the rule asks for it', () => {
+  const earlier = createFingerprint(file({ url: 'https://erp.example.com/invoice.pdf?token=a' }));
+  const current = createFingerprint(file({ url: 'https://erp.example.com/invoice.pdf?token=b', ignoreUrl: true }));
+  assert.equal(fingerprintsMatch(earlier, current), true);
+});
+
+test('fingerprintsMatch lets the content hash decide when both sides have one', () => {
+  const earlier = createFingerprint(file({ contentHash: 'aaa' }));
+  assert.equal(fingerprintsMatch(earlier, createFingerprint(file({ contentHash: 'aaa', filename: 'renamed.pdf' }))), true);
+  assert.equal(fingerprintsMatch(earlier, createFingerprint(file({ contentHash: 'bbb' }))), false);
+});
+
+test('fingerprintsMatch falls back to name and size without hashes', () => {
+  const earlier = createFingerprint(file({ contentHash: 'aaa' }));
+  assert.equal(fingerprintsMatch(earlier, createFingerprint(file({ filename: 'Invoice (1).pdf' }))), true);
+  assert.equal(fingerprintsMatch(earlier, createFingerprint(file({ fileSize: 2048 }))), false);
+  assert.equal(fingerprintsMatch(earlier, createFingerprint(file({ filename: 'receipt.pdf' }))), false);
+});
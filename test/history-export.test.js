@@ -0,0 +1,78 @@
+/**
+ * Tests for the print history export (src/shared/history-export.js)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  HISTORY_EXPORT_SCHEMA,
+  HISTORY_EXPORT_VERSION,
+  HISTORY_EXPORT_COLUMNS,
+  getDefaultExportColumns,
+  exportHistoryCsv,
+  exportHistoryJson
+} from '../src/shared/history-export.js';
+
+const entry = overrides => ({
+  id: 7,
+  timestamp: '2026-03-02T09:30:00.000Z',
+  status: 'printed',
+  filename: 'invoice.pdf',
+  fileSize: 2048,
+  ruleName: 'Invoices',
+  domain: 'erp.example.com',
+  ...overrides
+});
+
+test('exportHistoryCsv starts with a byte order mark and uses CRLF rows', () => {
+  const csv = exportHistoryCsv([entry({})], ['timestamp', 'filename']);
+  assert.equal(csv, '\uFEFFtimestamp,filename\r\n2026-03-02T09:30:00.000Z,invoice.pdf\r\n');
+});
+
+test('exportHistoryCsv keeps columns in schema order and falls back to all columns', () => {
+  assert.match(exportHistoryCsv([], ['filename', 'id']), /^\uFEFFid,filename\r\n$/);
+  const header = exportHistoryCsv([], ['unknown']).slice(1).split('\r\n')[0];
+  assert.deepEqual(header.split(','), HISTORY_EXPORT_COLUMNS.map(column => column.id));
+});
+
+test('exportHistoryCsv quotes fields and joins lists', () => {
+  const csv = exportHistoryCsv([entry({
+    filename: 'Invoice "March", final.pdf',
+    error: 'line one\nline two',
+    groupedFiles: ['a.pdf', 'b.pdf']
+  })], ['filename', 'groupedFiles', 'error']);
+  assert.equal(csv.split('\r\n')[1], '"Invoice ""March"", final.pdf",a.pdf; b.pdf,"line one\nline two"');
+});
+
+test('exportHistoryCsv stops spreadsheets from running text as formulas', () => {
+  const rows = ['=HYPERLINK("x")', '+1', '-2', '@SUM(A1)'].map(filename =>
+    exportHistoryCsv([entry({ filename })], ['filename']).split('\r\n')[1]
+  );
+  assert.deepEqual(rows, ['"\'=HYPERLINK(""x"")"', "'+1", "'-2", "'@SUM(A1)"]);
+  // Numbers are not text typed by anyone, so they are left alone
+  assert.equal(exportHistoryCsv([entry({ downloadToPrintMs: -5 })], ['downloadToPrintMs']).split('\r\n')[1], '-5');
+});
+
+test('exportHistoryCsv leaves missing values empty', () => {
+  const csv = exportHistoryCsv([entry({ ruleName: undefined, fileSize: -1 })], ['fileSize', 'rule']);
+  assert.equal(csv.split('\r\n')[1], ',');
+});
+
+test('exportHistoryJson records the schema, filters and every picked column', () => {
+  const data = JSON.parse(exportHistoryJson(
+    [entry({ reprintOf: { id: 3 } })],
+    ['id', 'filename', 'reprintOf', 'printer'],
+    { status: 'printed' }
+  ));
+
+  assert.equal(data.schema, HISTORY_EXPORT_SCHEMA);
+  assert.equal(data.version, HISTORY_EXPORT_VERSION);
+  assert.ok(!Number.isNaN(Date.parse(data.exportedAt)));
+  assert.deepEqual(data.filters, { status: 'printed' });
+  assert.deepEqual(data.columns, ['id', 'filename', 'printer', 'reprintOf']);
+  assert.deepEqual(data.entries, [{ id: 7, filename: 'invoice.pdf', printer: null, reprintOf: 3 }]);
+});
+
+test('getDefaultExportColumns lists the default columns', () => {
+  assert.deepEqual(getDefaultExportColumns(), ['timestamp', 'status', 'filename', 'rule', 'domain', 'error']);
+});
@@ -0,0 +1,129 @@
+/**
+ * Tests for the print history statistics (src/shared/history-stats.js)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CONFIG } from '../src/shared/config.js';
+import { computeHistoryStats, STATS_PERIODS } from '../src/shared/history-stats.js';
+
+const { PRINTED, SENT_TO_DIALOG, ERROR, DUPLICATE, SKIPPED } = CONFIG.HISTORY_STATUS;
+
+/**
+ * Get the ISO string of a local time, as the statistics bucket by local date
+ * @param {number} day - Day of March 2026 (2 March is a Monday)
+ * @param {number} hour - Hour of the day
+ * @returns {string} ISO time
+ */
+const at = (day, hour = 12) => new Date(2026, 2, day, hour).toISOString();
+
+const entry = overrides => ({
+  timestamp: at(2),
+  status: PRINTED,
+  filename: 'invoice.pdf',
+  domain: 'erp.example.com',
+  ruleName: 'Invoices',
+  ...overrides
+});
+
+test('computeHistoryStats counts outcomes and the success rate', () => {
+  const stats = computeHistoryStats([
+    entry({}),
+    entry({ status: SENT_TO_DIALOG }),
+    entry({ status: SENT_TO_DIALOG }),
+    entry({ status: ERROR }),
+    entry({ status: DUPLICATE }),
+    entry({ status: SKIPPED })
+  ], { from: at(2, 0), to: at(2, 23) });
+
+  assert.equal(stats.outcomes[PRINTED], 1);
+  assert.equal(stats.outcomes[SENT_TO_DIALOG], 2);
+  assert.equal(stats.outcomes[ERROR], 1);
+  assert.equal(stats.outcomes[DUPLICATE], 1);
+  assert.equal(stats.outcomes[CONFIG.HISTORY_STATUS.CANCELLED], 0);
+  // Duplicates and skipped files were never meant to print
+  assert.equal(stats.successRate, 3 / 4);
+});
+
+test('computeHistoryStats has no success rate without print attempts', () => {
+  const stats = computeHistoryStats([entry({ status: SKIPPED })]);
+  assert.equal(stats.successRate, null);
+  assert.deepEqual(stats.topRules, []);
+  assert.deepEqual(stats.downloadToPrint, { averageMs: null, count: 0 });
+});
+
+test('computeHistoryStats buckets prints and errors per day, including empty days', () => {
+  const stats = computeHistoryStats([
+    entry({ timestamp: at(2, 0) }),
+    entry({ timestamp: at(2, 23), status: ERROR }),
+    entry({ timestamp: at(4), status: SENT_TO_DIALOG }),
+    entry({ timestamp: at(4), status: DUPLICATE })
+  ], { from: at(2), to: at(4) });
+
+  assert.deepEqual(stats.timeline, [
+    { start: '2026-03-02', printed: 1, error: 1 },
+    { start: '2026-03-03', printed: 0, error: 0 },
+    { start: '2026-03-04', printed: 1, error: 0 }
+  ]);
+});
+
+test('computeHistoryStats buckets per week starting on Monday', () => {
+  const stats = computeHistoryStats([
+    entry({ timestamp: at(1) }),
+    entry({ timestamp: at(2) }),
+    entry({ timestamp: at(8) }),
+    entry({ timestamp: at(9), status: ERROR })
+  ], { period: STATS_PERIODS.WEEK, from: at(1), to: at(10) });
+
+  assert.deepEqual(stats.timeline, [
+    { start: '2026-02-23', printed: 1, error: 0 },
+    { start: '2026-03-02', printed: 2, error: 0 },
+    { start: '2026-03-09', printed: 0, error: 1 }
+  ]);
+});
+
+test('computeHistoryStats starts the timeline at the oldest entry by default', () => {
+  const stats = computeHistoryStats([entry({ timestamp: at(3) }), entry({ timestamp: at(2) })], { to: at(3) });
+  assert.deepEqual(stats.timeline.map(bucket => bucket.start), ['2026-03-02', '2026-03-03']);
+});
+
+test('computeHistoryStats lists the most printed types, sites and rules', () => {
+  const stats = computeHistoryStats([
+    entry({}),
+    entry({ filename: 'label.PNG', domain: 'shop.example.com', ruleName: null }),
+    entry({ filename: 'bundle.zip', groupedFiles: ['a.pdf', 'b.txt'] }),
+    entry({ filename: 'README', domain: null }),
+    entry({ filename: 'failed.docx', status: ERROR })
+  ]);
+
+  assert.deepEqual(stats.topExtensions, [
+    { name: 'pdf', count: 2 },
+    { name: '(none)', count: 1 },
+    { name: 'png', count: 1 },
+    { name: 'txt', count: 1 }
+  ]);
+  assert.deepEqual(stats.topDomains, [
+    { name: 'erp.example.com', count: 2 },
+    { name: 'shop.example.com', count: 1 }
+  ]);
+  assert.deepEqual(stats.topRules, [
+    { name: 'Invoices', count: 3 },
+    { name: '(no rule)', count: 1 }
+  ]);
+});
+
+test('computeHistoryStats caps top lists', () => {
+  const entries = ['a', 'b', 'c', 'd', 'e', 'f', 'g'].map(name => entry({ ruleName: name }));
+  assert.equal(computeHistoryStats(entries).topRules.length, CONFIG.HISTORY.STATS_TOP_ITEMS);
+});
+
+test('computeHistoryStats averages download to print time without reprints', () => {
+  const stats = computeHistoryStats([
+    entry({ downloadToPrintMs: 1000 }),
+    entry({ status: SENT_TO_DIALOG, downloadToPrintMs: 3000 }),
+    entry({ downloadToPrintMs: 86400000, reprintOf: { id: 1 } }),
+    entry({ status: ERROR, downloadToPrintMs: 500 }),
+    entry({})
+  ]);
+  assert.deepEqual(stats.downloadToPrint, { averageMs: 2000, count: 2 });
+});
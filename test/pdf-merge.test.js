@@ -0,0 +1,128 @@
+/**
+ * Tests for the PDF merger (src/viewer/pdf-merge.js)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mergePdfs, PdfMergeError } from '../src/viewer/pdf-merge.js';
+
+/**
+ * Build a PDF with a cross-reference table
+ * @param {Array<string>} texts - Text shown on each page
+ * @param {number} rotate - Page rotation in degrees
+ * @returns {Uint8Array} PDF file
+ */
+function createPdf(texts, rotate = 0) {
+  const pageNumbers = texts.map((text, index) => 4 + index * 2);
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    `<< /Type /Pages /Kids [${pageNumbers.map(num => `${num} 0 R`).join(' ')}] /Count ${texts.length} /MediaBox [0 0 612 792] /Resources << /Font << /F1 3 0 R >> >> >>`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Times-Roman >>'
+  ];
+  texts.forEach((text, index) => {
+    const content = `BT /F1 24 Tf 100 700 Td (${text}) Tj ET`;
+    objects.push(
+      `<< /Type /Page /Parent 2 0 R /Contents ${pageNumbers[index] + 1} 0 R /Rotate ${rotate} >>`,
+      `<< /Length ${content.length} >>\nstream\n${content}\nendstream`
+    );
+  });
+
+  let output = '%PDF-1.4\n';
+  const offsets = objects.map((object, index) => {
+    const offset = output.length;
+    output += `${index + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+  const xref = output.length;
+  output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  output += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return new TextEncoder().encode(output);
+}
+
+/**
+ * Get the page count of a merged PDF
+ * @param {string} text - PDF as Latin-1 text
+ * @returns {number} Count from the page tree
+ */
+function getPageCount(text) {
+  return Number(text.match(/\/Type \/Pages .*?\/Count (\d+)/)[1]);
+}
+
+const toText = data => new TextDecoder('latin1').decode(data);
+
+test('mergePdfs copies the pages of every file in order', async () => {
+  const result = await mergePdfs([
+    { content: createPdf(['First A', 'First B']), filename: 'a.pdf', separator: null },
+    { content: createPdf(['Second']).buffer, filename: 'b.pdf', separator: null }
+  ]);
+  const text = toText(result.data);
+
+  assert.deepEqual(result.warnings, []);
+  assert.match(text, /^%PDF-1\.7\n/);
+  assert.equal(getPageCount(text), 3);
+  assert.ok(text.indexOf('(First A)') < text.indexOf('(First B)'));
+  assert.ok(text.indexOf('(First B)') < text.indexOf('(Second)'));
+});
+
+test('mergePdfs adds a separator page before files that ask for one', async () => {
+  const result = await mergePdfs([
+    { content: createPdf(['Page']), filename: 'a.pdf', separator: ['a.pdf', 'Downloaded (today)'] },
+    { content: createPdf(['Page']), filename: 'b.pdf', separator: null }
+  ]);
+  const text = toText(result.data);
+
+  assert.equal(getPageCount(text), 3);
+  assert.match(text, /BT \/F1 16 Tf 72 720 Td \(a\.pdf\) Tj ET/);
+  assert.match(text, /\(Downloaded \\\(today\\\)\)/);
+});
+
+test('mergePdfs can read its own output', async () => {
+  const first = await mergePdfs([
+    { content: createPdf(['One', 'Two']), filename: 'a.pdf', separator: ['a.pdf'] }
+  ]);
+  const second = await mergePdfs([
+    { content: first.data, filename: 'merged.pdf', separator: null },
+    { content: createPdf(['Three']), filename: 'c.pdf', separator: null }
+  ]);
+  assert.equal(getPageCount(toText(second.data)), 4);
+});
+
+test('mergePdfs leaves out files it cannot read and warns about them', async () => {
+  const result = await mergePdfs([
+    { content: new TextEncoder().encode('not a pdf'), filename: 'notes.txt', separator: ['notes.txt'] },
+    { content: createPdf(['Page']), filename: 'a.pdf', separator: null }
+  ]);
+
+  assert.equal(getPageCount(toText(result.data)), 1);
+  assert.equal(result.warnings.length, 1);
+  assert.match(result.warnings[0], /^notes\.txt left out: /);
+});
+
+test('mergePdfs throws PdfMergeError when nothing could be merged', async () => {
+  await assert.rejects(
+    mergePdfs([{ content: new Uint8Array(0), filename: 'empty.pdf', separator: null }]),
+    { name: 'PdfMergeError', message: /^empty\.pdf left out: / }
+  );
+  await assert.rejects(mergePdfs([]), PdfMergeError);
+});
+
+test('mergePdfs stamps every page, including separator pages', async () => {
+  const calls = [];
+  const result = await mergePdfs([
+    { content: createPdf(['Portrait']), filename: 'a.pdf', separator: ['a.pdf'] },
+    { content: createPdf(['Landscape'], 90), filename: 'b.pdf', separator: null }
+  ], {
+    stamp: (page, pages) => {
+      calls.push([page, pages]);
+      return { header: 'a.pdf', footer: `Page ${page} of ${pages}`, watermark: 'COPY' };
+    }
+  });
+  const text = toText(result.data);
+
+  assert.deepEqual(calls, [[1, 3], [2, 3], [3, 3]]);
+  for (const footer of ['(Page 1 of 3)', '(Page 2 of 3)', '(Page 3 of 3)']) {
+    assert.ok(text.includes(footer), `missing ${footer}`);
+  }
+  assert.equal(text.split('(COPY)').length - 1, 3);
+});
@@ -0,0 +1,171 @@
+/**
+ * Tests for the filter rule engine (src/shared/rules.js)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getFileExtension,
+  parseExtensionList,
+  validateRule,
+  validateRules,
+  migrateLegacyFilters,
+  globToRegExpSource,
+  compilePattern,
+  getPatternError,
+  getRuleErrors,
+  parseHostList,
+  isValidHostPattern,
+  getUrlHost,
+  hostMatches,
+  matchRule,
+  findMatchingRule
+} from '../src/shared/rules.js';
+
+const rule = overrides => validateRule({ id: 'rule_test', name: 'Test', ...overrides });
+
+test('getFileExtension returns the last extension in lowercase', () => {
+  assert.equal(getFileExtension('Invoice.2024.PDF'), 'pdf');
+  assert.equal(getFileExtension('README'), '');
+});
+
+test('parseExtensionList drops dots, duplicates and empty items', () => {
+  assert.deepEqual(parseExtensionList('.pdf, PDF; .Docx  txt'), ['pdf', 'docx', 'txt']);
+  assert.deepEqual(parseExtensionList(['.png', 7, '']), ['png']);
+});
+
+test('validateRule fills in defaults for missing fields', () => {
+  const validated = validateRule({ prefix: '  INV_ ' }, 2);
+  assert.equal(validated.name, 'Rule 3');
+  assert.equal(validated.enabled, true);
+  assert.equal(validated.prefix, 'INV_');
+  assert.deepEqual(validated.extensions, []);
+  assert.match(validated.id, /^rule_/);
+});
+
+test('validateRules ignores anything that is not a list', () => {
+  assert.deepEqual(validateRules(null), []);
+  assert.equal(validateRules([{}, {}]).length, 2);
+});
+
+test('migrateLegacyFilters turns the old prefix and extension filter into a rule', () => {
+  assert.deepEqual(migrateLegacyFilters({}), []);
+  const [migrated] = migrateLegacyFilters({ prefixFilter: 'INV_', extensionFilter: 'pdf' });
+  assert.equal(migrated.prefix, 'INV_');
+  assert.deepEqual(migrated.extensions, ['pdf']);
+});
+
+test('matchRule requires every condition to match', () => {
+  const invoices = rule({ prefix: 'inv_', suffix: '_final', contains: '2024', extensions: 'pdf' });
+  assert.equal(matchRule(invoices, { filename: 'INV_2024_03_final.pdf' }).matches, true);
+  assert.equal(matchRule(invoices, { filename: 'INV_2024_03_draft.pdf' }).matches, false);
+  assert.equal(matchRule(invoices, { filename: 'INV_2024_03_final.docx' }).matches, false);
+  assert.equal(matchRule(invoices, { filename: 'order_2024_final.pdf' }).matches, false);
+});
+
+test('matchRule explains which conditions failed', () => {
+  const { details } = matchRule(rule({ prefix: 'inv_', extensions: 'pdf' }), { filename: 'order.txt' });
+  assert.deepEqual(details, ['Prefix "inv_" not matched', 'Extension not in .pdf (file has ".txt")']);
+});
+
+test('findMatchingRule returns the first enabled rule that matches', () => {
+  const rules = [
+    rule({ id: 'off', name: 'Off', enabled: false, extensions: 'pdf' }),
+    rule({ id: 'images', name: 'Images', extensions: 'png' }),
+    rule({ id: 'pdfs', name: 'PDFs', extensions: 'pdf' }),
+    rule({ id: 'all', name: 'All PDFs too', extensions: 'pdf' })
+  ];
+  const result = findMatchingRule(rules, { filename: 'report.pdf' });
+  assert.equal(result.matches, true);
+  assert.equal(result.rule.id, 'pdfs');
+  assert.deepEqual(result.details, ['[Off] disabled', '[Images] Extension not in .png (file has ".pdf")']);
+});
+
+test('findMatchingRule matches every file when there are no rules', () => {
+  assert.equal(findMatchingRule([], { filename: 'anything.bin' }).matches, true);
+  assert.equal(findMatchingRule([rule({ extensions: 'pdf' })], { filename: 'a.txt' }).matches, false);
+});
+
+test('globToRegExpSource supports *, ? and character classes', () => {
+  const glob = source => new RegExp(globToRegExpSource(source));
+  assert.equal(glob('INV_*.pdf').test('INV_2024.pdf'), true);
+  assert.equal(glob('INV_*.pdf').test('XINV_2024.pdf'), false);
+  assert.equal(glob('scan-??.png').test('scan-07.png'), true);
+  assert.equal(glob('scan-??.png').test('scan-7.png'), false);
+  assert.equal(glob('[ab]*.txt').test('b-file.txt'), true);
+  assert.equal(glob('[!ab]*.txt').test('b-file.txt'), false);
+});
+
+test('globToRegExpSource treats regular expression characters literally', () => {
+  const glob = new RegExp(globToRegExpSource('report (1)+.pdf'));
+  assert.equal(glob.test('report (1)+.pdf'), true);
+  assert.equal(glob.test('report 1.pdf'), false);
+});
+
+test('globToRegExpSource rejects unclosed and empty classes', () => {
+  assert.throws(() => globToRegExpSource('file[ab.pdf'), /unclosed "\[" at position 5/);
+  assert.throws(() => globToRegExpSource('file[!].pdf'), /empty character class/);
+});
+
+test('compilePattern honours the pattern type and case sensitivity', () => {
+  assert.equal(compilePattern(rule({})), null);
+  assert.equal(compilePattern(rule({ pattern: 'inv_*.pdf' })).test('INV_1.PDF'), true);
+  assert.equal(compilePattern(rule({ pattern: 'inv_*.pdf', caseSensitive: true })).test('INV_1.PDF'), false);
+  assert.equal(compilePattern(rule({ pattern: '^inv_\\d+\\.pdf$', patternType: 'regex' })).test('inv_42.pdf'), true);
+});
+
+test('getPatternError describes invalid patterns', () => {
+  assert.equal(getPatternError(rule({ pattern: '*.pdf' })), null);
+  assert.match(getPatternError(rule({ pattern: '([a-z', patternType: 'regex' })), /^Invalid regular expression "\(\[a-z": /);
+  assert.match(getPatternError(rule({ pattern: '[a-z' })), /^Invalid glob pattern "\[a-z": unclosed/);
+  assert.deepEqual(getRuleErrors([rule({ pattern: '[a-z' })]).map(error => error.field), ['pattern']);
+});
+
+test('matchRule applies text conditions with exact case only when asked', () => {
+  assert.equal(matchRule(rule({ prefix: 'inv_' }), { filename: 'INV_1.pdf' }).matches, true);
+  assert.equal(matchRule(rule({ prefix: 'inv_', caseSensitive: true }), { filename: 'INV_1.pdf' }).matches, false);
+  assert.equal(matchRule(rule({ pattern: '*_final.*' }), { filename: 'Q1_FINAL.pdf' }).matches, true);
+});
+
+test('parseHostList reduces URLs to lowercase hosts', () => {
+  assert.deepEqual(
+    parseHostList('https://ERP.example.com/invoices?id=1, *.example.org; erp.example.com.'),
+    ['erp.example.com', '*.example.org']
+  );
+});
+
+test('isValidHostPattern accepts hosts, wildcards, ports and IPv6', () => {
+  assert.equal(isValidHostPattern('erp.example.com'), true);
+  assert.equal(isValidHostPattern('*.example.com'), true);
+  assert.equal(isValidHostPattern('localhost:8080'), true);
+  assert.equal(isValidHostPattern('[::1]:443'), true);
+  assert.equal(isValidHostPattern('erp.*.com'), false);
+  assert.equal(isValidHostPattern('example.com:123456'), false);
+});
+
+test('getUrlHost resolves blob URLs to the host that created them', () => {
+  assert.equal(getUrlHost('https://ERP.example.com:8443/file.pdf'), 'erp.example.com:8443');
+  assert.equal(getUrlHost('blob:https://erp.example.com/0b6d1c2e'), 'erp.example.com');
+  assert.equal(getUrlHost('data:application/pdf;base64,AAAA'), '');
+  assert.equal(getUrlHost('not a url'), '');
+});
+
+test('hostMatches treats *. as the domain and its subdomains', () => {
+  assert.equal(hostMatches('example.com', '*.example.com'), true);
+  assert.equal(hostMatches('a.b.example.com', '*.example.com'), true);
+  assert.equal(hostMatches('badexample.com', '*.example.com'), false);
+  assert.equal(hostMatches('erp.example.com', 'example.com'), false);
+  assert.equal(hostMatches('erp.example.com:8443', 'erp.example.com'), true);
+  assert.equal(hostMatches('erp.example.com:8443', 'erp.example.com:443'), false);
+});
+
+test('matchRule checks allowed and denied hosts against the URL and referrer', () => {
+  const allowed = rule({ allowHosts: '*.example.com' });
+  assert.equal(matchRule(allowed, { filename: 'a.pdf', url: 'https://erp.example.com/a.pdf' }).matches, true);
+  assert.equal(matchRule(allowed, { filename: 'a.pdf', url: 'https://cdn.other.net/a.pdf', referrer: 'https://erp.example.com/' }).matches, true);
+  assert.equal(matchRule(allowed, { filename: 'a.pdf', url: 'https://cdn.other.net/a.pdf' }).matches, false);
+
+  const denied = rule({ denyHosts: 'mail.example.com' });
+  assert.equal(matchRule(denied, { filename: 'a.pdf', url: 'https://mail.example.com/a.pdf' }).matches, false);
+  assert.equal(matchRule(denied, { filename: 'a.pdf', url: 'https://erp.example.com/a.pdf' }).matches, true);
+});
@@ -0,0 +1,105 @@
+/**
+ * Tests for the ZIP reader (src/shared/zip.js)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { deflateRawSync } from 'node:zlib';
+import { openZip, ZipError } from '../src/shared/zip.js';
+
+/**
+ * Build a ZIP file
+ * @param {Array<Object>} files - Entries: { name, content, deflate, size, flags, method }
+ *   (size, flags and method override what is written to the directory)
+ * @returns {Uint8Array} ZIP file
+ */
+function createZip(files) {
+  const locals = [];
+  const directory = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = Buffer.from(file.name);
+    const content = Buffer.from(file.content || '');
+    const data = file.deflate ? deflateRawSync(content) : content;
+    const method = file.method ?? (file.deflate ? 8 : 0);
+    const size = file.size ?? content.length;
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(file.flags || 0, 6);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(size, 22);
+    local.writeUInt16LE(name.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(file.flags || 0, 8);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(size, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, name, data);
+    directory.push(central, name);
+    offset += local.length + name.length + data.length;
+  }
+
+  const centralDirectory = Buffer.concat(directory);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return new Uint8Array(Buffer.concat([...locals, centralDirectory, end]));
+}
+
+test('openZip lists entries and reads stored and deflated content', async () => {
+  const text = 'Hello, ZIP! '.repeat(50);
+  const zip = openZip(createZip([
+    { name: 'word/' },
+    { name: 'word/document.xml', content: text, deflate: true },
+    { name: 'mimetype', content: 'application/zip' }
+  ]));
+
+  assert.deepEqual(zip.entries.map(entry => [entry.name, entry.directory]), [
+    ['word/', true],
+    ['word/document.xml', false],
+    ['mimetype', false]
+  ]);
+  assert.equal(zip.entries[1].size, text.length);
+  assert.ok(zip.entries[1].compressedSize < text.length);
+  assert.equal(zip.has('mimetype'), true);
+  assert.equal(await zip.readText('word/document.xml'), text);
+  assert.equal(await zip.readText('mimetype'), 'application/zip');
+  assert.equal(await zip.read('missing.xml'), null);
+});
+
+test('openZip accepts an ArrayBuffer', async () => {
+  const bytes = createZip([{ name: 'a.txt', content: 'a' }]);
+  const zip = openZip(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength));
+  assert.equal(await zip.readText('a.txt'), 'a');
+});
+
+test('openZip rejects files that are not ZIP packages', () => {
+  assert.throws(() => openZip(new TextEncoder().encode('%PDF-1.7 not a zip file at all')), ZipError);
+  assert.throws(() => openZip(new Uint8Array(4)), { name: 'ZipError', message: 'Not a ZIP file' });
+});
+
+test('read rejects encrypted entries and unsupported methods', async () => {
+  const zip = openZip(createZip([
+    { name: 'secret.txt', content: 'x', flags: 0x1 },
+    { name: 'bzip2.txt', content: 'x', method: 12 }
+  ]));
+  await assert.rejects(zip.read('secret.txt'), { name: 'ZipError', message: '"secret.txt" is encrypted' });
+  await assert.rejects(zip.read('bzip2.txt'), /unsupported compression method \(12\)/);
+});
+
+test('read stops inflating entries larger than declared', async () => {
+  const zip = openZip(createZip([{ name: 'bomb.txt', content: '0'.repeat(100000), deflate: true, size: 10 }]));
+  await assert.rejects(zip.read('bomb.txt'), { name: 'ZipError', message: '"bomb.txt" is larger than the archive says' });
+});